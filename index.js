@@ -18,12 +18,29 @@ var alexa = {
     request: function (json) {
         return new lib.Request(json);
     },
-    response: function(session) {
-        return new lib.Response(session);
+    response: function(session, request, resources) {
+        return new lib.Response(session, request, resources);
     },
     session: function(session) {
         return new lib.Session(session);
+    },
+    simulator: function(app, options) {
+        return new lib.Simulator(app, options);
+    },
+    ssml: function() {
+        return new lib.SSML();
+    },
+    filePersistenceAdapter: function(directory) {
+        return new lib.FilePersistenceAdapter(directory);
+    },
+    memoryPersistenceAdapter: function() {
+        return new lib.MemoryPersistenceAdapter();
     }
 };
 
+alexa.ssml.parse = lib.SSML.parse;
+alexa.ssml.sentences = lib.SSML.sentences;
+alexa.ssml.toText = lib.SSML.toText;
+alexa.ssml.validate = lib.SSML.validate;
+
 module.exports = alexa;
@@ -4,15 +4,42 @@ var VerifierMiddleware = require("alexa-verifier-middleware");
 var Promise = require("bluebird");
 var BodyParser = require("body-parser");
 var Defaults = require("lodash.defaults");
+var Dialog_1 = require("./Dialog");
+var ModelValidator_1 = require("./ModelValidator");
+var PersistentAttributes_1 = require("./PersistentAttributes");
 var Request_1 = require("./Request");
+var Resources_1 = require("./Resources");
 var Response_1 = require("./Response");
+var Session_1 = require("./Session");
+var UtteranceMatcher_1 = require("./UtteranceMatcher");
+var FALLBACK_INTENT = "AMAZON.FallbackIntent";
 var Application = (function () {
     function Application(name) {
         var _this = this;
+        /**
+         * If set to true, the audio queue of request.audioQueue() plays along with the AudioPlayer:
+         * the next track is enqueued on PlaybackNearlyFinished, the offset is recorded on
+         * PlaybackStopped and AMAZON.ResumeIntent resumes the current track. The handlers of
+         * these requests are still called, and are optional. Requires a persistenceAdapter.
+         *
+         * @type {boolean}
+         * @memberOf Application
+         */
+        this.audioQueue = false;
+        /**
+         * The locale of localized utterances, dictionary entries, custom slot type values
+         * and messages, when no locale is given or the request has none
+         *
+         * @type {string}
+         * @memberOf Application
+         */
+        this.defaultLocale = "en-US";
         /**
          * Several intents may use the same list of possible values, so you want to define
          * them in one place, not in each intent schema.
          *
+         * Each list can also be an object of lists keyed by locale.
+         *
          * @memberOf Application
          */
         this.dictionary = {};
@@ -53,8 +80,12 @@ var Application = (function () {
             // when a request and response don't contain session object
             // https://developer.amazon.com/public/solutions/alexa/alexa-skills-kit/docs/alexa-skills-kit-interface-reference#request-body-parameters
             "NO_SESSION": "This request doesn't support session attributes",
+            // when persistent attributes are used without a persistence adapter, user or device ID
+            "NO_PERSISTENCE": "This request doesn't support persistent attributes",
             // if some other exception happens
-            "GENERIC_ERROR": "Sorry, the application encountered an error"
+            "GENERIC_ERROR": "Sorry, the application encountered an error",
+            // when an output speech exceeding the limits of Alexa was split, see speechOverflow
+            "SPEECH_OVERFLOW_PROMPT": "Would you like to hear more?"
         };
         /**
          * By default, alexa-app will persist every request session attribute into the response.
@@ -66,6 +97,22 @@ var Application = (function () {
          * @memberOf Application
          */
         this.persistentSession = true;
+        /**
+         * The store of attributes which persist beyond the session, available as
+         * `request.persistent`. Attributes are loaded before the request is handled and
+         * saved when the response is sent.
+         *
+         * @type {PersistenceAdapter}
+         * @memberOf Application
+         */
+        this.persistenceAdapter = null;
+        /**
+         * Store the persistent attributes per "userId" or per "deviceId"
+         *
+         * @type {string}
+         * @memberOf Application
+         */
+        this.persistenceKey = "userId";
         /**
          * The last thing executed for every request. It is even called if there is an
          * exception or if a response has already been sent.
@@ -89,10 +136,42 @@ var Application = (function () {
          * @memberOf Application
          */
         this.pre = function () { };
+        /**
+         * The resource bundles of response.sayKey(), keyed by locale or language. Strings
+         * missing in the bundle of the request locale are looked up in the one of defaultLocale.
+         *
+         * @type {Object}
+         * @memberOf Application
+         */
+        this.resources = {};
+        /**
+         * What happens to an output speech exceeding the limits of Alexa, 8000 characters and 5
+         * <audio> tags: "throw" an error, "truncate" it at a sentence boundary, or "split" it and
+         * ask the SPEECH_OVERFLOW_PROMPT message, continuing when the user answers AMAZON.YesIntent.
+         * False sends the output speech unchecked.
+         *
+         * @type {(boolean | string)}
+         * @memberOf Application
+         */
+        this.speechOverflow = "throw";
+        /**
+         * Whether response.say() and response.reprompt() check the SSML against the tags and
+         * attributes Alexa supports: false, "warn" to log the problems or "throw" to throw
+         *
+         * @type {(boolean | string)}
+         * @memberOf Application
+         */
+        this.strictSSML = false;
         this.audioPlayerEventHandlers = {};
+        this.customSlotTypes = {};
+        this.exceptionEncounteredFunc = null;
         this.intents = {};
         this.launchFunc = null;
+        this.middlewares = [];
+        this.playbackControllerEventHandlers = {};
         this.sessionEndedFunc = null;
+        this.states = {};
+        this.unhandledFunc = null;
         this.express = function (options) {
             if (!options.expressApp) {
                 throw new Error("You must specify an express instance to attach to.");
@@ -113,6 +192,9 @@ var Application = (function () {
                     else if (typeof req.query["utterances"] != "undefined") {
                         res.set("Content-Type", "text/plain").send(_this.utterances());
                     }
+                    else if (typeof req.query["interactionModel"] != "undefined") {
+                        res.set("Content-Type", "text/plain").send(_this.interactionModel());
+                    }
                     else {
                         res.render("test", {
                             "app": _this,
@@ -181,6 +263,102 @@ var Application = (function () {
         this.lambda = function () {
             return _this.handler;
         };
+        /**
+         * Return the complete generated interaction model, as accepted by the skill builder.
+         * The model contains the invocation name, every intent with its slots and expanded
+         * sample utterances (built-in intents included), the custom slot types defined with
+         * customSlotType() and the custom slot types whose values are defined in the dictionary.
+         *
+         * @param {Object} [options] Generation options
+         * @param {string} [options.invocationName] The invocation name, defaults to the application name
+         * @param {string} [options.locale] The locale of the utterances and slot type values, defaults to defaultLocale
+         * @returns {string} String representation of the interaction model's JSON object
+         *
+         * @memberOf Application
+         */
+        this.interactionModel = function (options) {
+            options = Defaults(options || {}, { invocationName: _this.name });
+            var languageModel = {
+                "invocationName": options.invocationName,
+                "intents": [],
+                "types": []
+            };
+            var types = {};
+            var dialog = { "intents": [] };
+            var intentName, intent, key, prompts = [];
+            for (key in _this.customSlotTypes) {
+                _this.addTypeValues(types, key, _this.localized(_this.customSlotTypes[key], options.locale) || []);
+            }
+            var _loop_1 = function () {
+                intent = _this.intents[intentName];
+                var intentModel = { "name": intent.name };
+                var slots = (intent.schema && intent.schema.slots) || {};
+                var dictionary = _this.utteranceDictionary(options.locale);
+                var utterances = _this.intentUtterances(intent, options.locale);
+                if (Object.keys(slots).length > 0) {
+                    intentModel["slots"] = [];
+                    for (key in slots) {
+                        var slotModel = {
+                            "name": key,
+                            "type": slots[key]
+                        };
+                        if (intent.dialog && intent.dialog.slots[key] && intent.dialog.slots[key].samples.length > 0) {
+                            slotModel["samples"] = _this.languageModelSamples(intent.dialog.slots[key].samples, slots, options.locale);
+                        }
+                        intentModel.slots.push(slotModel);
+                    }
+                }
+                intentModel["samples"] = _this.languageModelSamples(utterances, slots, options.locale);
+                // dictionary entries used for a custom slot are the values of its type
+                utterances.forEach(function (sample) {
+                    var placeholder = /\{([^{}|]+)\|([^{}|]+)\}/g;
+                    var match;
+                    while ((match = placeholder.exec(sample)) !== null) {
+                        if (dictionary[match[1]] && slots[match[2]]) {
+                            _this.addTypeValues(types, slots[match[2]], dictionary[match[1]]);
+                        }
+                    }
+                });
+                for (key in slots) {
+                    if (dictionary[slots[key]]) {
+                        _this.addTypeValues(types, slots[key], dictionary[slots[key]]);
+                    }
+                }
+                languageModel.intents.push(intentModel);
+                if (intent.dialog) {
+                    dialog.intents.push(intent.dialog.model());
+                    prompts = prompts.concat(intent.dialog.prompts());
+                }
+            };
+            for (intentName in _this.intents) {
+                _loop_1();
+            }
+            // send utterances matching no intent to the unhandled handlers
+            if (typeof _this.intents[FALLBACK_INTENT] == "undefined" && _this.hasUnhandledHandler()) {
+                languageModel.intents.push({ "name": FALLBACK_INTENT, "samples": [] });
+            }
+            for (key in types) {
+                languageModel.types.push({
+                    "name": key,
+                    "values": types[key].map(function (value) {
+                        var typeValue = { "name": { "value": value.value } };
+                        if (value.id) {
+                            typeValue = { "id": value.id, "name": typeValue.name };
+                        }
+                        if (value.synonyms && value.synonyms.length > 0) {
+                            typeValue.name.synonyms = value.synonyms;
+                        }
+                        return typeValue;
+                    })
+                });
+            }
+            var model = { "languageModel": languageModel };
+            if (dialog.intents.length > 0) {
+                model["dialog"] = dialog;
+                model["prompts"] = prompts;
+            }
+            return JSON.stringify({ "interactionModel": model }, null, 3);
+        };
         /**
          * Handle an Alexa request by accepting a JSON response and returning a Promise
          * containing the response JSON. Your calling environment should then insert
@@ -194,20 +372,23 @@ var Application = (function () {
         this.request = function (request_json) {
             return new Promise(function (resolve, reject) {
                 var request = new Request_1.Request(request_json);
-                var response = new Response_1.Response(request.getSession());
+                var response = new Response_1.Response(request.getSession(), request, new Resources_1.Resources(_this.resources, _this.defaultLocale));
+                response.speechOverflow = _this.speechOverflow;
+                response.speechOverflowPrompt = _this.message("SPEECH_OVERFLOW_PROMPT", request.locale);
+                response.strictSSML = _this.strictSSML;
                 var requestType = request.type();
                 // error handling when a request fails in any way
                 var handleError = function (e) {
                     if (typeof _this.error == "function") {
                         _this.error(e, request, response);
                     }
-                    else if (typeof e == "string" && _this.messages[e]) {
-                        if (!request.isAudioPlayer()) {
-                            response.say(_this.messages[e]);
+                    else if (typeof e == "string" && _this.message(e, request.locale)) {
+                        if (!request.isAudioPlayer() && !request.isPlaybackController() && "System.ExceptionEncountered" !== requestType) {
+                            response.say(_this.message(e, request.locale));
                             response.send(e);
                         }
                         else {
-                            response.fail(_this.messages[e]);
+                            response.fail(_this.message(e, request.locale));
                         }
                     }
                     if (!response.resolved) {
@@ -221,57 +402,178 @@ var Application = (function () {
                 };
                 // prevent callback handler (request resolution) from being called multiple times
                 var callbackHandlerCalled = false;
-                // sends the request or handles an error if an error is passed into the callback
+                // resolves or rejects the Promise of the request handler, see handleRequest
+                var handlerCompleted = function () { };
+                // completes the request handler or handles an error if an error is passed into the callback
                 var callbackHandler = function (e) {
                     if (callbackHandlerCalled) {
                         console.warn("Response has already been sent");
                         return;
                     }
                     callbackHandlerCalled = true;
-                    if (e) {
-                        handleError(e);
+                    handlerCompleted(e);
+                };
+                // the user or device ID the persistent attributes are stored for
+                var persistenceId = ("deviceId" === _this.persistenceKey) ? request.deviceId : request.userId;
+                // load the persistent attributes before the request is handled
+                var loadPersistent = function () {
+                    if (!_this.persistenceAdapter || !persistenceId) {
+                        return Promise.resolve();
                     }
-                    else {
-                        response.send();
+                    return Promise.resolve(_this.persistenceAdapter.get(persistenceId))
+                        .then(function (attributes) {
+                        request.persistent = new PersistentAttributes_1.PersistentAttributes(persistenceId, attributes);
+                    });
+                };
+                // save the persistent attributes if they were updated, delete them if they were cleared
+                var savePersistent = function () {
+                    if (!_this.persistenceAdapter || !request.persistent.isChanged()) {
+                        return Promise.resolve();
+                    }
+                    var attributes = request.persistent.getAttributes();
+                    if (Object.keys(attributes).length > 0) {
+                        return Promise.resolve(_this.persistenceAdapter.save(persistenceId, attributes));
                     }
+                    return Promise.resolve(_this.persistenceAdapter.delete(persistenceId));
                 };
                 var postExecuted = false;
-                // attach Promise resolve/reject functions to the response object
-                response.send = function (exception) {
-                    response.prepare();
-                    // execute the post function if it hasn't been triggered yet
-                    if (typeof _this.post == "function" && !postExecuted) {
-                        postExecuted = true;
-                        _this.post(request, response, requestType, exception);
+                var postRunning = false;
+                var prepareFailed = false;
+                var settle = null;
+                // the first send() or fail() settles the request once post() has completed,
+                // post() itself may still replace the outcome by calling send() or fail()
+                var complete = function (exception, outcome, failure) {
+                    // a response Alexa would reject is handled like an error of the handler,
+                    // failing it afterwards doesn't check the response again
+                    if (!failure || !prepareFailed) {
+                        try {
+                            response.prepare();
+                        }
+                        catch (e) {
+                            if (prepareFailed) {
+                                response.fail("Unhandled exception: " + e.message + ".", e);
+                            }
+                            else {
+                                prepareFailed = true;
+                                handleError(e);
+                            }
+                            return;
+                        }
                     }
-                    // resolve the process
-                    if (!response.resolved) {
-                        response.resolved = true;
-                        resolve(response.response);
+                    // a handler sending the response itself is completed
+                    handlerCompleted();
+                    if (response.resolved && !postRunning) {
+                        return;
                     }
+                    response.resolved = true;
+                    settle = outcome;
+                    if (postExecuted) {
+                        if (!postRunning) {
+                            settle();
+                        }
+                        return;
+                    }
+                    // execute the post function and wait for the Promise it may return
+                    postExecuted = true;
+                    postRunning = true;
+                    Promise.try(function () {
+                        if (typeof _this.post == "function") {
+                            return _this.post(request, response, requestType, exception);
+                        }
+                    })
+                        .then(function () {
+                        postRunning = false;
+                        settle();
+                    }, function (e) {
+                        // a failing post() hands the response over to the error handling
+                        postRunning = false;
+                        response.resolved = false;
+                        handleError(e);
+                    })
+                        .catch(reject);
+                };
+                // attach Promise resolve/reject functions to the response object
+                response.send = function (exception) {
+                    complete(exception, function () {
+                        // resolve the process once the persistent attributes are saved
+                        savePersistent()
+                            .then(function () {
+                            resolve(response.response);
+                        })
+                            .catch(reject);
+                    }, false);
                 };
                 response.fail = function (msg, exception) {
-                    response.prepare();
-                    // execute the post function if it hasn't been triggered yet
-                    if (typeof _this.post == "function" && !postExecuted) {
-                        postExecuted = true;
-                        _this.post(request, response, requestType, exception);
-                    }
-                    if (!response.resolved) {
-                        response.resolved = true;
+                    complete(exception, function () {
                         reject(msg);
-                    }
+                    }, true);
                 };
-                try {
-                    // Trigger the pre-function handler
-                    if (typeof _this.pre == "function") {
-                        _this.pre(request, response, requestType);
-                    }
-                    if (!response.resolved) {
+                // call the handler of the request, the returned Promise is resolved when the handler completes
+                var handleRequest = function () {
+                    return new Promise(function (resolveHandler, rejectHandler) {
+                        handlerCompleted = function (e) {
+                            if (e) {
+                                rejectHandler(e);
+                            }
+                            else {
+                                resolveHandler();
+                            }
+                        };
+                        // call the handler of an AudioPlayer or PlaybackController event, if any
+                        var handleEvent = function (eventHandlerObject, requestName) {
+                            if (typeof eventHandlerObject == "undefined" || typeof eventHandlerObject["function"] != "function") {
+                                callbackHandler();
+                                return;
+                            }
+                            var eventHandlerResult = eventHandlerObject["function"](request, response, callbackHandler);
+                            if (eventHandlerResult && eventHandlerResult.then) {
+                                Promise.resolve(eventHandlerResult).asCallback(callbackHandler);
+                            }
+                            else if (false !== eventHandlerResult) {
+                                callbackHandler();
+                            }
+                            else {
+                                console.trace("NOTE: using `return false` for async " + requestName + " requests is deprecated and will not work after the next major version");
+                            }
+                        };
+                        var state = _this.states[request.state()];
                         if ("IntentRequest" === requestType) {
                             var intent = request_json.request.intent.name;
-                            if (typeof _this.intents[intent] != "undefined" && typeof _this.intents[intent]["function"] == "function") {
-                                var intentResult = _this.intents[intent]["function"](request, response, callbackHandler);
+                            var overflow = request.hasSession() ? request.getSession().get(Session_1.SPEECH_OVERFLOW_ATTRIBUTE) : undefined;
+                            // the rest of a split output speech is only offered once
+                            if (typeof overflow != "undefined") {
+                                request.getSession().clear(Session_1.SPEECH_OVERFLOW_ATTRIBUTE);
+                                if ("AMAZON.YesIntent" === intent) {
+                                    response.say(overflow.speech).shouldEndSession(overflow.shouldEndSession);
+                                    if (overflow.reprompt) {
+                                        response.reprompt(overflow.reprompt);
+                                    }
+                                    callbackHandler();
+                                    return;
+                                }
+                            }
+                            // the handler of the current state first, then the stateless handler
+                            var intentFunc = state && state.intents[intent];
+                            if (typeof intentFunc != "function" && typeof _this.intents[intent] != "undefined") {
+                                intentFunc = _this.intents[intent]["function"];
+                            }
+                            if (typeof intentFunc != "function" && state) {
+                                intentFunc = state.unhandled;
+                            }
+                            // the audio queue resumes before the handler of AMAZON.ResumeIntent, which is optional
+                            if (_this.audioQueue && "AMAZON.ResumeIntent" === intent) {
+                                request.audioQueue().handle(request, response);
+                                if (typeof intentFunc != "function") {
+                                    intentFunc = function () { };
+                                }
+                            }
+                            if (typeof intentFunc != "function") {
+                                intentFunc = _this.unhandledFunc;
+                            }
+                            if (typeof intentFunc == "function") {
+                                // run the dialog until all required slots are filled before calling the handler
+                                var dialog = _this.intents[intent] && _this.intents[intent].dialog;
+                                var intentResult = (dialog && dialog.handle(request, response)) ? undefined : intentFunc(request, response, callbackHandler);
                                 if (intentResult && intentResult.then) {
                                     Promise.resolve(intentResult).asCallback(callbackHandler);
                                 }
@@ -287,8 +589,9 @@ var Application = (function () {
                             }
                         }
                         else if ("LaunchRequest" === requestType) {
-                            if (typeof _this.launchFunc == "function") {
-                                var launchResult = _this.launchFunc(request, response, callbackHandler);
+                            var launchFunc = (state && state.launch) || _this.launchFunc;
+                            if (typeof launchFunc == "function") {
+                                var launchResult = launchFunc(request, response, callbackHandler);
                                 if (launchResult && launchResult.then) {
                                     Promise.resolve(launchResult).asCallback(callbackHandler);
                                 }
@@ -317,36 +620,72 @@ var Application = (function () {
                                 }
                             }
                             else {
-                                response.send();
+                                callbackHandler();
                             }
                         }
                         else if (request.isAudioPlayer()) {
                             var event_1 = requestType.slice(12);
-                            var eventHandlerObject = _this.audioPlayerEventHandlers[event_1];
-                            if (typeof eventHandlerObject != "undefined" && typeof eventHandlerObject["function"] == "function") {
-                                var eventHandlerResult = eventHandlerObject["function"](request, response, callbackHandler);
-                                if (eventHandlerObject && eventHandlerObject.then) {
-                                    Promise.resolve(eventHandlerResult).asCallback(callbackHandler);
+                            if (_this.audioQueue) {
+                                request.audioQueue().handle(request, response);
+                            }
+                            handleEvent(_this.audioPlayerEventHandlers[event_1], "audio player");
+                        }
+                        else if ("System.ExceptionEncountered" === requestType) {
+                            if (typeof _this.exceptionEncounteredFunc == "function") {
+                                var exceptionEncounteredResult = _this.exceptionEncounteredFunc(request, response, callbackHandler);
+                                if (exceptionEncounteredResult && exceptionEncounteredResult.then) {
+                                    Promise.resolve(exceptionEncounteredResult).asCallback(callbackHandler);
                                 }
-                                else if (false !== eventHandlerResult) {
+                                else if (false !== exceptionEncounteredResult) {
                                     callbackHandler();
                                 }
                                 else {
-                                    console.trace("NOTE: using `return false` for async audio player requests is deprecated and will not work after the next major version");
+                                    console.trace("NOTE: using `return false` for async exception encountered requests is deprecated and will not work after the next major version");
                                 }
                             }
                             else {
-                                response.send();
+                                callbackHandler();
                             }
                         }
+                        else if (request.isPlaybackController()) {
+                            var event_2 = requestType.slice(19);
+                            handleEvent(_this.playbackControllerEventHandlers[event_2], "playback controller");
+                        }
                         else {
                             throw "INVALID_REQUEST_TYPE";
                         }
+                    });
+                };
+                // run the middlewares around the request handler, each one calling next() to run the following ones
+                var context = {
+                    "app": _this,
+                    "request": request,
+                    "response": response,
+                    "type": requestType
+                };
+                var middlewares = [_this.preMiddleware].concat(_this.middlewares);
+                var runMiddleware = function (index) {
+                    if (index == middlewares.length) {
+                        return handleRequest();
                     }
-                }
-                catch (e) {
-                    handleError(e);
-                }
+                    var nextCalled = false;
+                    return Promise.try(function () { return middlewares[index](context, function () {
+                        if (nextCalled) {
+                            return Promise.reject(new Error("next() called multiple times"));
+                        }
+                        nextCalled = true;
+                        return runMiddleware(index + 1);
+                    }); });
+                };
+                loadPersistent()
+                    .then(function () { return runMiddleware(0); })
+                    .then(function () {
+                    if (!response.resolved) {
+                        response.send();
+                    }
+                })
+                    .catch(handleError)
+                    .catch(reject);
             });
         };
         /**
@@ -375,6 +714,26 @@ var Application = (function () {
             }
             return JSON.stringify(schema, null, 3);
         };
+        /**
+         * The built-in middleware running pre() before the other middlewares. The request
+         * isn't handled if pre() sends a response.
+         *
+         * @param {Object} context The request context
+         * @param {Function} next Runs the following middlewares
+         */
+        this.preMiddleware = function (context, next) {
+            // wait for the Promise pre() may return, the handler is skipped if pre() sent the response
+            return Promise.try(function () {
+                if (typeof _this.pre == "function") {
+                    return _this.pre(context.request, context.response, context.type);
+                }
+            })
+                .then(function () {
+                if (!context.response.resolved) {
+                    return next();
+                }
+            });
+        };
         this.name = name;
     }
     /**
@@ -388,6 +747,56 @@ var Application = (function () {
             "function": func
         };
     };
+    /**
+     * Bind a function as the handler of System.ExceptionEncountered, sent when Alexa couldn't
+     * process the response to a previous request. The handler can log request.error() and
+     * request.errorCause(), but can't respond.
+     *
+     * @param {Function} func Function to bind
+     *
+     * @memberOf Application
+     */
+    Application.prototype.exceptionEncountered = function (func) {
+        this.exceptionEncounteredFunc = func;
+    };
+    /**
+     * Define a custom slot type and its values. Each value is either a string or an object
+     * with a `value`, an optional `id` and optional `synonyms`.
+     *
+     * The values are available to sample utterances like dictionary entries, using the
+     * slot type name, and are exported as a slot type of the interaction model.
+     *
+     * @param {string} typeName The name of the custom slot type
+     * @param {Array} values The values of the custom slot type
+     *
+     * @memberOf Application
+     */
+    Application.prototype.customSlotType = function (typeName, values) {
+        var normalize = function (list) {
+            if (!Array.isArray(list)) {
+                throw new Error("The values of custom slot type \"" + typeName + "\" must be an array.");
+            }
+            return list.map(function (value) {
+                if (typeof value == "string") {
+                    return { "value": value };
+                }
+                if (!value || typeof value.value != "string") {
+                    throw new Error("Every value of custom slot type \"" + typeName + "\" must have a value.");
+                }
+                return value;
+            });
+        };
+        if (values && typeof values == "object" && !Array.isArray(values)) {
+            var localized_1 = {};
+            Object.keys(values).forEach(function (locale) {
+                localized_1[locale] = normalize(values[locale]);
+            });
+            this.customSlotTypes[typeName] = localized_1;
+        }
+        else {
+            this.customSlotTypes[typeName] = normalize(values);
+        }
+    };
     /**
      * Bind a function as the launch handler
      *
@@ -427,8 +836,53 @@ var Application = (function () {
         };
         if (schema) {
             this.intents[intentName].schema = schema;
+            if (schema.dialog) {
+                this.intents[intentName].dialog = new Dialog_1.Dialog(intentName, schema);
+            }
         }
     };
+    /**
+     * Find the intent whose sample utterances match a sentence best, to test what happens
+     * when the user says it without the Alexa service. Slot values are extracted from the
+     * sentence, values of the dictionary and custom slot types make a sample match better.
+     *
+     * @param {string} sentence The spoken text, like "what is the status of JFK"
+     * @param {string} [locale] The locale of the utterances, defaults to defaultLocale
+     * @returns {any} The intent name, slot values by slot name and the matched sample utterance,
+     *                or undefined if no sample utterance matches
+     *
+     * @memberOf Application
+     */
+    Application.prototype.match = function (sentence, locale) {
+        return this.utteranceMatcher(locale).match(sentence);
+    };
+    /**
+     * Find the sample utterances shared by several intents, which Alexa can't tell apart
+     *
+     * @param {string} [locale] The locale of the utterances, defaults to defaultLocale
+     * @returns {Array} The overlaps, as { utterance, intents }
+     *
+     * @memberOf Application
+     */
+    Application.prototype.overlappingUtterances = function (locale) {
+        return this.utteranceMatcher(locale).overlaps();
+    };
+    /**
+     * Set the handler of a PlaybackController request, sent when the user presses a button
+     * of the device or of a remote control. The response may only contain AudioPlayer
+     * directives, see response.prepare().
+     *
+     * @param {string} eventName PlayCommandIssued, NextCommandIssued, PreviousCommandIssued or PauseCommandIssued
+     * @param {Function} func The function to trigger
+     *
+     * @memberOf Application
+     */
+    Application.prototype.playbackController = function (eventName, func) {
+        this.playbackControllerEventHandlers[eventName] = {
+            "name": eventName,
+            "function": func
+        };
+    };
     /**
      * Bind a function as the session ended handler
      *
@@ -439,29 +893,273 @@ var Application = (function () {
     Application.prototype.sessionEnded = function (func) {
         this.sessionEndedFunc = func;
     };
+    /**
+     * Register the handlers of a conversation state. While the conversation is in this
+     * state, requests are handled by these handlers first, then by the stateless handlers.
+     * Use response.transitionTo() to change the state.
+     *
+     * @param {string} stateName The name of the state
+     * @param {Object} handlers The `intents` handlers keyed by intent name, the `launch`
+     *                          handler and the `unhandled` handler for intents without handler
+     *
+     * @memberOf Application
+     */
+    Application.prototype.state = function (stateName, handlers) {
+        if (!stateName) {
+            throw new Error("You must specify the name of the state.");
+        }
+        handlers = handlers || {};
+        this.states[stateName] = {
+            "name": stateName,
+            "intents": handlers.intents || {},
+            "launch": handlers.launch || null,
+            "unhandled": handlers.unhandled || null
+        };
+    };
+    /**
+     * Bind a function as the handler of intents which have no handler, instead of
+     * failing with NO_INTENT_FOUND. The handler of a state takes precedence. This also
+     * adds AMAZON.FallbackIntent to the interaction model, so utterances which match no
+     * intent are sent to this handler.
+     *
+     * @param func Function to bind
+     *
+     * @memberOf Application
+     */
+    Application.prototype.unhandled = function (func) {
+        this.unhandledFunc = func;
+    };
+    /**
+     * Add a middleware which runs around the handler of every request. A middleware is
+     * called with a context object, holding the `request`, the `response`, the request
+     * `type` and the `app`, and a `next` function which runs the following middlewares
+     * and the request handler, and returns a Promise resolved when they complete.
+     * Middlewares can return a Promise, and run in the order they were added, after pre().
+     *
+     * @param {Function} middleware The middleware function
+     *
+     * @memberOf Application
+     */
+    Application.prototype.use = function (middleware) {
+        if (typeof middleware != "function") {
+            throw new Error("Middleware must be a function.");
+        }
+        this.middlewares.push(middleware);
+    };
     /**
      * Return the complete generate sample utterances.
      *
+     * @param {string} [locale] The locale of the utterances, defaults to defaultLocale
      * @returns {string} String representation of the sample utterances
      *
      * @memberOf Application
      */
-    Application.prototype.utterances = function () {
-        var _this = this;
+    Application.prototype.utterances = function (locale) {
         var intentName, intent, out = "";
         for (intentName in this.intents) {
             intent = this.intents[intentName];
-            if (intent.schema && intent.schema.utterances) {
-                intent.schema.utterances.forEach(function (sample) {
-                    var list = AlexaUtterances(sample, intent.schema.slots, _this.dictionary, _this.exhaustiveUtterances);
-                    list.forEach(function (utterance) {
-                        out += intent.name + "\t" + (utterance.replace(/\s+/g, " ")).trim() + "\n";
-                    });
-                });
+            this.expandUtterances(this.intentUtterances(intent, locale), intent.schema && intent.schema.slots, locale).forEach(function (utterance) {
+                out += intent.name + "\t" + utterance + "\n";
+            });
+        }
+        return out;
+    };
+    /**
+     * Check the intents, slots and utterances for problems the Alexa console rejects,
+     * which are errors, or handles badly, which are warnings
+     *
+     * @param {any} [options] The invocationName, which defaults to the app name, the locale,
+     *                        which defaults to defaultLocale, and the maxUtterances
+     * @returns {any} The errors and warnings, each with a code and a message,
+     *                and the intent, slot, type or utterance concerned
+     *
+     * @memberOf Application
+     */
+    Application.prototype.validateModel = function (options) {
+        var languageModel = JSON.parse(this.interactionModel(options)).interactionModel.languageModel;
+        var schemas = {};
+        var intentName;
+        for (intentName in this.intents) {
+            schemas[this.intents[intentName].name] = Defaults({
+                "utterances": this.intentUtterances(this.intents[intentName], options && options.locale)
+            }, this.intents[intentName].schema);
+        }
+        var locale = options && options.locale;
+        return new ModelValidator_1.ModelValidator(languageModel, schemas, this.utteranceDictionary(locale), this.utteranceMatcher(locale), options).validate();
+    };
+    /**
+     * Add values to a custom slot type, built-in AMAZON types are left alone
+     *
+     * @param {Object} types The slot type values collected so far, keyed by type name
+     * @param {string} typeName The name of the slot type
+     * @param {Array} values The values to add, as strings or custom slot type values
+     */
+    Application.prototype.addTypeValues = function (types, typeName, values) {
+        if (0 === typeName.indexOf("AMAZON.")) {
+            return;
+        }
+        types[typeName] = types[typeName] || [];
+        values.forEach(function (value) {
+            if (typeof value == "string") {
+                value = { "value": value };
+            }
+            var exists = types[typeName].some(function (typeValue) {
+                return typeValue.value == value.value;
+            });
+            if (!exists) {
+                types[typeName].push(value);
             }
+        });
+    };
+    /**
+     * Expand sample utterances using alexa-utterances
+     *
+     * @param {string[]} samples The sample utterances
+     * @param {Object} slots The slots of the intent
+     * @returns {string[]} The expanded sample utterances
+     */
+    Application.prototype.expandUtterances = function (samples, slots, locale) {
+        var _this = this;
+        var out = [];
+        samples.forEach(function (sample) {
+            var list = AlexaUtterances(sample, slots, _this.utteranceDictionary(locale), _this.exhaustiveUtterances);
+            list.forEach(function (utterance) {
+                out.push((utterance.replace(/\s+/g, " ")).trim());
+            });
+        });
+        return out;
+    };
+    /**
+     * Returns true if an unhandled handler is registered for the application or a state
+     *
+     * @returns {boolean}
+     */
+    Application.prototype.hasUnhandledHandler = function () {
+        var _this = this;
+        if (typeof this.unhandledFunc == "function") {
+            return true;
+        }
+        return Object.keys(this.states).some(function (stateName) {
+            return typeof _this.states[stateName].unhandled == "function";
+        });
+    };
+    /**
+     * The sample utterances of an intent in a locale
+     *
+     * @param {any} intent The intent
+     * @param {string} [locale] The locale, defaults to defaultLocale
+     * @returns {string[]}
+     */
+    Application.prototype.intentUtterances = function (intent, locale) {
+        return this.localized(intent.schema && intent.schema.utterances, locale) || [];
+    };
+    /**
+     * The value for a locale of a value which is either the same for every locale, or an
+     * object keyed by locale. The language of the locale is looked up as well, so "en" is
+     * used for both "en-US" and "en-GB" if they are missing.
+     *
+     * @param {any} value
+     * @param {string} [locale] The locale, defaults to defaultLocale
+     * @returns {any} The value, or undefined if the locale is missing
+     */
+    Application.prototype.localized = function (value, locale) {
+        if (!value || typeof value != "object" || Array.isArray(value)) {
+            return value;
+        }
+        locale = locale || this.defaultLocale;
+        if (typeof value[locale] != "undefined") {
+            return value[locale];
         }
+        return value[locale.split("-")[0]];
+    };
+    /**
+     * The message for an error in a locale, falling back to the default locale
+     *
+     * @param {string} key The error, like NO_INTENT_FOUND
+     * @param {string} [locale] The locale of the request
+     * @returns {string}
+     */
+    Application.prototype.message = function (key, locale) {
+        var message = this.localized(this.messages[key], locale);
+        return typeof message != "undefined" ? message : this.localized(this.messages[key], this.defaultLocale);
+    };
+    /**
+     * Expand sample utterances for the interaction model. The language model references
+     * slots by name only, so the sample values alexa-utterances inserts in front of the
+     * slot names are dropped.
+     *
+     * @param {string[]} samples The sample utterances
+     * @param {Object} slots The slots of the intent
+     * @returns {string[]} The unique expanded sample utterances
+     */
+    Application.prototype.languageModelSamples = function (samples, slots, locale) {
+        var out = [];
+        this.expandUtterances(samples, slots, locale).forEach(function (utterance) {
+            var sample = utterance.replace(/\{[^{}|]*\|([^{}|]+)\}/g, "{$1}");
+            if (out.indexOf(sample) == -1) {
+                out.push(sample);
+            }
+        });
         return out;
     };
+    /**
+     * The values and synonyms of a custom slot type, or of the dictionary entry named after the type
+     *
+     * @param {string} typeName
+     * @param {string} [locale]
+     * @returns {string[]}
+     */
+    Application.prototype.slotTypeValues = function (typeName, locale) {
+        if (this.customSlotTypes[typeName]) {
+            return (this.localized(this.customSlotTypes[typeName], locale) || []).reduce(function (values, value) {
+                return values.concat(value.value, value.synonyms || []);
+            }, []);
+        }
+        return this.localized(this.dictionary[typeName], locale) || [];
+    };
+    /**
+     * The dictionary used to expand sample utterances, including the values of custom slot types
+     *
+     * @param {string} [locale]
+     * @returns {Object} The list of values, keyed by dictionary entry or custom slot type name
+     */
+    Application.prototype.utteranceDictionary = function (locale) {
+        var dictionary = {};
+        var key;
+        for (key in this.customSlotTypes) {
+            dictionary[key] = (this.localized(this.customSlotTypes[key], locale) || []).map(function (value) { return value.value; });
+        }
+        for (key in this.dictionary) {
+            if (typeof dictionary[key] == "undefined" && this.localized(this.dictionary[key], locale)) {
+                dictionary[key] = this.localized(this.dictionary[key], locale);
+            }
+        }
+        return dictionary;
+    };
+    /**
+     * A matcher of the expanded sample utterances of every intent, with the slot values of their schemas
+     *
+     * @param {string} [locale]
+     * @returns {UtteranceMatcher}
+     */
+    Application.prototype.utteranceMatcher = function (locale) {
+        var utterances = [];
+        var slotValues = {};
+        var intentName, intent, slotName;
+        for (intentName in this.intents) {
+            intent = this.intents[intentName];
+            slotValues[intent.name] = {};
+            if (intent.schema && intent.schema.slots) {
+                for (slotName in intent.schema.slots) {
+                    slotValues[intent.name][slotName] = this.slotTypeValues(intent.schema.slots[slotName], locale);
+                }
+            }
+            this.expandUtterances(this.intentUtterances(intent, locale), intent.schema && intent.schema.slots, locale).forEach(function (utterance) {
+                utterances.push({ "intent": intent.name, "utterance": utterance });
+            });
+        }
+        return new UtteranceMatcher_1.UtteranceMatcher(utterances, slotValues);
+    };
     return Application;
 }());
 exports.Application = Application;
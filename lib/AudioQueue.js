@@ -0,0 +1,325 @@
+"use strict";
+// the persistent attribute holding the audio queue of the user
+exports.AUDIO_QUEUE_ATTRIBUTE = "audioQueue";
+var AudioQueue = (function () {
+    function AudioQueue(persistent) {
+        /**
+         * The position of the current track in the play order
+         */
+        this.index = 0;
+        this.looping = false;
+        this.offsetInMilliseconds = 0;
+        /**
+         * The play order, a list of indexes of the tracks
+         */
+        this.order = [];
+        this.queue = [];
+        this.shuffled = false;
+        var state = persistent.get(exports.AUDIO_QUEUE_ATTRIBUTE);
+        this.persistent = persistent;
+        if (state) {
+            this.index = state.index;
+            this.looping = state.loop;
+            this.offsetInMilliseconds = state.offsetInMilliseconds;
+            this.order = state.order;
+            this.shuffled = state.shuffle;
+            this.queue = state.tracks;
+        }
+    }
+    /**
+     * Add tracks to the end of the queue
+     *
+     * @param {(Object | Object[])} tracks Each track with a unique token, the https url of the
+     *   stream and any other properties, like { token: "episode-1", url: "https://…", title: "…" }
+     * @returns {AudioQueue}
+     *
+     * @memberOf AudioQueue
+     */
+    AudioQueue.prototype.add = function (tracks) {
+        var _this = this;
+        [].concat(tracks).forEach(function (track) {
+            if (!track || !track.token || !track.url) {
+                throw new Error("A track of the audio queue needs a token and a url.");
+            }
+            _this.order.push(_this.queue.length);
+            _this.queue.push(track);
+        });
+        return this.save();
+    };
+    /**
+     * Remove every track from the queue
+     *
+     * @returns {AudioQueue}
+     *
+     * @memberOf AudioQueue
+     */
+    AudioQueue.prototype.clear = function () {
+        this.index = 0;
+        this.offsetInMilliseconds = 0;
+        this.order = [];
+        this.queue = [];
+        return this.save();
+    };
+    /**
+     * Return the current track
+     *
+     * @returns {Object} The track, or null if the queue is empty
+     *
+     * @memberOf AudioQueue
+     */
+    AudioQueue.prototype.current = function () {
+        return this.index < this.order.length ? this.queue[this.order[this.index]] : null;
+    };
+    /**
+     * Enqueue the track following the current one after the stream playing, see peek()
+     *
+     * @param {Response} response
+     * @returns {boolean} True if a track was enqueued, false at the end of the queue
+     *
+     * @memberOf AudioQueue
+     */
+    AudioQueue.prototype.enqueue = function (response) {
+        var current = this.current();
+        var next = this.peek();
+        if (!next) {
+            return false;
+        }
+        response.audioPlayerEnqueue({
+            "expectedPreviousToken": current.token,
+            "token": next.token,
+            "url": next.url
+        });
+        return true;
+    };
+    /**
+     * Keep the queue in sync with the AudioPlayer: the playing track becomes the current one,
+     * the following track is enqueued when the current one nearly finished, the offset is
+     * recorded when the playback stopped, and AMAZON.ResumeIntent plays the current track
+     * from that offset.
+     *
+     * @param {Request} request
+     * @param {Response} response
+     *
+     * @memberOf AudioQueue
+     */
+    AudioQueue.prototype.handle = function (request, response) {
+        var audioPlayer = request.audioPlayer() || {};
+        switch (request.type()) {
+            case "AudioPlayer.PlaybackStarted":
+            case "AudioPlayer.PlaybackStopped":
+                if (this.jump(audioPlayer.token)) {
+                    this.offset(audioPlayer.offsetInMilliseconds || 0);
+                }
+                break;
+            case "AudioPlayer.PlaybackNearlyFinished":
+                if (this.jump(audioPlayer.token)) {
+                    this.enqueue(response);
+                }
+                break;
+            case "IntentRequest":
+                if ("AMAZON.ResumeIntent" === request.intentName()) {
+                    this.play(response);
+                }
+                break;
+            default:
+                break;
+        }
+    };
+    /**
+     * Make the track with the given token the current one
+     *
+     * @param {string} token
+     * @returns {boolean} False if the queue has no track with the token
+     *
+     * @memberOf AudioQueue
+     */
+    AudioQueue.prototype.jump = function (token) {
+        var current = this.current();
+        if (current && current.token === token) {
+            return true;
+        }
+        for (var index = 0; index < this.order.length; index++) {
+            if (this.queue[this.order[index]].token === token) {
+                this.index = index;
+                this.offsetInMilliseconds = 0;
+                this.save();
+                return true;
+            }
+        }
+        return false;
+    };
+    /**
+     * Return or set whether the queue starts over after the last track
+     *
+     * @param {boolean} [enabled]
+     * @returns {(boolean | AudioQueue)} Whether the queue loops, or the queue when set
+     *
+     * @memberOf AudioQueue
+     */
+    AudioQueue.prototype.loop = function (enabled) {
+        if (typeof enabled == "undefined") {
+            return this.looping;
+        }
+        this.looping = enabled;
+        return this.save();
+    };
+    /**
+     * Move to the following track, see peek()
+     *
+     * @returns {Object} The track, or null at the end of the queue
+     *
+     * @memberOf AudioQueue
+     */
+    AudioQueue.prototype.next = function () {
+        return this.move(1);
+    };
+    /**
+     * Return or set the offset of the current track where playback resumes
+     *
+     * @param {number} [offsetInMilliseconds]
+     * @returns {(number | AudioQueue)} The offset, or the queue when set
+     *
+     * @memberOf AudioQueue
+     */
+    AudioQueue.prototype.offset = function (offsetInMilliseconds) {
+        if (typeof offsetInMilliseconds == "undefined") {
+            return this.offsetInMilliseconds;
+        }
+        this.offsetInMilliseconds = offsetInMilliseconds;
+        return this.save();
+    };
+    /**
+     * Return the track following the current one, the first one of a looping queue
+     * after the last track
+     *
+     * @returns {Object} The track, or null at the end of the queue
+     *
+     * @memberOf AudioQueue
+     */
+    AudioQueue.prototype.peek = function () {
+        var index = this.position(1);
+        return index === null ? null : this.queue[this.order[index]];
+    };
+    /**
+     * Play the current track from the recorded offset, replacing the streams of the AudioPlayer
+     *
+     * @param {Response} response
+     * @returns {boolean} False if the queue is empty
+     *
+     * @memberOf AudioQueue
+     */
+    AudioQueue.prototype.play = function (response) {
+        var current = this.current();
+        if (!current) {
+            return false;
+        }
+        response.audioPlayerReplaceAll({
+            "offsetInMilliseconds": this.offsetInMilliseconds,
+            "token": current.token,
+            "url": current.url
+        });
+        return true;
+    };
+    /**
+     * Move to the track before the current one
+     *
+     * @returns {Object} The track, or null at the start of the queue
+     *
+     * @memberOf AudioQueue
+     */
+    AudioQueue.prototype.previous = function () {
+        return this.move(-1);
+    };
+    /**
+     * Return or set whether the tracks are played in random order. The current track stays
+     * the current one.
+     *
+     * @param {boolean} [enabled]
+     * @returns {(boolean | AudioQueue)} Whether the queue is shuffled, or the queue when set
+     *
+     * @memberOf AudioQueue
+     */
+    AudioQueue.prototype.shuffle = function (enabled) {
+        if (typeof enabled == "undefined") {
+            return this.shuffled;
+        }
+        var current = this.order[this.index];
+        var order = this.queue.map(function (track, index) { return index; });
+        if (enabled && order.length > 0) {
+            // the current track first, followed by the others in random order
+            order.splice(current, 1);
+            for (var index = order.length - 1; index > 0; index--) {
+                var other = Math.floor(Math.random() * (index + 1));
+                var track = order[index];
+                order[index] = order[other];
+                order[other] = track;
+            }
+            order.unshift(current);
+        }
+        this.shuffled = enabled;
+        this.order = order;
+        this.index = Math.max(order.indexOf(current), 0);
+        return this.save();
+    };
+    /**
+     * Return the state of the queue as it's persisted
+     *
+     * @returns {Object}
+     *
+     * @memberOf AudioQueue
+     */
+    AudioQueue.prototype.toJSON = function () {
+        return {
+            "index": this.index,
+            "loop": this.looping,
+            "offsetInMilliseconds": this.offsetInMilliseconds,
+            "order": this.order,
+            "shuffle": this.shuffled,
+            "tracks": this.queue
+        };
+    };
+    /**
+     * Return the tracks in play order
+     *
+     * @returns {Object[]}
+     *
+     * @memberOf AudioQueue
+     */
+    AudioQueue.prototype.tracks = function () {
+        var _this = this;
+        return this.order.map(function (index) { return _this.queue[index]; });
+    };
+    AudioQueue.prototype.move = function (step) {
+        var index = this.position(step);
+        if (index === null) {
+            return null;
+        }
+        this.index = index;
+        this.offsetInMilliseconds = 0;
+        this.save();
+        return this.current();
+    };
+    /**
+     * The position in the play order a number of steps away from the current track
+     *
+     * @param {number} step
+     * @returns {number} The position, or null if it's outside of a queue which doesn't loop
+     */
+    AudioQueue.prototype.position = function (step) {
+        var index = this.index + step;
+        if (this.order.length === 0) {
+            return null;
+        }
+        if (this.looping) {
+            return (index % this.order.length + this.order.length) % this.order.length;
+        }
+        return (index >= 0 && index < this.order.length) ? index : null;
+    };
+    AudioQueue.prototype.save = function () {
+        this.persistent.set(exports.AUDIO_QUEUE_ATTRIBUTE, this.toJSON());
+        return this;
+    };
+    return AudioQueue;
+}());
+exports.AudioQueue = AudioQueue;
+//# sourceMappingURL=AudioQueue.js.map
\ No newline at end of file
@@ -0,0 +1,2 @@
+"use strict";
+//# sourceMappingURL=AudioStream.js.map
\ No newline at end of file
@@ -0,0 +1,59 @@
+"use strict";
+var Promise = require("bluebird");
+var fs = require("fs");
+var path = require("path");
+var mkdir = Promise.promisify(fs.mkdir);
+var readFile = Promise.promisify(fs.readFile);
+var unlink = Promise.promisify(fs.unlink);
+var writeFile = Promise.promisify(fs.writeFile);
+/**
+ * Keeps persistent attributes in a directory, one JSON file per user or device.
+ */
+var FilePersistenceAdapter = (function () {
+    function FilePersistenceAdapter(directory) {
+        if (!directory) {
+            throw new Error("You must specify a directory to store persistent attributes in.");
+        }
+        this.directory = directory;
+    }
+    FilePersistenceAdapter.prototype.delete = function (id) {
+        return unlink(this.file(id))
+            .catch(function (e) {
+            if ("ENOENT" !== e.code) {
+                throw e;
+            }
+        });
+    };
+    FilePersistenceAdapter.prototype.get = function (id) {
+        return readFile(this.file(id), "utf8")
+            .then(JSON.parse)
+            .catch(function (e) {
+            if ("ENOENT" !== e.code) {
+                throw e;
+            }
+            return {};
+        });
+    };
+    FilePersistenceAdapter.prototype.save = function (id, attributes) {
+        var _this = this;
+        return mkdir(this.directory)
+            .catch(function (e) {
+            if ("EEXIST" !== e.code) {
+                throw e;
+            }
+        })
+            .then(function () { return writeFile(_this.file(id), JSON.stringify(attributes), "utf8"); });
+    };
+    /**
+     * The file the attributes of a user or device are stored in
+     *
+     * @param {string} id The user or device ID
+     * @returns {string} The file path
+     */
+    FilePersistenceAdapter.prototype.file = function (id) {
+        return path.join(this.directory, encodeURIComponent(id) + ".json");
+    };
+    return FilePersistenceAdapter;
+}());
+exports.FilePersistenceAdapter = FilePersistenceAdapter;
+//# sourceMappingURL=FilePersistenceAdapter.js.map
\ No newline at end of file
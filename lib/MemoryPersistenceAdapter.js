@@ -0,0 +1,26 @@
+"use strict";
+var Promise = require("bluebird");
+/**
+ * Keeps persistent attributes in memory, useful for tests and local development.
+ * Everything is lost when the process exits.
+ */
+var MemoryPersistenceAdapter = (function () {
+    function MemoryPersistenceAdapter() {
+        this.store = {};
+    }
+    MemoryPersistenceAdapter.prototype.delete = function (id) {
+        delete this.store[id];
+        return Promise.resolve();
+    };
+    MemoryPersistenceAdapter.prototype.get = function (id) {
+        // attributes are stored serialized, so updates to the returned object are not saved
+        return Promise.resolve(this.store[id] ? JSON.parse(this.store[id]) : {});
+    };
+    MemoryPersistenceAdapter.prototype.save = function (id, attributes) {
+        this.store[id] = JSON.stringify(attributes);
+        return Promise.resolve();
+    };
+    return MemoryPersistenceAdapter;
+}());
+exports.MemoryPersistenceAdapter = MemoryPersistenceAdapter;
+//# sourceMappingURL=MemoryPersistenceAdapter.js.map
\ No newline at end of file
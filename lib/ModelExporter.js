@@ -0,0 +1,99 @@
+"use strict";
+var Promise = require("bluebird");
+var Defaults = require("lodash.defaults");
+var fs = require("fs");
+var path = require("path");
+var mkdir = Promise.promisify(fs.mkdir);
+var readFile = Promise.promisify(fs.readFile);
+var writeFile = Promise.promisify(fs.writeFile);
+/**
+ * Writes the intent schema, sample utterances, interaction model and custom slot
+ * type values of an application to a directory, one subdirectory per locale.
+ */
+var ModelExporter = (function () {
+    function ModelExporter(app, options) {
+        if (!app || typeof app.interactionModel != "function") {
+            throw new Error("You must specify the application to export.");
+        }
+        this.app = app;
+        this.options = Defaults({}, options, { "locales": [] });
+    }
+    /**
+     * Compare the model files with the ones in the directory
+     *
+     * @param {string} directory
+     * @returns {Promise<Array>} The files which are missing or out of date, as { file, actual, expected },
+     *                           actual is null for missing files
+     */
+    ModelExporter.prototype.check = function (directory) {
+        var files = this.files();
+        return Promise.all(Object.keys(files).map(function (file) {
+            return readFile(path.join(directory, file), "utf8")
+                .catch(function (e) {
+                if ("ENOENT" !== e.code) {
+                    throw e;
+                }
+                return null;
+            })
+                .then(function (content) {
+                return { "file": file, "actual": content, "expected": files[file] };
+            });
+        })).then(function (results) { return results.filter(function (result) { return result.actual !== result.expected; }); });
+    };
+    /**
+     * The content of the model files, keyed by path relative to the output directory
+     *
+     * @returns {Object}
+     */
+    ModelExporter.prototype.files = function () {
+        var _this = this;
+        var files = {};
+        var locales = this.options.locales.length > 0 ? this.options.locales : [null];
+        locales.forEach(function (locale) {
+            var directory = locale || "";
+            var interactionModel = _this.app.interactionModel({ "invocationName": _this.options.invocationName, "locale": locale });
+            files[path.join(directory, "IntentSchema.json")] = _this.app.schema() + "\n";
+            files[path.join(directory, "SampleUtterances.txt")] = _this.app.utterances(locale);
+            files[path.join(directory, "InteractionModel.json")] = interactionModel + "\n";
+            JSON.parse(interactionModel).interactionModel.languageModel.types.forEach(function (type) {
+                files[path.join(directory, "customSlotTypes", type.name + ".txt")] = type.values.map(function (value) { return value.name.value + "\n"; }).join("");
+            });
+        });
+        return files;
+    };
+    /**
+     * Write the model files to the directory, which is created if needed
+     *
+     * @param {string} directory
+     * @returns {Promise<string[]>} The paths of the written files
+     */
+    ModelExporter.prototype.write = function (directory) {
+        var _this = this;
+        var files = this.files();
+        return Promise.each(Object.keys(files), function (file) {
+            return _this.mkdirs(path.dirname(path.join(directory, file)))
+                .then(function () { return writeFile(path.join(directory, file), files[file], "utf8"); });
+        });
+    };
+    /**
+     * Create a directory and its missing parents
+     *
+     * @param {string} directory
+     * @returns {Promise<any>}
+     */
+    ModelExporter.prototype.mkdirs = function (directory) {
+        var _this = this;
+        return mkdir(directory)
+            .catch(function (e) {
+            if ("ENOENT" === e.code && path.dirname(directory) !== directory) {
+                return _this.mkdirs(path.dirname(directory)).then(function () { return _this.mkdirs(directory); });
+            }
+            if ("EEXIST" !== e.code) {
+                throw e;
+            }
+        });
+    };
+    return ModelExporter;
+}());
+exports.ModelExporter = ModelExporter;
+//# sourceMappingURL=ModelExporter.js.map
\ No newline at end of file
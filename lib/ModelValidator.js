@@ -0,0 +1,174 @@
+"use strict";
+var Defaults = require("lodash.defaults");
+// Amazon adds built-in slot types over time, so an unknown AMAZON. type is only a warning
+var BUILT_IN_SLOT_TYPES = [
+    "AMAZON.AT_CITY", "AMAZON.AT_REGION", "AMAZON.Actor", "AMAZON.AdministrativeArea", "AMAZON.AggregateRating",
+    "AMAZON.Airline", "AMAZON.Airport", "AMAZON.Anaphor", "AMAZON.Animal", "AMAZON.Artist", "AMAZON.Athlete",
+    "AMAZON.Author", "AMAZON.Book", "AMAZON.BookSeries", "AMAZON.BroadcastChannel", "AMAZON.City",
+    "AMAZON.CivicStructure", "AMAZON.Color", "AMAZON.Comic", "AMAZON.Corporation", "AMAZON.Country",
+    "AMAZON.CreativeWorkType", "AMAZON.DATE", "AMAZON.DE_CITY", "AMAZON.DE_FIRST_NAME", "AMAZON.DE_REGION",
+    "AMAZON.DURATION", "AMAZON.DayOfWeek", "AMAZON.Dessert", "AMAZON.DeviceType", "AMAZON.Director",
+    "AMAZON.Drink", "AMAZON.EUROPE_CITY", "AMAZON.EducationalOrganization", "AMAZON.EventType",
+    "AMAZON.FOUR_DIGIT_NUMBER", "AMAZON.Festival", "AMAZON.FictionalCharacter", "AMAZON.FinancialService",
+    "AMAZON.FirstName", "AMAZON.Food", "AMAZON.FoodEstablishment", "AMAZON.GB_CITY", "AMAZON.GB_FIRST_NAME",
+    "AMAZON.GB_REGION", "AMAZON.Game", "AMAZON.Genre", "AMAZON.LITERAL", "AMAZON.Landform",
+    "AMAZON.LandmarksOrHistoricalBuildings", "AMAZON.Language", "AMAZON.LocalBusiness",
+    "AMAZON.LocalBusinessType", "AMAZON.MedicalOrganization", "AMAZON.Month", "AMAZON.Movie",
+    "AMAZON.MovieSeries", "AMAZON.MovieTheater", "AMAZON.MusicAlbum", "AMAZON.MusicCreativeWorkType",
+    "AMAZON.MusicEvent", "AMAZON.MusicGroup", "AMAZON.MusicPlaylist", "AMAZON.MusicRecording",
+    "AMAZON.MusicVenue", "AMAZON.MusicVideo", "AMAZON.Musician", "AMAZON.NUMBER", "AMAZON.ORDINAL",
+    "AMAZON.Ordinal", "AMAZON.Organization", "AMAZON.Person", "AMAZON.PhoneNumber", "AMAZON.PostalAddress",
+    "AMAZON.Professional", "AMAZON.Region", "AMAZON.Residence", "AMAZON.Room", "AMAZON.ScreeningEvent",
+    "AMAZON.SearchQuery", "AMAZON.Service", "AMAZON.SocialMediaPlatform", "AMAZON.SoftwareApplication",
+    "AMAZON.SoftwareGame", "AMAZON.Sport", "AMAZON.SportsEvent", "AMAZON.SportsTeam", "AMAZON.StreetAddress",
+    "AMAZON.StreetName", "AMAZON.TIME", "AMAZON.TVEpisode", "AMAZON.TVSeason", "AMAZON.TVSeries",
+    "AMAZON.TelevisionChannel", "AMAZON.TheaterEvent", "AMAZON.US_CITY", "AMAZON.US_FIRST_NAME",
+    "AMAZON.US_STATE", "AMAZON.VideoGame", "AMAZON.VisualModeTrigger", "AMAZON.WeatherCondition",
+    "AMAZON.WrittenCreativeWorkType"
+];
+// connecting words, which connect an invocation name to the request
+var INVOCATION_CONNECTING_WORDS = ["and", "by", "from", "if", "to", "whether"];
+// launch phrases, which start a skill
+var INVOCATION_LAUNCH_WORDS = ["ask", "begin", "enable", "launch", "load", "open", "tell"];
+// wake words, and the words "app" and "skill" which aren't allowed either
+var INVOCATION_WAKE_WORDS = ["alexa", "amazon", "app", "computer", "echo", "skill"];
+var ModelValidator = (function () {
+    /**
+     * @param {any} languageModel The language model of the interaction model
+     * @param {Object} schemas The schemas of the intents, keyed by intent name
+     * @param {Object} dictionary The dictionary used to expand the utterances
+     * @param {UtteranceMatcher} matcher The matcher of the expanded utterances
+     * @param {any} [options] The maxUtterances of the interaction model
+     */
+    function ModelValidator(languageModel, schemas, dictionary, matcher, options) {
+        /**
+         * The problems the Alexa console rejects
+         *
+         * @type {Array}
+         * @memberOf ModelValidator
+         */
+        this.errors = [];
+        /**
+         * The problems Alexa handles badly
+         *
+         * @type {Array}
+         * @memberOf ModelValidator
+         */
+        this.warnings = [];
+        options = Defaults({}, options, { "maxUtterances": 200000 });
+        this.dictionary = dictionary;
+        this.languageModel = languageModel;
+        this.matcher = matcher;
+        this.maxUtterances = options.maxUtterances;
+        this.schemas = schemas;
+    }
+    /**
+     * Check the language model, the errors and warnings are collected
+     *
+     * @returns {any} The errors and warnings, each with a code and a message,
+     *                and the intent, slot, type or utterance concerned
+     *
+     * @memberOf ModelValidator
+     */
+    ModelValidator.prototype.validate = function () {
+        var _this = this;
+        this.errors = [];
+        this.warnings = [];
+        this.validateInvocationName(this.languageModel.invocationName);
+        var utteranceCount = 0;
+        this.languageModel.intents.forEach(function (intent) {
+            _this.validateIntent(intent);
+            utteranceCount += intent.samples.length;
+        });
+        this.languageModel.types.forEach(function (type) {
+            if (type.values.length === 0) {
+                _this.add(_this.errors, "EMPTY_SLOT_TYPE", "Custom slot type \"" + type.name + "\" has no values.", { "type": type.name });
+            }
+        });
+        if (utteranceCount > this.maxUtterances) {
+            this.add(this.errors, "TOO_MANY_UTTERANCES", "The interaction model has " + utteranceCount + " sample utterances, more than the " + this.maxUtterances + " allowed.");
+        }
+        var duplicates = this.matcher.duplicates();
+        duplicates.forEach(function (duplicate) {
+            _this.add(_this.errors, "DUPLICATE_UTTERANCE", "Utterance \"" + duplicate.utterance + "\" is used by the intents " + duplicate.intents.join(", ") + ".", { "intents": duplicate.intents, "utterance": duplicate.utterance });
+        });
+        this.matcher.overlaps().filter(function (overlap) { return !duplicates.some(function (duplicate) { return duplicate.utterance === overlap.utterance; }); }).forEach(function (overlap) {
+            _this.add(_this.warnings, "OVERLAPPING_UTTERANCE", "Utterance \"" + overlap.utterance + "\" matches the intents " + overlap.intents.join(", ") + ".", { "intents": overlap.intents, "utterance": overlap.utterance });
+        });
+        return { "errors": this.errors, "warnings": this.warnings };
+    };
+    ModelValidator.prototype.add = function (list, code, message, details) {
+        list.push(Defaults({ "code": code, "message": message }, details));
+    };
+    ModelValidator.prototype.validateIntent = function (intent) {
+        var _this = this;
+        var slots = {};
+        var types = this.languageModel.types.map(function (type) { return type.name; });
+        if (!/^(AMAZON\.)?[A-Za-z][A-Za-z_]*$/.test(intent.name)) {
+            this.add(this.errors, "INVALID_NAME", "Intent name \"" + intent.name + "\" may only contain letters and underscores.", { "intent": intent.name });
+        }
+        (intent.slots || []).forEach(function (slot) {
+            slots[slot.name] = slot.type;
+            if (!/^[A-Za-z][A-Za-z_]*$/.test(slot.name)) {
+                _this.add(_this.errors, "INVALID_NAME", "Slot name \"" + slot.name + "\" of intent \"" + intent.name + "\" may only contain letters and underscores.", { "intent": intent.name, "slot": slot.name });
+            }
+            if (0 === slot.type.indexOf("AMAZON.")) {
+                if (BUILT_IN_SLOT_TYPES.indexOf(slot.type) === -1) {
+                    _this.add(_this.warnings, "UNKNOWN_SLOT_TYPE", "Slot \"" + slot.name + "\" of intent \"" + intent.name + "\" has the unknown built-in type \"" + slot.type + "\".", { "intent": intent.name, "slot": slot.name, "type": slot.type });
+                }
+            }
+            else if (types.indexOf(slot.type) === -1) {
+                _this.add(_this.errors, "EMPTY_SLOT_TYPE", "Slot \"" + slot.name + "\" of intent \"" + intent.name + "\" has the custom type \"" + slot.type + "\" without values.", { "intent": intent.name, "slot": slot.name, "type": slot.type });
+            }
+            (slot.samples || []).forEach(function (sample) { return _this.validateSample(intent.name, sample); });
+        });
+        if (intent.samples.length === 0 && 0 !== intent.name.indexOf("AMAZON.")) {
+            this.add(this.errors, "NO_UTTERANCES", "Intent \"" + intent.name + "\" has no sample utterances.", { "intent": intent.name });
+        }
+        intent.samples.forEach(function (sample) { return _this.validateSample(intent.name, sample); });
+        // the slots of the unexpanded utterances are checked, alexa-utterances leaves unknown slots as text
+        var schema = this.schemas[intent.name] || {};
+        (schema.utterances || []).forEach(function (utterance) {
+            var placeholder = /\{([^{}]*)\}/g;
+            var match;
+            while ((match = placeholder.exec(utterance)) !== null) {
+                var options = match[1].split("|");
+                var isSlot = options.length === 2 && (options[0] === "-" || /^\d+-\d+$/.test(options[0]) || !!_this.dictionary[options[0]]);
+                if (isSlot && !slots[options[1]]) {
+                    _this.add(_this.errors, "UNKNOWN_SLOT", "Utterance \"" + utterance + "\" of intent \"" + intent.name + "\" uses the slot \"" + options[1] + "\" which isn't in its schema slots.", { "intent": intent.name, "slot": options[1], "utterance": utterance });
+                }
+                else if (options.length === 1 && slots[options[0]]) {
+                    _this.add(_this.errors, "UNKNOWN_SLOT", "Utterance \"" + utterance + "\" of intent \"" + intent.name + "\" uses {" + options[0] + "} which isn't expanded to a slot, use {-|" + options[0] + "} instead.", { "intent": intent.name, "slot": options[0], "utterance": utterance });
+                }
+            }
+        });
+    };
+    ModelValidator.prototype.validateInvocationName = function (invocationName) {
+        var _this = this;
+        var name = invocationName || "";
+        var details = { "invocationName": invocationName };
+        if (!/^[a-z][a-z.' ]*$/.test(name)) {
+            this.add(this.errors, "INVALID_INVOCATION_NAME", "Invocation name \"" + name + "\" may only contain lower case letters, spaces, apostrophes and periods.", details);
+        }
+        if (name.length < 2 || name.length > 50) {
+            this.add(this.errors, "INVALID_INVOCATION_NAME", "Invocation name \"" + name + "\" must have between 2 and 50 characters.", details);
+        }
+        name.split(" ").forEach(function (word) {
+            if ([].concat(INVOCATION_CONNECTING_WORDS, INVOCATION_LAUNCH_WORDS, INVOCATION_WAKE_WORDS).indexOf(word) !== -1) {
+                _this.add(_this.errors, "INVALID_INVOCATION_NAME", "Invocation name \"" + name + "\" may not contain \"" + word + "\".", details);
+            }
+        });
+        if (name.split(" ").length === 1) {
+            this.add(this.warnings, "ONE_WORD_INVOCATION_NAME", "Invocation name \"" + name + "\" has a single word, which is only allowed for brand names.", details);
+        }
+    };
+    ModelValidator.prototype.validateSample = function (intentName, sample) {
+        var invalid = sample.replace(/\{[A-Za-z_]+\}/g, "").match(/[^A-Za-z\u00C0-\u024F\s.'-]/g);
+        if (invalid) {
+            this.add(this.errors, "INVALID_CHARACTERS", "Utterance \"" + sample + "\" of intent \"" + intentName + "\" contains the invalid characters \"" + invalid.join("") + "\".", { "intent": intentName, "utterance": sample });
+        }
+    };
+    return ModelValidator;
+}());
+exports.ModelValidator = ModelValidator;
+//# sourceMappingURL=ModelValidator.js.map
\ No newline at end of file
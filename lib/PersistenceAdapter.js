@@ -0,0 +1,2 @@
+"use strict";
+//# sourceMappingURL=PersistenceAdapter.js.map
\ No newline at end of file
@@ -0,0 +1,61 @@
+"use strict";
+var PersistentAttributes = (function () {
+    function PersistentAttributes(id, attributes) {
+        this._isAvailable = false;
+        this._isChanged = false;
+        if (!id) {
+            this.get = this.set = this.clear = function () {
+                throw "NO_PERSISTENCE";
+            };
+            this.attributes = {};
+            this.id = null;
+            return;
+        }
+        this._isAvailable = true;
+        this.attributes = attributes || {};
+        this.id = id;
+    }
+    /**
+     * Clear an attribute, or every attribute without key
+     *
+     * @param {string} [key]
+     */
+    PersistentAttributes.prototype.clear = function (key) {
+        if (typeof key == "undefined") {
+            this.attributes = {};
+        }
+        else if (typeof this.attributes[key] != "undefined") {
+            delete this.attributes[key];
+        }
+        else {
+            return;
+        }
+        this._isChanged = true;
+    };
+    PersistentAttributes.prototype.get = function (key) {
+        // getAttributes deep clones the attributes object, so updates to objects
+        // will not be saved until `set` is called explicitly
+        return this.getAttributes()[key];
+    };
+    PersistentAttributes.prototype.getAttributes = function () {
+        return JSON.parse(JSON.stringify(this.attributes));
+    };
+    PersistentAttributes.prototype.isAvailable = function () {
+        return this._isAvailable;
+    };
+    /**
+     * Returns true if the attributes were updated and need to be saved
+     *
+     * @returns {boolean}
+     */
+    PersistentAttributes.prototype.isChanged = function () {
+        return this._isChanged;
+    };
+    PersistentAttributes.prototype.set = function (key, value) {
+        this.attributes[key] = value;
+        this._isChanged = true;
+    };
+    return PersistentAttributes;
+}());
+exports.PersistentAttributes = PersistentAttributes;
+//# sourceMappingURL=PersistentAttributes.js.map
\ No newline at end of file
@@ -1,13 +1,45 @@
 "use strict";
+var AudioQueue_1 = require("./AudioQueue");
+var PersistentAttributes_1 = require("./PersistentAttributes");
 var Session_1 = require("./Session");
+var Slot_1 = require("./Slot");
 var Request = (function () {
     function Request(request_json) {
+        /**
+         * Attributes persisted beyond the session by the application's persistence adapter
+         *
+         * @type {PersistentAttributes}
+         * @memberOf Request
+         */
+        this.persistent = new PersistentAttributes_1.PersistentAttributes();
+        /**
+         * The slots of an intent request, keyed by slot name
+         *
+         * @type {Object}
+         * @memberOf Request
+         */
+        this.slots = {};
         this.data = request_json;
+        if (this.data.request) {
+            this.locale = this.data.request.locale;
+        }
+        if (this.data.request && this.data.request.intent && this.data.request.intent.slots) {
+            var slotName = void 0;
+            for (slotName in this.data.request.intent.slots) {
+                this.slots[slotName] = new Slot_1.Slot(this.data.request.intent.slots[slotName]);
+            }
+        }
         this.sessionObject = new Session_1.Session(request_json.session);
         if (this.data.context) {
             this.userId = this.data.context.System.user.userId;
             this.applicationId = this.data.context.System.application.applicationId;
             this.context = this.data.context;
+            if (this.data.context.System.device) {
+                this.deviceId = this.data.context.System.device.deviceId;
+            }
+        }
+        else if (this.data.session && this.data.session.user) {
+            this.userId = this.data.session.user.userId;
         }
         this.isSessionNew = this.hasSession() ? this.getSession().isNew() : false;
         this.sessionAttributes = this.getSession().attributes;
@@ -21,6 +53,121 @@ var Request = (function () {
         return this.sessionObject.isAvailable();
     };
     ;
+    /**
+     * Return the state of the AudioPlayer from the request context. The token and offset of
+     * an AudioPlayer event are the ones of the stream the event is about.
+     *
+     * @returns {Object} The token, offsetInMilliseconds and playerActivity, like PLAYING or
+     *   STOPPED, or undefined if the request has no AudioPlayer state
+     *
+     * @memberOf Request
+     */
+    Request.prototype.audioPlayer = function () {
+        var context = this.context && this.context.AudioPlayer;
+        var event = this.isAudioPlayer() ? this.data.request : undefined;
+        if (!context && !event) {
+            return;
+        }
+        var state = context || {};
+        return {
+            "token": event && typeof event.token != "undefined" ? event.token : state.token,
+            "offsetInMilliseconds": event && typeof event.offsetInMilliseconds != "undefined" ? event.offsetInMilliseconds : state.offsetInMilliseconds,
+            "playerActivity": state.playerActivity
+        };
+    };
+    /**
+     * Return the audio queue of the user, which is saved in the persistent attributes
+     *
+     * @returns {AudioQueue}
+     * @throws {string} NO_PERSISTENCE without persistence adapter or user ID
+     *
+     * @memberOf Request
+     */
+    Request.prototype.audioQueue = function () {
+        if (!this.persistent.isAvailable()) {
+            throw "NO_PERSISTENCE";
+        }
+        if (!this.queue) {
+            this.queue = new AudioQueue_1.AudioQueue(this.persistent);
+        }
+        return this.queue;
+    };
+    /**
+     * Return the confirmation status of the intent (NONE, CONFIRMED or DENIED)
+     *
+     * @returns {string} The confirmation status, or undefined if this isn't an intent request
+     *
+     * @memberOf Request
+     */
+    Request.prototype.confirmationStatus = function () {
+        if (this.data.request && this.data.request.intent) {
+            return this.data.request.intent.confirmationStatus;
+        }
+    };
+    /**
+     * Return the playback state of the AudioPlayer when an AudioPlayer.PlaybackFailed request
+     * was sent, which can differ from the stream which failed
+     *
+     * @returns {Object} The token, offsetInMilliseconds and playerActivity, or undefined
+     *   if this isn't an AudioPlayer.PlaybackFailed request
+     *
+     * @memberOf Request
+     */
+    Request.prototype.currentPlaybackState = function () {
+        if (this.data.request) {
+            return this.data.request.currentPlaybackState;
+        }
+    };
+    /**
+     * Return the state of the dialog (STARTED, IN_PROGRESS or COMPLETED)
+     *
+     * @returns {string} The dialog state, or undefined if the intent has no dialog
+     *
+     * @memberOf Request
+     */
+    Request.prototype.dialogState = function () {
+        if (this.data.request) {
+            return this.data.request.dialogState;
+        }
+    };
+    /**
+     * Return the error of an AudioPlayer.PlaybackFailed or System.ExceptionEncountered request
+     *
+     * @returns {Object} The type, like MEDIA_ERROR_UNKNOWN or INVALID_RESPONSE, and the message
+     *   of the error, or undefined if the request has no error
+     *
+     * @memberOf Request
+     */
+    Request.prototype.error = function () {
+        if (this.data.request) {
+            return this.data.request.error;
+        }
+    };
+    /**
+     * Return the cause of a System.ExceptionEncountered request
+     *
+     * @returns {Object} The cause, with the requestId of the request whose response failed,
+     *   or undefined if this isn't a System.ExceptionEncountered request
+     *
+     * @memberOf Request
+     */
+    Request.prototype.errorCause = function () {
+        if (this.data.request) {
+            return this.data.request.cause;
+        }
+    };
+    /**
+     * Return the name of the intent
+     *
+     * @returns {string} The intent name, or undefined if this isn't an intent request
+     *
+     * @memberOf Request
+     */
+    Request.prototype.intentName = function () {
+        if (this.data.request && this.data.request.intent) {
+            return this.data.request.intent.name;
+        }
+    };
     /**
      * Returns true if the type of the request is an AudioPlayer
      *
@@ -30,6 +177,17 @@ var Request = (function () {
         var requestType = this.type();
         return (requestType && 0 === requestType.indexOf("AudioPlayer."));
     };
+    /**
+     * Returns true if the request is a PlaybackController request, sent by the buttons of the device
+     *
+     * @returns {boolean}
+     *
+     * @memberOf Request
+     */
+    Request.prototype.isPlaybackController = function () {
+        var requestType = this.type();
+        return !!requestType && 0 === requestType.indexOf("PlaybackController.");
+    };
     /**
      * Return the value passed in for a given slot name
      *
@@ -48,6 +206,16 @@ var Request = (function () {
             return defaultValue;
         }
     };
+    /**
+     * Return the current conversation state, as set by response.transitionTo()
+     *
+     * @returns {string} The state, or undefined if the conversation has no state
+     *
+     * @memberOf Request
+     */
+    Request.prototype.state = function () {
+        return this.hasSession() ? this.getSession().get(Session_1.STATE_ATTRIBUTE) : undefined;
+    };
     /**
      * Return the type of request received
      *
@@ -0,0 +1,73 @@
+"use strict";
+var to_ssml_1 = require("./to-ssml");
+/**
+ * Resolves the strings of resource bundles keyed by locale. A string can be a list of
+ * variants picked at random, or an object of plural forms (zero, one and other) picked
+ * by the count parameter. Parameters are interpolated into {name} placeholders.
+ */
+var Resources = (function () {
+    function Resources(bundles, defaultLocale) {
+        if (defaultLocale === void 0) { defaultLocale = "en-US"; }
+        this.bundles = bundles || {};
+        this.defaultLocale = defaultLocale;
+    }
+    /**
+     * Resolve a string of the bundle of a locale
+     *
+     * @param {string} key The key of the string, like WELCOME
+     * @param {string} [locale] The locale, defaults to defaultLocale
+     * @param {Object} [params] The values of the placeholders, and the count choosing the plural form
+     * @returns {string} The string, with the parameters escaped for SSML
+     *
+     * @memberOf Resources
+     */
+    Resources.prototype.get = function (key, locale, params) {
+        params = params || {};
+        var value = this.lookup(key, locale || this.defaultLocale);
+        if (typeof value == "undefined") {
+            value = this.lookup(key, this.defaultLocale);
+        }
+        if (typeof value == "undefined") {
+            throw new Error("No resource \"" + key + "\" for locale \"" + (locale || this.defaultLocale) + "\"");
+        }
+        // plural forms
+        if (value && typeof value == "object" && !Array.isArray(value)) {
+            var count = Number(params.count);
+            if (count === 0 && typeof value.zero != "undefined") {
+                value = value.zero;
+            }
+            else if (count === 1 && typeof value.one != "undefined") {
+                value = value.one;
+            }
+            else {
+                value = value.other;
+            }
+        }
+        // variants
+        if (Array.isArray(value)) {
+            value = value[Math.floor(Math.random() * value.length)];
+        }
+        return String(value).replace(/\{(\w+)\}/g, function (placeholder, name) {
+            return typeof params[name] != "undefined" ? to_ssml_1.SSML.escape(params[name]) : placeholder;
+        });
+    };
+    /**
+     * Find a string in the bundle of a locale, or of its language
+     *
+     * @param {string} key
+     * @param {string} locale
+     * @returns {any} The string, or undefined if it is missing
+     */
+    Resources.prototype.lookup = function (key, locale) {
+        var bundles = [this.bundles[locale], this.bundles[locale.split("-")[0]]];
+        var i;
+        for (i = 0; i < bundles.length; i++) {
+            if (bundles[i] && typeof bundles[i][key] != "undefined") {
+                return bundles[i][key];
+            }
+        }
+    };
+    return Resources;
+}());
+exports.Resources = Resources;
+//# sourceMappingURL=Resources.js.map
\ No newline at end of file
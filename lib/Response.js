@@ -1,7 +1,17 @@
 "use strict";
+var Resources_1 = require("./Resources");
+var Session_1 = require("./Session");
 var to_ssml_1 = require("./to-ssml");
+var CLEAR_BEHAVIORS = ["CLEAR_ALL", "CLEAR_ENQUEUED"];
+var PLAY_BEHAVIORS = ["ENQUEUE", "REPLACE_ALL", "REPLACE_ENQUEUED"];
+// the limits of Alexa for the stream of an AudioPlayer.Play directive
+var MAX_STREAM_TOKEN_LENGTH = 1024;
+var MAX_STREAM_URL_LENGTH = 8000;
+// the limits of Alexa for the output speech
+var MAX_SPEECH_AUDIO = 5;
+var MAX_SPEECH_LENGTH = 8000;
 var Response = (function () {
-    function Response(session) {
+    function Response(session, request, resources) {
         /**
          * Trigger a response failure
          * The internal promise containing the response will be rejected, and should be handled by
@@ -42,17 +52,73 @@ var Response = (function () {
          * @memberOf Response
          */
         this.send = null;
+        /**
+         * What prepare() does with an output speech exceeding the limits of Alexa, 8000 characters
+         * and 5 <audio> tags: "throw" an error, "truncate" it at a sentence boundary, "split" it into
+         * a follow-up prompt, or false to send it unchecked
+         *
+         * @type {(boolean | string)}
+         * @memberOf Response
+         */
+        this.speechOverflow = "throw";
+        /**
+         * The question asking whether to continue the output speech split by speechOverflow
+         *
+         * @type {string}
+         * @memberOf Response
+         */
+        this.speechOverflowPrompt = "Would you like to hear more?";
+        /**
+         * Whether say() and reprompt() check the SSML with SSML.validate(): false to skip the
+         * check, "warn" to log the problems or "throw" to throw an error on the first one
+         *
+         * @type {(boolean | string)}
+         * @memberOf Response
+         */
+        this.strictSSML = false;
+        this.ssmlWarnings = [];
         this.sessionObject = session;
+        this.requestObject = request;
+        this.resources = resources || new Resources_1.Resources();
     }
     Response.prototype.audioPlayerClearQueue = function (clearBehavior) {
+        clearBehavior = clearBehavior || "CLEAR_ALL";
+        if (CLEAR_BEHAVIORS.indexOf(clearBehavior) === -1) {
+            throw new Error("Invalid clearBehavior \"" + clearBehavior + "\", use one of " + CLEAR_BEHAVIORS.join(", ") + ".");
+        }
         var audioPlayerDirective = {
             "type": "AudioPlayer.ClearQueue",
-            "clearBehavior": clearBehavior || "CLEAR_ALL"
+            "clearBehavior": clearBehavior
         };
         this.response["response"]["directives"].push(audioPlayerDirective);
         return this;
     };
+    /**
+     * Enqueue a stream after the one playing. The expectedPreviousToken is the token of
+     * request.audioPlayer(), unless the stream has one.
+     *
+     * @param {AudioStream} stream
+     * @returns {Response}
+     *
+     * @memberOf Response
+     */
+    Response.prototype.audioPlayerEnqueue = function (stream) {
+        var audioPlayer = this.requestObject ? this.requestObject.audioPlayer() : undefined;
+        var playing = audioPlayer ? audioPlayer.token : undefined;
+        return this.audioPlayerPlayStream("ENQUEUE", this.stream(stream, stream.expectedPreviousToken || playing));
+    };
+    /**
+     * Send an AudioPlayer.Play directive, after validating the stream of its audio item
+     *
+     * @param {string} playBehavior ENQUEUE, REPLACE_ALL or REPLACE_ENQUEUED
+     * @param {Object} audioItem
+     * @returns {Response}
+     * @throws {Error} If the play behavior or the stream is invalid
+     *
+     * @memberOf Response
+     */
     Response.prototype.audioPlayerPlay = function (playBehavior, audioItem) {
+        this.validateStream(playBehavior, audioItem && audioItem.stream);
         var audioPlayerDirective = {
             "type": "AudioPlayer.Play",
             "playBehavior": playBehavior,
@@ -67,6 +133,28 @@ var Response = (function () {
         };
         return this.audioPlayerPlay(playBehavior, audioItem);
     };
+    /**
+     * Play a stream right away, replacing the one playing and the enqueued ones
+     *
+     * @param {AudioStream} stream
+     * @returns {Response}
+     *
+     * @memberOf Response
+     */
+    Response.prototype.audioPlayerReplaceAll = function (stream) {
+        return this.audioPlayerPlayStream("REPLACE_ALL", this.stream(stream));
+    };
+    /**
+     * Replace the enqueued streams by a stream, without stopping the one playing
+     *
+     * @param {AudioStream} stream
+     * @returns {Response}
+     *
+     * @memberOf Response
+     */
+    Response.prototype.audioPlayerReplaceEnqueued = function (stream) {
+        return this.audioPlayerPlayStream("REPLACE_ENQUEUED", this.stream(stream));
+    };
     Response.prototype.audioPlayerStop = function () {
         var audioPlayerDirective = {
             "type": "AudioPlayer.Stop"
@@ -123,7 +211,7 @@ var Response = (function () {
         }
         // Remove all SSML to keep the card clean
         cleanseAttrs.forEach(function (idx) {
-            card[idx] = to_ssml_1.SSML.cleanse(card[idx]);
+            card[idx] = to_ssml_1.SSML.toText(card[idx]);
         });
         this.response['response']['card'] = card;
         return this;
@@ -142,6 +230,58 @@ var Response = (function () {
         };
         return this;
     };
+    /**
+     * Ask Alexa to confirm the whole intent before it is fulfilled (send Dialog.ConfirmIntent directive)
+     *
+     * @param {string} prompt The phrase asking the user to confirm the intent
+     * @param {string} [reprompt] The phrase to speak if the user didn't answer
+     * @param {Object} [updatedIntent] The intent, with changed slot values or confirmation status
+     * @returns {Response}
+     *
+     * @memberOf Response
+     */
+    Response.prototype.confirmIntent = function (prompt, reprompt, updatedIntent) {
+        return this.dialog({ "type": "Dialog.ConfirmIntent" }, prompt, reprompt, updatedIntent);
+    };
+    /**
+     * Ask Alexa to confirm the value of a slot (send Dialog.ConfirmSlot directive)
+     *
+     * @param {string} slotName The name of the slot to confirm
+     * @param {string} prompt The phrase asking the user to confirm the slot value
+     * @param {string} [reprompt] The phrase to speak if the user didn't answer
+     * @param {Object} [updatedIntent] The intent, with changed slot values or confirmation status
+     * @returns {Response}
+     *
+     * @memberOf Response
+     */
+    Response.prototype.confirmSlot = function (slotName, prompt, reprompt, updatedIntent) {
+        return this.dialog({ "type": "Dialog.ConfirmSlot", "slotToConfirm": slotName }, prompt, reprompt, updatedIntent);
+    };
+    /**
+     * Let Alexa handle the next turn of the dialog (send Dialog.Delegate directive)
+     *
+     * @param {Object} [updatedIntent] The intent, with changed slot values or confirmation status
+     * @returns {Response}
+     *
+     * @memberOf Response
+     */
+    Response.prototype.delegate = function (updatedIntent) {
+        return this.dialog({ "type": "Dialog.Delegate" }, null, null, updatedIntent);
+    };
+    /**
+     * Ask Alexa to collect the value of a slot (send Dialog.ElicitSlot directive)
+     *
+     * @param {string} slotName The name of the slot to elicit
+     * @param {string} prompt The phrase asking the user for the slot value
+     * @param {string} [reprompt] The phrase to speak if the user didn't answer
+     * @param {Object} [updatedIntent] The intent, with changed slot values or confirmation status
+     * @returns {Response}
+     *
+     * @memberOf Response
+     */
+    Response.prototype.elicitSlot = function (slotName, prompt, reprompt, updatedIntent) {
+        return this.dialog({ "type": "Dialog.ElicitSlot", "slotToElicit": slotName }, prompt, reprompt, updatedIntent);
+    };
     /**
      * Return a card instructing the user how to link their account to the skill.
      * This internally sets the card response.
@@ -162,17 +302,20 @@ var Response = (function () {
      * @memberOf Response
      */
     Response.prototype.prepare = function () {
+        this.checkPlaybackController();
+        this.limitSpeech();
         this.setSessionAttributes(this.sessionObject.getAttributes());
     };
     /**
      * Tell Alexa to re-prompt the user for a response, if it didn't hear anything valid
      *
-     * @param {String} str The phrase to speak back to the user
+     * @param {(string|SSML)} str The phrase to speak back to the user, or an SSML builder
      * @returns {Response}
      *
      * @memberOf Response
      */
     Response.prototype.reprompt = function (str) {
+        str = str instanceof to_ssml_1.SSML ? str.toString() : str;
         if (this.response['response']['reprompt'] == null) {
             this.response['response']['reprompt'] = {
                 "outputSpeech": {
@@ -185,18 +328,32 @@ var Response = (function () {
             // append str to the current outputSpeech, stripping the out speak tag
             this.response['response']['reprompt']['outputSpeech']['ssml'] = to_ssml_1.SSML.fromStr(str, this.response['response']['reprompt']['outputSpeech']['text']);
         }
+        this.checkSSML(this.response['response']['reprompt']['outputSpeech']['ssml']);
         return this;
     };
+    /**
+     * Re-prompt the user with a string of the resource bundle of the request locale
+     *
+     * @param {string} key The key of the string
+     * @param {Object} [params] The values of the placeholders, and the count choosing the plural form
+     * @returns {Response}
+     *
+     * @memberOf Response
+     */
+    Response.prototype.repromptKey = function (key, params) {
+        return this.reprompt(this.resources.get(key, this.locale(), params));
+    };
     /**
      * Tell Alexa to say something. Multiple calls to say() will be appended to each other.
      * All text output is treated as SSML
      *
-     * @param {string} str The phrase to speak back to the user
+     * @param {(string|SSML)} str The phrase to speak back to the user, or an SSML builder
      * @returns {Response}
      *
      * @memberOf Response
      */
     Response.prototype.say = function (str) {
+        str = str instanceof to_ssml_1.SSML ? str.toString() : str;
         if (this.response['response']['outputSpeech'] == null) {
             this.response['response']['outputSpeech'] = {
                 "type": "SSML",
@@ -207,8 +364,22 @@ var Response = (function () {
             // append str to the current outputSpeech, stripping the out speak tag
             this.response['response']['outputSpeech']['ssml'] = to_ssml_1.SSML.fromStr(str, this.response['response']['outputSpeech']['ssml']);
         }
+        this.checkSSML(this.response['response']['outputSpeech']['ssml']);
         return this;
     };
+    /**
+     * Say a string of the resource bundle of the request locale. The parameters are
+     * interpolated into the {name} placeholders of the string, and escaped for SSML.
+     *
+     * @param {string} key The key of the string, like WELCOME
+     * @param {Object} [params] The values of the placeholders, and the count choosing the plural form
+     * @returns {Response}
+     *
+     * @memberOf Response
+     */
+    Response.prototype.sayKey = function (key, params) {
+        return this.say(this.resources.get(key, this.locale(), params));
+    };
     /**
      * Overwrite the session attributes with the object passed into this function.
      *
@@ -229,12 +400,33 @@ var Response = (function () {
      * @memberOf Response
      */
     Response.prototype.shouldEndSession = function (end, reprompt) {
+        if (end && this.hasDialogDirective()) {
+            throw new Error("Dialog directives cannot be sent with shouldEndSession set to true");
+        }
         this.response['response']['shouldEndSession'] = end;
         if (reprompt) {
             this.reprompt(reprompt);
         }
         return this;
     };
+    /**
+     * Move the conversation to another state. The state is kept in the session, and the
+     * next requests are handled by the handlers of this state first.
+     *
+     * @param {string} [state] The new state, or nothing to leave the current state
+     * @returns {Response}
+     *
+     * @memberOf Response
+     */
+    Response.prototype.transitionTo = function (state) {
+        if (state) {
+            this.sessionObject.set(Session_1.STATE_ATTRIBUTE, state);
+        }
+        else if (typeof this.sessionObject.get(Session_1.STATE_ATTRIBUTE) != "undefined") {
+            this.sessionObject.clear(Session_1.STATE_ATTRIBUTE);
+        }
+        return this;
+    };
     ///// Legacy Code Below /////
     /**
      * Set a session variable
@@ -271,6 +463,193 @@ var Response = (function () {
         this.sessionObject.clear(attributeName);
         return this;
     };
+    /**
+     * Validate the SSML according to strictSSML. Each problem is only logged once per response.
+     *
+     * @param {string} ssml
+     */
+    Response.prototype.checkSSML = function (ssml) {
+        var _this = this;
+        if (!this.strictSSML) {
+            return;
+        }
+        to_ssml_1.SSML.validate(ssml).forEach(function (problem) {
+            if (_this.strictSSML === "throw") {
+                throw new Error(problem.message);
+            }
+            if (_this.ssmlWarnings.indexOf(problem.message) === -1) {
+                _this.ssmlWarnings.push(problem.message);
+                console.warn(problem.message);
+            }
+        });
+    };
+    /**
+     * Add a Dialog directive, the session stays open for the next turn of the dialog
+     *
+     * @param {Object} directive The Dialog directive
+     * @param {string} prompt The phrase to speak back to the user
+     * @param {string} reprompt The phrase to speak if the user didn't answer
+     * @param {Object} updatedIntent The intent, with changed slot values or confirmation status
+     * @returns {Response}
+     */
+    Response.prototype.dialog = function (directive, prompt, reprompt, updatedIntent) {
+        if (this.requestObject && "IntentRequest" !== this.requestObject.type()) {
+            throw new Error("Dialog directives are only allowed in response to an IntentRequest, not " + this.requestObject.type());
+        }
+        if (this.hasDialogDirective()) {
+            throw new Error("Only one Dialog directive can be sent in a response");
+        }
+        if (updatedIntent) {
+            directive["updatedIntent"] = updatedIntent;
+        }
+        this.response["response"]["directives"].push(directive);
+        this.response["response"]["shouldEndSession"] = false;
+        if (prompt) {
+            this.say(prompt);
+        }
+        if (reprompt) {
+            this.reprompt(reprompt);
+        }
+        return this;
+    };
+    /**
+     * Remove what Alexa rejects in the response of a PlaybackController request, anything but
+     * AudioPlayer directives, with a warning
+     */
+    Response.prototype.checkPlaybackController = function () {
+        if (!this.requestObject || !this.requestObject.isPlaybackController()) {
+            return;
+        }
+        var response = this.response['response'];
+        var requestType = this.requestObject.type();
+        ["card", "outputSpeech", "reprompt"].forEach(function (key) {
+            if (response[key]) {
+                console.warn("The response to a " + requestType + " request can't include " + key + ", it was removed.");
+                delete response[key];
+            }
+        });
+        response['directives'] = response['directives'].filter(function (directive) {
+            if (0 === directive.type.indexOf("AudioPlayer.")) {
+                return true;
+            }
+            console.warn("The response to a " + requestType + " request can't include a " + directive.type + " directive, it was removed.");
+            return false;
+        });
+    };
+    /**
+     * Returns true if a Dialog directive has been added to the response
+     *
+     * @returns {boolean}
+     */
+    Response.prototype.hasDialogDirective = function () {
+        return this.response["response"]["directives"].some(function (directive) {
+            return 0 === directive.type.indexOf("Dialog.");
+        });
+    };
+    /**
+     * Apply speechOverflow to an output speech exceeding the limits of Alexa. The sentences
+     * which fit are kept, a split speech continues with the rest when the user answers
+     * AMAZON.YesIntent to speechOverflowPrompt.
+     */
+    Response.prototype.limitSpeech = function () {
+        var outputSpeech = this.response['response']['outputSpeech'];
+        var audioCount = function (ssml) { return (ssml.match(/<audio\b/gi) || []).length; };
+        var fits = function (ssml) { return ssml.length <= MAX_SPEECH_LENGTH && audioCount(ssml) <= MAX_SPEECH_AUDIO; };
+        if (!this.speechOverflow || !outputSpeech || typeof outputSpeech.ssml != "string" || fits(outputSpeech.ssml)) {
+            return;
+        }
+        if ("throw" === this.speechOverflow) {
+            throw new Error("The output speech has " + outputSpeech.ssml.length + " characters and " + audioCount(outputSpeech.ssml) + " <audio> tags, " +
+                ("more than the " + MAX_SPEECH_LENGTH + " characters and " + MAX_SPEECH_AUDIO + " <audio> tags Alexa allows."));
+        }
+        // a split speech needs a session to continue in
+        var split = "split" === this.speechOverflow && this.sessionObject.isAvailable();
+        var prompt = split ? " " + this.speechOverflowPrompt : "";
+        var sentences = to_ssml_1.SSML.sentences(outputSpeech.ssml);
+        var count = 0;
+        while (count < sentences.length && fits("<speak>" + sentences.slice(0, count + 1).join(" ") + prompt + "</speak>")) {
+            count++;
+        }
+        if (count === 0) {
+            throw new Error("The first sentence of the output speech exceeds the limits of Alexa.");
+        }
+        outputSpeech.ssml = "<speak>" + sentences.slice(0, count).join(" ") + prompt + "</speak>";
+        if (split) {
+            this.sessionObject.set(Session_1.SPEECH_OVERFLOW_ATTRIBUTE, {
+                "reprompt": this.response['response']['reprompt'] ? this.response['response']['reprompt']['outputSpeech']['ssml'] : null,
+                "shouldEndSession": this.response['response']['shouldEndSession'],
+                "speech": sentences.slice(count).join(" ")
+            });
+            this.response['response']['reprompt'] = {
+                "outputSpeech": {
+                    "type": "SSML",
+                    "ssml": to_ssml_1.SSML.fromStr(this.speechOverflowPrompt)
+                }
+            };
+            this.response['response']['shouldEndSession'] = false;
+        }
+    };
+    /**
+     * The locale of the request
+     *
+     * @returns {string} The locale, or undefined without request or locale
+     */
+    Response.prototype.locale = function () {
+        return this.requestObject ? this.requestObject.locale : undefined;
+    };
+    /**
+     * Build the stream of an AudioPlayer.Play directive
+     *
+     * @param {AudioStream} stream
+     * @param {string} [expectedPreviousToken]
+     * @returns {Object}
+     */
+    Response.prototype.stream = function (stream, expectedPreviousToken) {
+        var audioStream = {
+            "url": stream.url,
+            "token": stream.token,
+            "offsetInMilliseconds": stream.offsetInMilliseconds || 0
+        };
+        if (expectedPreviousToken) {
+            audioStream.expectedPreviousToken = expectedPreviousToken;
+        }
+        return audioStream;
+    };
+    /**
+     * Throw the first problem Alexa would reject the stream of an AudioPlayer.Play directive for
+     *
+     * @param {string} playBehavior
+     * @param {Object} stream
+     */
+    Response.prototype.validateStream = function (playBehavior, stream) {
+        if (PLAY_BEHAVIORS.indexOf(playBehavior) === -1) {
+            throw new Error("Invalid playBehavior \"" + playBehavior + "\", use one of " + PLAY_BEHAVIORS.join(", ") + ".");
+        }
+        if (!stream) {
+            throw new Error("The audio item has no stream.");
+        }
+        if (typeof stream.token != "string" || stream.token === "") {
+            throw new Error("The stream has no token.");
+        }
+        if (stream.token.length > MAX_STREAM_TOKEN_LENGTH) {
+            throw new Error("The token of the stream is longer than " + MAX_STREAM_TOKEN_LENGTH + " characters.");
+        }
+        if (typeof stream.url != "string" || !/^https:\/\/\S+$/i.test(stream.url)) {
+            throw new Error("The url \"" + stream.url + "\" of the stream isn't a https url.");
+        }
+        if (stream.url.length > MAX_STREAM_URL_LENGTH) {
+            throw new Error("The url of the stream is longer than " + MAX_STREAM_URL_LENGTH + " characters.");
+        }
+        if (typeof stream.offsetInMilliseconds != "undefined" && !(stream.offsetInMilliseconds >= 0)) {
+            throw new Error("The offsetInMilliseconds " + stream.offsetInMilliseconds + " of the stream isn't a positive number.");
+        }
+        if ("ENQUEUE" === playBehavior && !stream.expectedPreviousToken) {
+            throw new Error("A stream is only enqueued with the expectedPreviousToken of the stream playing.");
+        }
+        if ("ENQUEUE" !== playBehavior && stream.expectedPreviousToken) {
+            throw new Error("The expectedPreviousToken of the stream is only allowed with the ENQUEUE playBehavior, not " + playBehavior + ".");
+        }
+    };
     return Response;
 }());
 exports.Response = Response;
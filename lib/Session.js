@@ -1,4 +1,8 @@
 "use strict";
+// the session attribute holding the current conversation state
+exports.STATE_ATTRIBUTE = "alexa-app.state";
+// the session attribute holding the rest of an output speech split by the speech limits
+exports.SPEECH_OVERFLOW_ATTRIBUTE = "alexa-app.speechOverflow";
 var Session = (function () {
     function Session(session) {
         if (typeof session == 'undefined') {
@@ -0,0 +1,179 @@
+"use strict";
+var Promise = require("bluebird");
+var Defaults = require("lodash.defaults");
+var SimulatorResponse_1 = require("./SimulatorResponse");
+var Simulator = (function () {
+    function Simulator(app, options) {
+        /**
+         * The session attributes sent with the next request, updated from every response
+         *
+         * @type {any}
+         * @memberOf Simulator
+         */
+        this.sessionAttributes = {};
+        this.requestCount = 0;
+        this.sessionCount = 0;
+        this.sessionId = null;
+        if (!app || typeof app.request != "function") {
+            throw new Error("You must specify the application to simulate.");
+        }
+        this.app = app;
+        this.options = Defaults({}, options, {
+            "applicationId": "amzn1.echo-sdk-ams.app.000000-d0ed-0000-ad00-000000d00ebe",
+            "deviceId": "amzn1.ask.device.simulator",
+            "locale": "en-US",
+            "userId": "amzn1.account.simulator"
+        });
+    }
+    /**
+     * End the current session with a SessionEndedRequest
+     *
+     * @param {string} [reason="USER_INITIATED"] The reason the session ended
+     * @returns {Promise<SimulatorResponse>}
+     *
+     * @memberOf Simulator
+     */
+    Simulator.prototype.end = function (reason) {
+        if (reason === void 0) { reason = "USER_INITIATED"; }
+        return this.send({ "type": "SessionEndedRequest", "reason": reason });
+    };
+    /**
+     * Returns true if a session is open, i.e. the last response didn't end it
+     *
+     * @returns {boolean}
+     *
+     * @memberOf Simulator
+     */
+    Simulator.prototype.hasSession = function () {
+        return this.sessionId !== null;
+    };
+    /**
+     * Send an IntentRequest. Every slot in the schema of the intent is part of the
+     * request, the ones without a value are empty like they are in Amazon's requests.
+     *
+     * @param {string} intentName The name of the intent
+     * @param {any} [slots] The slot values by slot name, either a string or a slot object
+     * @param {any} [options] The dialogState of the request and the confirmationStatus of the intent
+     * @returns {Promise<SimulatorResponse>}
+     *
+     * @memberOf Simulator
+     */
+    Simulator.prototype.intent = function (intentName, slots, options) {
+        options = options || {};
+        var intent = {
+            "name": intentName,
+            "confirmationStatus": options.confirmationStatus || "NONE",
+            "slots": {}
+        };
+        this.slotNames(intentName).concat(Object.keys(slots || {})).forEach(function (slotName) {
+            var value = slots ? slots[slotName] : undefined;
+            var slot = (value !== null && typeof value == "object") ? value : { "value": value };
+            intent.slots[slotName] = Defaults({}, slot, {
+                "name": slotName,
+                "confirmationStatus": "NONE"
+            });
+        });
+        var body = { "type": "IntentRequest", "intent": intent };
+        if (options.dialogState) {
+            body.dialogState = options.dialogState;
+        }
+        return this.send(body);
+    };
+    /**
+     * Open a new session with a LaunchRequest
+     *
+     * @returns {Promise<SimulatorResponse>}
+     *
+     * @memberOf Simulator
+     */
+    Simulator.prototype.launch = function () {
+        this.endSession();
+        return this.send({ "type": "LaunchRequest" });
+    };
+    /**
+     * Send the IntentRequest of the intent whose utterances match the spoken text
+     *
+     * @param {string} utterance The spoken text, like "what is the status of JFK"
+     * @returns {Promise<SimulatorResponse>}
+     *
+     * @memberOf Simulator
+     */
+    Simulator.prototype.say = function (utterance) {
+        var _this = this;
+        return Promise.try(function () {
+            var match = _this.app.match(utterance, _this.options.locale);
+            if (!match) {
+                throw new Error("No intent matches the utterance \"" + utterance + "\".");
+            }
+            return _this.intent(match.intent, match.slots);
+        });
+    };
+    Simulator.prototype.endSession = function () {
+        this.sessionId = null;
+        this.sessionAttributes = {};
+    };
+    /**
+     * Send a request to the application, within the current session or a new one
+     *
+     * @param {any} body The request body, without the requestId, timestamp and locale
+     * @returns {Promise<SimulatorResponse>}
+     */
+    Simulator.prototype.send = function (body) {
+        var _this = this;
+        var isNew = !this.hasSession();
+        if (isNew) {
+            this.sessionId = "amzn1.echo-api.session.simulator-" + (++this.sessionCount);
+        }
+        var application = { "applicationId": this.options.applicationId };
+        var user = { "userId": this.options.userId };
+        var json = {
+            "version": "1.0",
+            "session": {
+                "new": isNew,
+                "sessionId": this.sessionId,
+                "application": application,
+                "attributes": JSON.parse(JSON.stringify(this.sessionAttributes)),
+                "user": user
+            },
+            "context": {
+                "System": {
+                    "application": application,
+                    "user": user,
+                    "device": {
+                        "deviceId": this.options.deviceId,
+                        "supportedInterfaces": {}
+                    }
+                }
+            },
+            "request": Defaults({
+                "requestId": "amzn1.echo-api.request.simulator-" + (++this.requestCount),
+                "timestamp": new Date().toISOString().replace(/\.\d+Z$/, "Z"),
+                "locale": this.options.locale
+            }, body)
+        };
+        return Promise.resolve(this.app.request(json)).then(function (responseJson) {
+            var response = new SimulatorResponse_1.SimulatorResponse(responseJson);
+            // the session attributes are carried into the next request of the session
+            if (body.type === "SessionEndedRequest" || response.sessionEnded()) {
+                _this.endSession();
+            }
+            else {
+                _this.sessionAttributes = response.sessionAttributes();
+            }
+            return response;
+        });
+    };
+    /**
+     * The names of the slots in the schema of the intent
+     *
+     * @param {string} intentName
+     * @returns {string[]}
+     */
+    Simulator.prototype.slotNames = function (intentName) {
+        var intents = JSON.parse(this.app.schema()).intents.filter(function (intent) { return intent.intent === intentName; });
+        return intents.length > 0 && intents[0].slots ? intents[0].slots.map(function (slot) { return slot.name; }) : [];
+    };
+    return Simulator;
+}());
+exports.Simulator = Simulator;
+//# sourceMappingURL=Simulator.js.map
\ No newline at end of file
@@ -0,0 +1,179 @@
+"use strict";
+var SimulatorResponse = (function () {
+    function SimulatorResponse(json) {
+        this.json = json || {};
+    }
+    /**
+     * Return the card of the response
+     *
+     * @returns {any} The card, or undefined if the response has none
+     *
+     * @memberOf SimulatorResponse
+     */
+    SimulatorResponse.prototype.card = function () {
+        return this.body().card;
+    };
+    /**
+     * Return the directives of the response
+     *
+     * @returns {Array}
+     *
+     * @memberOf SimulatorResponse
+     */
+    SimulatorResponse.prototype.directives = function () {
+        return this.body().directives || [];
+    };
+    /**
+     * Assert the response has a card, containing every property of the expected card.
+     *
+     * @param {any} [expected] The properties the card must have, like { type: "Simple", title: "Hello" }
+     * @returns {SimulatorResponse}
+     *
+     * @memberOf SimulatorResponse
+     */
+    SimulatorResponse.prototype.expectCard = function (expected) {
+        var card = this.card();
+        if (!card) {
+            throw new Error("Expected a card but the response has none.");
+        }
+        var key;
+        for (key in expected || {}) {
+            if (card[key] !== expected[key]) {
+                throw new Error("Expected card " + key + " \"" + expected[key] + "\" but got \"" + card[key] + "\".");
+            }
+        }
+        return this;
+    };
+    /**
+     * Assert the response has a directive of the given type, containing every
+     * property of the expected directive.
+     *
+     * @param {string} type The type of the directive, like "Dialog.ElicitSlot"
+     * @param {any} [expected] The properties the directive must have, like { slotToElicit: "City" }
+     * @returns {SimulatorResponse}
+     *
+     * @memberOf SimulatorResponse
+     */
+    SimulatorResponse.prototype.expectDirective = function (type, expected) {
+        var directives = this.directives().filter(function (directive) { return directive.type === type; });
+        if (directives.length === 0) {
+            throw new Error("Expected a " + type + " directive but got " + this.directiveTypes() + ".");
+        }
+        var key;
+        for (key in expected || {}) {
+            if (JSON.stringify(directives[0][key]) !== JSON.stringify(expected[key])) {
+                throw new Error("Expected " + type + " directive " + key + " " + JSON.stringify(expected[key]) + " but got " + JSON.stringify(directives[0][key]) + ".");
+            }
+        }
+        return this;
+    };
+    /**
+     * Assert the reprompt of the response equals the expected text or matches the expected pattern
+     *
+     * @param {(string|RegExp)} expected
+     * @returns {SimulatorResponse}
+     *
+     * @memberOf SimulatorResponse
+     */
+    SimulatorResponse.prototype.expectReprompt = function (expected) {
+        if (!SimulatorResponse.matches(this.reprompt(), expected)) {
+            throw new Error("Expected reprompt " + expected + " but got \"" + this.reprompt() + "\".");
+        }
+        return this;
+    };
+    /**
+     * Assert the session ends, or stays open, with the response
+     *
+     * @param {boolean} [ended=true]
+     * @returns {SimulatorResponse}
+     *
+     * @memberOf SimulatorResponse
+     */
+    SimulatorResponse.prototype.expectSessionEnded = function (ended) {
+        if (ended === void 0) { ended = true; }
+        if (this.sessionEnded() !== ended) {
+            throw new Error(ended ? "Expected the session to end but it stays open." : "Expected the session to stay open but it ends.");
+        }
+        return this;
+    };
+    /**
+     * Assert the speech of the response equals the expected text or matches the expected pattern
+     *
+     * @param {(string|RegExp)} expected
+     * @returns {SimulatorResponse}
+     *
+     * @memberOf SimulatorResponse
+     */
+    SimulatorResponse.prototype.expectSpeech = function (expected) {
+        if (!SimulatorResponse.matches(this.speech(), expected)) {
+            throw new Error("Expected speech " + expected + " but got \"" + this.speech() + "\".");
+        }
+        return this;
+    };
+    /**
+     * Return the reprompt of the response, without the surrounding <speak> tags
+     *
+     * @returns {string} The reprompt, or undefined if the response has none
+     *
+     * @memberOf SimulatorResponse
+     */
+    SimulatorResponse.prototype.reprompt = function () {
+        var reprompt = this.body().reprompt;
+        return SimulatorResponse.text(reprompt ? reprompt.outputSpeech : undefined);
+    };
+    /**
+     * Return the session attributes of the response
+     *
+     * @returns {any}
+     *
+     * @memberOf SimulatorResponse
+     */
+    SimulatorResponse.prototype.sessionAttributes = function () {
+        return this.json.sessionAttributes || {};
+    };
+    /**
+     * Returns true if the session ends with the response
+     *
+     * @returns {boolean}
+     *
+     * @memberOf SimulatorResponse
+     */
+    SimulatorResponse.prototype.sessionEnded = function () {
+        return this.body().shouldEndSession !== false;
+    };
+    /**
+     * Return the speech of the response, without the surrounding <speak> tags
+     *
+     * @returns {string} The speech, or undefined if the response has none
+     *
+     * @memberOf SimulatorResponse
+     */
+    SimulatorResponse.prototype.speech = function () {
+        return SimulatorResponse.text(this.body().outputSpeech);
+    };
+    SimulatorResponse.matches = function (actual, expected) {
+        if (expected instanceof RegExp) {
+            return typeof actual == "string" && expected.test(actual);
+        }
+        return actual === expected;
+    };
+    SimulatorResponse.text = function (outputSpeech) {
+        if (!outputSpeech) {
+            return undefined;
+        }
+        if (outputSpeech.type === "SSML") {
+            return outputSpeech.ssml.replace(/^\s*<speak>/, "").replace(/<\/speak>\s*$/, "");
+        }
+        return outputSpeech.text;
+    };
+    SimulatorResponse.prototype.body = function () {
+        return this.json.response || {};
+    };
+    SimulatorResponse.prototype.directiveTypes = function () {
+        var types = this.directives().map(function (directive) { return directive.type; });
+        return types.length > 0 ? types.join(", ") : "no directives";
+    };
+    return SimulatorResponse;
+}());
+exports.SimulatorResponse = SimulatorResponse;
+//# sourceMappingURL=SimulatorResponse.js.map
\ No newline at end of file
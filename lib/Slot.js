@@ -0,0 +1,75 @@
+"use strict";
+var Slot = (function () {
+    function Slot(slot) {
+        /**
+         * The entity resolutions of every authority, as passed by Amazon in the request.
+         * Each entry has the `authority`, the resolution `status` code and the list of
+         * resolved `values`, which have a `name` and an `id`.
+         *
+         * @type {Array}
+         * @memberOf Slot
+         */
+        this.resolutions = [];
+        this.name = slot.name;
+        this.value = slot.value;
+        this.confirmationStatus = slot.confirmationStatus;
+        if (slot.resolutions && slot.resolutions.resolutionsPerAuthority) {
+            this.resolutions = slot.resolutions.resolutionsPerAuthority.map(function (resolution) {
+                return {
+                    "authority": resolution.authority,
+                    "status": resolution.status ? resolution.status.code : undefined,
+                    "values": (resolution.values || []).map(function (value) { return value.value; })
+                };
+            });
+        }
+        this.synonym = this.isMatched() ? this.value : undefined;
+    }
+    /**
+     * Returns true if an authority resolved the spoken value
+     *
+     * @returns {boolean}
+     *
+     * @memberOf Slot
+     */
+    Slot.prototype.isMatched = function () {
+        return !!this.resolution();
+    };
+    /**
+     * Return the canonical value of the slot, or the spoken value if it wasn't resolved
+     *
+     * @returns {string} The resolved value
+     *
+     * @memberOf Slot
+     */
+    Slot.prototype.resolved = function () {
+        var resolution = this.resolution();
+        return resolution ? resolution.values[0].name : this.value;
+    };
+    /**
+     * Return the ID of the canonical value of the slot
+     *
+     * @returns {string} The resolved ID, or undefined if the spoken value wasn't resolved
+     *
+     * @memberOf Slot
+     */
+    Slot.prototype.resolvedId = function () {
+        var resolution = this.resolution();
+        return resolution ? resolution.values[0].id : undefined;
+    };
+    /**
+     * The first successful resolution of the spoken value
+     *
+     * @returns {any} The resolution, or undefined if no authority matched
+     */
+    Slot.prototype.resolution = function () {
+        var i;
+        for (i = 0; i < this.resolutions.length; i++) {
+            if ("ER_SUCCESS_MATCH" === this.resolutions[i].status && this.resolutions[i].values.length > 0) {
+                return this.resolutions[i];
+            }
+        }
+    };
+    return Slot;
+}());
+exports.Slot = Slot;
+//# sourceMappingURL=Slot.js.map
\ No newline at end of file
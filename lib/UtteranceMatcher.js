@@ -0,0 +1,175 @@
+"use strict";
+var UtteranceMatcher = (function () {
+    /**
+     * @param {Array} utterances The expanded sample utterances, as { intent, utterance }
+     * @param {Object} [slotValues] The values of the slot types, keyed by intent name and slot name
+     */
+    function UtteranceMatcher(utterances, slotValues) {
+        var _this = this;
+        /**
+         * The expanded sample utterances of every intent
+         *
+         * @type {Array}
+         * @memberOf UtteranceMatcher
+         */
+        this.samples = [];
+        /**
+         * The known values of every slot, keyed by intent name and slot name
+         *
+         * @type {Object}
+         * @memberOf UtteranceMatcher
+         */
+        this.slotValues = {};
+        var intentName, slotName;
+        for (intentName in slotValues || {}) {
+            this.slotValues[intentName] = {};
+            for (slotName in slotValues[intentName]) {
+                this.slotValues[intentName][slotName] = slotValues[intentName][slotName].map(UtteranceMatcher.normalize);
+            }
+        }
+        utterances.forEach(function (utterance) {
+            _this.samples.push(_this.parse(utterance.intent, utterance.utterance));
+        });
+    }
+    /**
+     * Normalize a sentence: lower case words separated by single spaces, without punctuation
+     *
+     * @static
+     * @param {string} sentence
+     * @returns {string}
+     *
+     * @memberOf UtteranceMatcher
+     */
+    UtteranceMatcher.normalize = function (sentence) {
+        return String(sentence).toLowerCase().replace(/[^a-z0-9'\s]/g, " ").replace(/\s+/g, " ").trim();
+    };
+    /**
+     * Find the sample utterances which several intents have in common
+     *
+     * @returns {Array} The duplicates, as { utterance, intents }
+     *
+     * @memberOf UtteranceMatcher
+     */
+    UtteranceMatcher.prototype.duplicates = function () {
+        return this.conflicts(true);
+    };
+    /**
+     * Find the intent whose sample utterances match the sentence best. Samples with more
+     * words besides the slots are preferred, as well as slot values known for the slot.
+     *
+     * @param {string} sentence The spoken text, like "what is the status of JFK"
+     * @returns {any} The intent name, slot values and the matched sample utterance,
+     *                or undefined if no sample utterance matches
+     *
+     * @memberOf UtteranceMatcher
+     */
+    UtteranceMatcher.prototype.match = function (sentence) {
+        var _this = this;
+        var spoken = String(sentence).replace(/[^A-Za-z0-9'\s]/g, " ").replace(/\s+/g, " ").trim();
+        var best, bestScore = -1;
+        this.samples.forEach(function (sample) {
+            var found = spoken.match(sample.pattern);
+            if (!found) {
+                return;
+            }
+            var slots = {};
+            var known = _this.slotValues[sample.intent] || {};
+            var score = sample.words;
+            sample.slots.forEach(function (slotName, index) {
+                slots[slotName] = found[index + 1];
+                if (known[slotName] && known[slotName].indexOf(UtteranceMatcher.normalize(found[index + 1])) !== -1) {
+                    score++;
+                }
+            });
+            if (score > bestScore) {
+                best = { "intent": sample.intent, "slots": slots, "utterance": sample.utterance };
+                bestScore = score;
+            }
+        });
+        return best;
+    };
+    /**
+     * Find the sample utterances which are shared by several intents, either as the
+     * same sample or because a sample of one intent matches a sample with slots of another
+     *
+     * @returns {Array} The overlaps, as { utterance, intents }
+     *
+     * @memberOf UtteranceMatcher
+     */
+    UtteranceMatcher.prototype.overlaps = function () {
+        return this.conflicts(false);
+    };
+    /**
+     * Find the sample utterances of different intents which are the same, or also which
+     * match a sample with slots of another intent
+     *
+     * @param {boolean} exact Only find samples which are the same
+     * @returns {Array} The conflicts, as { utterance, intents }
+     */
+    UtteranceMatcher.prototype.conflicts = function (exact) {
+        var _this = this;
+        var conflicts = {};
+        this.samples.forEach(function (sample) {
+            _this.samples.forEach(function (other) {
+                if (sample.intent === other.intent) {
+                    return;
+                }
+                if (sample.key === other.key || (!exact && sample.slots.length === 0 && other.pattern.test(sample.key))) {
+                    var intents_1 = conflicts[sample.key] || (conflicts[sample.key] = []);
+                    [sample.intent, other.intent].forEach(function (intentName) {
+                        if (intents_1.indexOf(intentName) === -1) {
+                            intents_1.push(intentName);
+                        }
+                    });
+                }
+            });
+        });
+        return Object.keys(conflicts).map(function (key) {
+            return { "utterance": key, "intents": conflicts[key] };
+        });
+    };
+    /**
+     * Parse an expanded sample utterance, like "fly to {new york|City}" or "what is {Code}"
+     *
+     * @param {string} intentName
+     * @param {string} utterance
+     * @returns {any} The sample, with the pattern matching it and the names of its slots
+     */
+    UtteranceMatcher.prototype.parse = function (intentName, utterance) {
+        var _this = this;
+        var slots = [];
+        var words = 0;
+        var parts = utterance.split(/(\{[^}]*\})/).map(function (part) {
+            var slot = part.match(/^\{(?:([^|}]*)\|)?([^|}]+)\}$/);
+            if (slot) {
+                slots.push(slot[2]);
+                // the sample value of a slot is one of its known values
+                if (slot[1]) {
+                    var values = _this.slotValues[intentName] || (_this.slotValues[intentName] = {});
+                    values[slot[2]] = (values[slot[2]] || []).concat(UtteranceMatcher.normalize(slot[1]));
+                }
+                return { "slot": slot[2] };
+            }
+            var text = part.toLowerCase().replace(/[^a-z0-9'\s]/g, " ");
+            words += (text.match(/\S+/g) || []).length;
+            return { "text": text };
+        });
+        var key = parts.map(function (part) { return part.slot ? "{" + part.slot + "}" : UtteranceMatcher.normalize(part.text); })
+            .filter(function (part) { return part.length > 0; })
+            .join(" ");
+        var pattern = parts.map(function (part) {
+            return part.slot ? "(.+?)" : part.text.replace(/\s+/g, " ");
+        }).join("").trim();
+        return {
+            "intent": intentName,
+            "key": key,
+            "pattern": new RegExp("^" + pattern + "$", "i"),
+            "slots": slots,
+            "utterance": utterance,
+            "words": words
+        };
+    };
+    return UtteranceMatcher;
+}());
+exports.UtteranceMatcher = UtteranceMatcher;
+//# sourceMappingURL=UtteranceMatcher.js.map
\ No newline at end of file
@@ -1,10 +1,30 @@
 "use strict";
 var Application_1 = require("./Application");
 exports.Application = Application_1.Application;
+var AudioQueue_1 = require("./AudioQueue");
+exports.AudioQueue = AudioQueue_1.AudioQueue;
+var FilePersistenceAdapter_1 = require("./FilePersistenceAdapter");
+exports.FilePersistenceAdapter = FilePersistenceAdapter_1.FilePersistenceAdapter;
+var MemoryPersistenceAdapter_1 = require("./MemoryPersistenceAdapter");
+exports.MemoryPersistenceAdapter = MemoryPersistenceAdapter_1.MemoryPersistenceAdapter;
+var ModelExporter_1 = require("./ModelExporter");
+exports.ModelExporter = ModelExporter_1.ModelExporter;
+var PersistentAttributes_1 = require("./PersistentAttributes");
+exports.PersistentAttributes = PersistentAttributes_1.PersistentAttributes;
 var Request_1 = require("./Request");
 exports.Request = Request_1.Request;
+var Resources_1 = require("./Resources");
+exports.Resources = Resources_1.Resources;
 var Response_1 = require("./Response");
 exports.Response = Response_1.Response;
 var Session_1 = require("./Session");
 exports.Session = Session_1.Session;
+var Simulator_1 = require("./Simulator");
+exports.Simulator = Simulator_1.Simulator;
+var SimulatorResponse_1 = require("./SimulatorResponse");
+exports.SimulatorResponse = SimulatorResponse_1.SimulatorResponse;
+var Slot_1 = require("./Slot");
+exports.Slot = Slot_1.Slot;
+var to_ssml_1 = require("./to-ssml");
+exports.SSML = to_ssml_1.SSML;
 //# sourceMappingURL=index.js.map
\ No newline at end of file
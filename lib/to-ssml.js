@@ -10,8 +10,69 @@
 "use strict";
 // Util functions for generating valid SSML from plain text
 // ========================================================
+var BREAK_STRENGTHS = ["none", "x-weak", "weak", "medium", "strong", "x-strong"];
+var LANGUAGES = [
+    "de-DE", "en-AU", "en-CA", "en-GB", "en-IN", "en-US", "es-ES", "es-MX", "es-US", "fr-CA", "fr-FR",
+    "hi-IN", "it-IT", "ja-JP", "pt-BR"
+];
+var MAX_AUDIO = 5;
+var MAX_BREAK_SECONDS = 10;
+// a comment, closing tag, opening or self-closing tag with its attributes, text or stray <
+var TOKEN = /<!--[\s\S]*?-->|<\/([\w:-]+)\s*>|<([\w:-]+)((?:\s+[\w:-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)|</;
+// the tags Alexa supports, with the allowed values of their attributes: a list, a pattern,
+// or null for any value, and the attributes which are required
+var TAGS = {
+    "amazon:domain": { "attributes": { "name": ["conversational", "fun", "long-form", "music", "news"] }, "required": ["name"] },
+    "amazon:effect": { "attributes": { "name": ["whispered"] }, "required": ["name"] },
+    "amazon:emotion": {
+        "attributes": { "name": ["disappointed", "excited"], "intensity": ["low", "medium", "high"] },
+        "required": ["name", "intensity"]
+    },
+    "audio": { "attributes": { "src": /^https:\/\/\S+$/ }, "required": ["src"] },
+    "break": { "attributes": { "strength": BREAK_STRENGTHS, "time": /^\d+(\.\d+)?m?s$/ }, "required": [] },
+    "emphasis": { "attributes": { "level": ["moderate", "reduced", "strong"] }, "required": [] },
+    "lang": { "attributes": { "xml:lang": LANGUAGES }, "required": ["xml:lang"] },
+    "p": { "attributes": {}, "required": [] },
+    "phoneme": { "attributes": { "alphabet": ["ipa", "x-sampa"], "ph": null }, "required": ["ph"] },
+    "prosody": {
+        "attributes": {
+            "pitch": /^(x-low|low|medium|high|x-high|[+-]\d+(\.\d+)?%)$/,
+            "rate": /^(x-slow|slow|medium|fast|x-fast|\d+(\.\d+)?%)$/,
+            "volume": /^(silent|x-soft|soft|medium|loud|x-loud|[+-]\d+(\.\d+)?dB)$/
+        },
+        "required": []
+    },
+    "s": { "attributes": {}, "required": [] },
+    "say-as": {
+        "attributes": {
+            "format": ["d", "dm", "dmy", "m", "md", "mdy", "my", "y", "ym", "ymd"],
+            "interpret-as": [
+                "address", "cardinal", "characters", "date", "digits", "expletive", "fraction", "interjection",
+                "number", "ordinal", "spell-out", "telephone", "time", "unit"
+            ]
+        },
+        "required": ["interpret-as"]
+    },
+    "speak": { "attributes": {}, "required": [] },
+    "sub": { "attributes": { "alias": null }, "required": ["alias"] },
+    "voice": { "attributes": { "name": null }, "required": ["name"] },
+    "w": {
+        "attributes": {
+            "role": ["amazon:NN", "amazon:SENSE_1", "amazon:VB", "amazon:VBD", "ivona:NN", "ivona:SENSE_1", "ivona:VB", "ivona:VBD"]
+        },
+        "required": ["role"]
+    }
+};
+/**
+ * Builds well-formed SSML, escaping text and attribute values:
+ *
+ *     new SSML().text("Your code is").sayAs("digits", "123").pause(500).text("Goodbye")
+ *
+ * The content of a tag is either text or another SSML builder.
+ */
 var SSML = (function () {
     function SSML() {
+        this.parts = [];
     }
     SSML.fromStr = function (str, current_ssml) {
         // remove any <speak> tags from the input string, if they exist. There can only be one set of <speak> tags.
@@ -20,18 +81,440 @@ var SSML = (function () {
         // and remove them from the concatenated string, if exists
         current_ssml = current_ssml || "";
         current_ssml = current_ssml.replace(/<speak>/gi, " ").replace(/<\/speak>/gi, " ").trim();
-        // TODO: Need a library with how to easily construct these statements with appropriate spacing, etc.
-        // TODO: make sure all attribute values are surrounded by "..."
         var ssml_str = "<speak>" + current_ssml + (current_ssml === "" ? "" : " ") + str + "</speak>";
         return ssml_str.replace(/  +/, " ");
     };
+    /**
+     * Remove the SSML from a string, see toText()
+     *
+     * @static
+     * @param {string} str
+     * @returns {string}
+     *
+     * @memberOf SSML
+     */
     SSML.cleanse = function (str) {
-        return str.replace(/<\/?(speak|break|phoneme|audio|say-as|s\b|w\b)[^>]*>/gi, " ")
+        return SSML.toText(str);
+    };
+    /**
+     * Parse SSML into a tree of elements, which have a name, attributes and children,
+     * and text, which is a string
+     *
+     * @static
+     * @param {string} ssml
+     * @returns {any} The root element
+     * @throws {Error} If the SSML isn't well-formed
+     *
+     * @memberOf SSML
+     */
+    SSML.parse = function (ssml) {
+        var token = new RegExp(TOKEN.source, "g");
+        var stack = [];
+        var root = null, match;
+        while ((match = token.exec(ssml)) !== null) {
+            var parent_1 = stack[stack.length - 1];
+            if (match[0].indexOf("<!--") === 0) {
+                continue;
+            }
+            else if (match[1]) {
+                if (!parent_1 || parent_1.name !== match[1]) {
+                    throw new Error("Unexpected closing tag </" + match[1] + "> at position " + match.index);
+                }
+                stack.pop();
+            }
+            else if (match[2]) {
+                var element = { "name": match[2], "attributes": SSML.parseAttributes(match[3], match.index), "children": [] };
+                if (parent_1) {
+                    parent_1.children.push(element);
+                }
+                else if (root) {
+                    throw new Error("Unexpected <" + match[2] + "> after the root element at position " + match.index);
+                }
+                else {
+                    root = element;
+                }
+                if (!match[4]) {
+                    stack.push(element);
+                }
+            }
+            else if (match[5]) {
+                if (/&(?!(amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);)/i.test(match[5])) {
+                    throw new Error("Unescaped & at position " + match.index);
+                }
+                if (parent_1) {
+                    parent_1.children.push(match[5]);
+                }
+                else if (match[5].trim() !== "") {
+                    throw new Error("Unexpected text outside of the root element at position " + match.index);
+                }
+            }
+            else {
+                throw new Error("Unexpected < at position " + match.index);
+            }
+        }
+        if (stack.length > 0) {
+            throw new Error("Missing closing tag </" + stack[stack.length - 1].name + ">");
+        }
+        if (!root) {
+            throw new Error("Missing root element");
+        }
+        return root;
+    };
+    /**
+     * Check SSML for the problems Alexa rejects: malformed SSML, unsupported tags and
+     * attributes, invalid attribute values and too many audio files. The duration of
+     * audio files isn't checked, as that would require downloading them.
+     *
+     * @static
+     * @param {string} ssml The SSML, wrapped in <speak> tags
+     * @returns {Array} The problems, each with a code and a message
+     *
+     * @memberOf SSML
+     */
+    SSML.validate = function (ssml) {
+        var problems = [];
+        var add = function (code, message) { return problems.push({ "code": code, "message": message }); };
+        var root, audioCount = 0;
+        try {
+            root = SSML.parse(ssml);
+        }
+        catch (e) {
+            add("MALFORMED_SSML", "The SSML is malformed: " + e.message + ".");
+            return problems;
+        }
+        if (root.name !== "speak") {
+            add("MALFORMED_SSML", "The SSML must be wrapped in <speak> tags, not <" + root.name + ">.");
+        }
+        var check = function (element, isRoot) {
+            var tag = TAGS[element.name];
+            var attribute;
+            if (!tag || (element.name === "speak" && !isRoot)) {
+                add("UNSUPPORTED_TAG", "The tag <" + element.name + "> isn't supported.");
+            }
+            else {
+                for (attribute in element.attributes) {
+                    var allowed = tag.attributes[attribute];
+                    var value = element.attributes[attribute];
+                    if (typeof allowed == "undefined") {
+                        add("UNSUPPORTED_ATTRIBUTE", "The attribute " + attribute + " of <" + element.name + "> isn't supported.");
+                    }
+                    else if ((Array.isArray(allowed) && allowed.indexOf(value) === -1) || (allowed instanceof RegExp && !allowed.test(value))) {
+                        add("INVALID_ATTRIBUTE", "The value \"" + value + "\" of the attribute " + attribute + " of <" + element.name + "> is invalid.");
+                    }
+                }
+                tag.required.forEach(function (attribute) {
+                    if (typeof element.attributes[attribute] == "undefined") {
+                        add("MISSING_ATTRIBUTE", "The tag <" + element.name + "> requires the attribute " + attribute + ".");
+                    }
+                });
+                if (element.name === "break" && /^\d+(\.\d+)?m?s$/.test(element.attributes.time || "")) {
+                    var seconds = parseFloat(element.attributes.time) / (/ms$/.test(element.attributes.time) ? 1000 : 1);
+                    if (seconds > MAX_BREAK_SECONDS) {
+                        add("INVALID_ATTRIBUTE", "The break time " + element.attributes.time + " exceeds " + MAX_BREAK_SECONDS + "s.");
+                    }
+                }
+                if (element.name === "audio") {
+                    audioCount++;
+                }
+            }
+            element.children.forEach(function (child) {
+                if (typeof child != "string") {
+                    check(child, false);
+                }
+            });
+        };
+        check(root, true);
+        if (audioCount > MAX_AUDIO) {
+            add("TOO_MANY_AUDIO", "The SSML has " + audioCount + " <audio> tags, more than the " + MAX_AUDIO + " allowed.");
+        }
+        return problems;
+    };
+    /**
+     * Split SSML into its sentences, which end with a <p> or <s> tag or with a period,
+     * question or exclamation mark. Tags other than <p> and <s> are never split.
+     *
+     * @static
+     * @param {string} ssml The SSML, with or without <speak> tags
+     * @returns {string[]} The SSML of each sentence, without <speak> tags
+     *
+     * @memberOf SSML
+     */
+    SSML.sentences = function (ssml) {
+        var token = new RegExp(TOKEN.source, "g");
+        var source = (ssml || "").replace(/<\/?speak\s*>/gi, " ");
+        var sentences = [];
+        var sentence = "", depth = 0, match;
+        var end = function () {
+            if (sentence.trim() !== "") {
+                sentences.push(sentence.trim());
+            }
+            sentence = "";
+        };
+        var _loop_1 = function () {
+            if (match[5] && depth === 0) {
+                var parts_1 = match[5].replace(/([.!?]+["')]*)\s+/g, "$1\u0000").split("\u0000");
+                parts_1.forEach(function (part, index) {
+                    sentence += part;
+                    if (index < parts_1.length - 1) {
+                        end();
+                    }
+                });
+            }
+            else {
+                sentence += match[0];
+                if (match[1]) {
+                    depth--;
+                    if (depth === 0 && /^(p|s)$/.test(match[1])) {
+                        end();
+                    }
+                }
+                else if (match[2] && !match[4]) {
+                    depth++;
+                }
+            }
+        };
+        while ((match = token.exec(source)) !== null) {
+            _loop_1();
+        }
+        end();
+        return sentences;
+    };
+    /**
+     * Render SSML as plain text, for cards and other display output. Tags are removed,
+     * <sub> is replaced by its alias, entities are decoded and <p> and <s> end a sentence.
+     * The text doesn't need to be wrapped in <speak> tags, and text which isn't well-formed
+     * SSML, like "Tom & Jerry", is rendered by removing anything that looks like a tag.
+     *
+     * @static
+     * @param {string} ssml
+     * @returns {string}
+     *
+     * @memberOf SSML
+     */
+    SSML.toText = function (ssml) {
+        var source = (ssml || "").replace(/<\/?speak\s*>/gi, " ")
+            .replace(/&(?!(amp|lt|gt|quot|apos|#\d+|#x[0-9a-f]+);)/gi, "&amp;")
+            .replace(/<(?![\/\w!])/g, "&lt;");
+        var text;
+        try {
+            text = SSML.render(SSML.parse("<speak>" + source + "</speak>"));
+        }
+        catch (e) {
+            text = SSML.decode(source.replace(/<[^>]*>/g, " "));
+        }
+        return text.replace(/[ \t]+/g, " ")
             .replace(/\s*\n\s*/g, "\n")
-            .replace(/  +/g, " ")
             .replace(/ ([.,!?;:])/g, "$1")
             .trim();
     };
+    /**
+     * Escape text for SSML
+     *
+     * @static
+     * @param {any} text
+     * @returns {string}
+     *
+     * @memberOf SSML
+     */
+    SSML.escape = function (text) {
+        return String(text)
+            .replace(/&/g, "&amp;")
+            .replace(/</g, "&lt;")
+            .replace(/>/g, "&gt;")
+            .replace(/"/g, "&quot;");
+    };
+    /**
+     * Play an audio file
+     *
+     * @param {string} src The https URL of the MP3 file
+     * @returns {SSML}
+     *
+     * @memberOf SSML
+     */
+    SSML.prototype.audio = function (src) {
+        return this.tag("audio", { "src": src });
+    };
+    /**
+     * Emphasize some content
+     *
+     * @param {string} level strong, moderate or reduced
+     * @param {(string|SSML)} content
+     * @returns {SSML}
+     *
+     * @memberOf SSML
+     */
+    SSML.prototype.emphasis = function (level, content) {
+        return this.tag("emphasis", { "level": level }, content);
+    };
+    /**
+     * Speak some content as a paragraph
+     *
+     * @param {(string|SSML)} content
+     * @returns {SSML}
+     *
+     * @memberOf SSML
+     */
+    SSML.prototype.paragraph = function (content) {
+        return this.tag("p", {}, content);
+    };
+    /**
+     * Pause for a time, or with a strength
+     *
+     * @param {(number|string)} time The milliseconds, a time like "2s", or a strength like "strong"
+     * @returns {SSML}
+     *
+     * @memberOf SSML
+     */
+    SSML.prototype.pause = function (time) {
+        if (BREAK_STRENGTHS.indexOf(String(time)) !== -1) {
+            return this.tag("break", { "strength": time });
+        }
+        return this.tag("break", { "time": typeof time == "number" ? time + "ms" : time });
+    };
+    /**
+     * Pronounce some text phonetically
+     *
+     * @param {string} alphabet ipa or x-sampa
+     * @param {string} ph The phonetic pronunciation
+     * @param {string} text
+     * @returns {SSML}
+     *
+     * @memberOf SSML
+     */
+    SSML.prototype.phoneme = function (alphabet, ph, text) {
+        return this.tag("phoneme", { "alphabet": alphabet, "ph": ph }, text);
+    };
+    /**
+     * Change the rate, pitch or volume of some content
+     *
+     * @param {Object} attributes The rate, pitch and volume, like { rate: "slow" }
+     * @param {(string|SSML)} content
+     * @returns {SSML}
+     *
+     * @memberOf SSML
+     */
+    SSML.prototype.prosody = function (attributes, content) {
+        return this.tag("prosody", attributes, content);
+    };
+    /**
+     * Say some text as a particular type, like digits or a date
+     *
+     * @param {string} interpretAs The type of the text, like digits, date or telephone
+     * @param {string} text
+     * @param {string} [format] The format of a date, like mdy
+     * @returns {SSML}
+     *
+     * @memberOf SSML
+     */
+    SSML.prototype.sayAs = function (interpretAs, text, format) {
+        return this.tag("say-as", { "interpret-as": interpretAs, "format": format }, text);
+    };
+    /**
+     * Speak some content as a sentence
+     *
+     * @param {(string|SSML)} content
+     * @returns {SSML}
+     *
+     * @memberOf SSML
+     */
+    SSML.prototype.sentence = function (content) {
+        return this.tag("s", {}, content);
+    };
+    /**
+     * Say an alias instead of some text
+     *
+     * @param {string} alias The text to say
+     * @param {string} text The text to replace
+     * @returns {SSML}
+     *
+     * @memberOf SSML
+     */
+    SSML.prototype.sub = function (alias, text) {
+        return this.tag("sub", { "alias": alias }, text);
+    };
+    /**
+     * Say some plain text
+     *
+     * @param {string} text
+     * @returns {SSML}
+     *
+     * @memberOf SSML
+     */
+    SSML.prototype.text = function (text) {
+        this.parts.push(SSML.escape(text));
+        return this;
+    };
+    /**
+     * Return the SSML, wrapped in <speak> tags
+     *
+     * @returns {string}
+     *
+     * @memberOf SSML
+     */
+    SSML.prototype.toString = function () {
+        return "<speak>" + this.markup() + "</speak>";
+    };
+    SSML.decode = function (text) {
+        var entities = { "amp": "&", "apos": "'", "gt": ">", "lt": "<", "quot": "\"" };
+        return text.replace(/&(amp|apos|gt|lt|quot|#\d+|#x[0-9a-f]+);/gi, function (entity, name) {
+            if (name.charAt(0) === "#") {
+                return String.fromCharCode(/^#x/i.test(name) ? parseInt(name.substr(2), 16) : parseInt(name.substr(1), 10));
+            }
+            return entities[name.toLowerCase()];
+        });
+    };
+    SSML.parseAttributes = function (source, position) {
+        var attribute = /([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+        var attributes = {};
+        var match;
+        while ((match = attribute.exec(source)) !== null) {
+            if (typeof attributes[match[1]] != "undefined") {
+                throw new Error("Duplicate attribute " + match[1] + " at position " + position);
+            }
+            attributes[match[1]] = typeof match[2] != "undefined" ? match[2] : match[3];
+        }
+        return attributes;
+    };
+    SSML.render = function (node) {
+        if (typeof node == "string") {
+            return SSML.decode(node);
+        }
+        var content = node.children.map(function (child) { return SSML.render(child); }).join("");
+        switch (node.name) {
+            case "audio":
+            case "break":
+                return " ";
+            case "sub":
+                return typeof node.attributes.alias != "undefined" ? SSML.decode(node.attributes.alias) : content;
+            case "p":
+            case "s":
+                var sentence = content.trim();
+                if (sentence === "") {
+                    return " ";
+                }
+                return (node.name === "p" ? "\n" : " ") + sentence + (/[.!?]$/.test(sentence) ? "" : ".") + (node.name === "p" ? "\n" : " ");
+            default:
+                return content;
+        }
+    };
+    SSML.prototype.markup = function () {
+        return this.parts.join(" ");
+    };
+    SSML.prototype.tag = function (name, attributes, content) {
+        var tag = "<" + name, key;
+        for (key in attributes) {
+            if (typeof attributes[key] != "undefined" && attributes[key] !== null) {
+                tag += " " + key + "=\"" + SSML.escape(attributes[key]) + "\"";
+            }
+        }
+        if (typeof content == "undefined") {
+            this.parts.push(tag + "/>");
+        }
+        else {
+            this.parts.push(tag + ">" + (content instanceof SSML ? content.markup() : SSML.escape(content)) + "</" + name + ">");
+        }
+        return this;
+    };
     return SSML;
 }());
 exports.SSML = SSML;
@@ -3,14 +3,45 @@ import VerifierMiddleware = require("alexa-verifier-middleware");
 import Promise = require("bluebird");
 import BodyParser = require("body-parser");
 import Defaults = require("lodash.defaults");
+import { Dialog } from "./Dialog";
+import { ModelValidator } from "./ModelValidator";
+import { PersistenceAdapter } from "./PersistenceAdapter";
+import { PersistentAttributes } from "./PersistentAttributes";
 import { Request } from "./Request";
+import { Resources } from "./Resources";
 import { Response } from "./Response";
+import { SPEECH_OVERFLOW_ATTRIBUTE } from "./Session";
+import { UtteranceMatcher } from "./UtteranceMatcher";
+
+const FALLBACK_INTENT = "AMAZON.FallbackIntent";
 
 export class Application {
+	/**
+	 * If set to true, the audio queue of request.audioQueue() plays along with the AudioPlayer:
+	 * the next track is enqueued on PlaybackNearlyFinished, the offset is recorded on
+	 * PlaybackStopped and AMAZON.ResumeIntent resumes the current track. The handlers of
+	 * these requests are still called, and are optional. Requires a persistenceAdapter.
+	 *
+	 * @type {boolean}
+	 * @memberOf Application
+	 */
+	public audioQueue: boolean = false;
+
+	/**
+	 * The locale of localized utterances, dictionary entries, custom slot type values
+	 * and messages, when no locale is given or the request has none
+	 *
+	 * @type {string}
+	 * @memberOf Application
+	 */
+	public defaultLocale: string = "en-US";
+
 	/**
 	 * Several intents may use the same list of possible values, so you want to define
 	 * them in one place, not in each intent schema.
 	 *
+	 * Each list can also be an object of lists keyed by locale.
+	 *
 	 * @memberOf Application
 	 */
 	public dictionary = {};
@@ -54,8 +85,12 @@ export class Application {
 		// when a request and response don't contain session object
 		// https://developer.amazon.com/public/solutions/alexa/alexa-skills-kit/docs/alexa-skills-kit-interface-reference#request-body-parameters
 		"NO_SESSION": "This request doesn't support session attributes",
+		// when persistent attributes are used without a persistence adapter, user or device ID
+		"NO_PERSISTENCE": "This request doesn't support persistent attributes",
 		// if some other exception happens
-		"GENERIC_ERROR": "Sorry, the application encountered an error"
+		"GENERIC_ERROR": "Sorry, the application encountered an error",
+		// when an output speech exceeding the limits of Alexa was split, see speechOverflow
+		"SPEECH_OVERFLOW_PROMPT": "Would you like to hear more?"
 	};
 
 	/**
@@ -69,6 +104,24 @@ export class Application {
 	 */
 	public persistentSession: boolean = true;
 
+	/**
+	 * The store of attributes which persist beyond the session, available as
+	 * `request.persistent`. Attributes are loaded before the request is handled and
+	 * saved when the response is sent.
+	 *
+	 * @type {PersistenceAdapter}
+	 * @memberOf Application
+	 */
+	public persistenceAdapter: PersistenceAdapter = null;
+
+	/**
+	 * Store the persistent attributes per "userId" or per "deviceId"
+	 *
+	 * @type {string}
+	 * @memberOf Application
+	 */
+	public persistenceKey: string = "userId";
+
 	/**
 	 * The last thing executed for every request. It is even called if there is an
 	 * exception or if a response has already been sent.
@@ -94,16 +147,57 @@ export class Application {
 	 */
 	public pre: Function = () => {};
 
+	/**
+	 * The resource bundles of response.sayKey(), keyed by locale or language. Strings
+	 * missing in the bundle of the request locale are looked up in the one of defaultLocale.
+	 *
+	 * @type {Object}
+	 * @memberOf Application
+	 */
+	public resources = {};
+
+	/**
+	 * What happens to an output speech exceeding the limits of Alexa, 8000 characters and 5
+	 * <audio> tags: "throw" an error, "truncate" it at a sentence boundary, or "split" it and
+	 * ask the SPEECH_OVERFLOW_PROMPT message, continuing when the user answers AMAZON.YesIntent.
+	 * False sends the output speech unchecked.
+	 *
+	 * @type {(boolean | string)}
+	 * @memberOf Application
+	 */
+	public speechOverflow: boolean | string = "throw";
+
+	/**
+	 * Whether response.say() and response.reprompt() check the SSML against the tags and
+	 * attributes Alexa supports: false, "warn" to log the problems or "throw" to throw
+	 *
+	 * @type {(boolean | string)}
+	 * @memberOf Application
+	 */
+	public strictSSML: boolean | string = false;
+
 	private audioPlayerEventHandlers = {};
 
+	private customSlotTypes = {};
+
+	private exceptionEncounteredFunc: Function = null;
+
 	private intents = {};
 
 	private launchFunc: Function = null;
 
+	private middlewares: Function[] = [];
+
 	private name: string;
 
+	private playbackControllerEventHandlers = {};
+
 	private sessionEndedFunc: Function = null;
 
+	private states = {};
+
+	private unhandledFunc: Function = null;
+
 	constructor(name: string) {
 		this.name = name;
 	}
@@ -120,6 +214,63 @@ export class Application {
 		};
 	}
 
+	/**
+	 * Bind a function as the handler of System.ExceptionEncountered, sent when Alexa couldn't
+	 * process the response to a previous request. The handler can log request.error() and
+	 * request.errorCause(), but can't respond.
+	 *
+	 * @param {Function} func Function to bind
+	 *
+	 * @memberOf Application
+	 */
+	public exceptionEncountered(func: Function) {
+		this.exceptionEncounteredFunc = func;
+	}
+
+	/**
+	 * Define a custom slot type and its values. Each value is either a string or an object
+	 * with a `value`, an optional `id` and optional `synonyms`.
+	 *
+	 * The values are available to sample utterances like dictionary entries, using the
+	 * slot type name, and are exported as a slot type of the interaction model.
+	 *
+	 * @param {string} typeName The name of the custom slot type
+	 * @param {Array} values The values of the custom slot type
+	 *
+	 * @memberOf Application
+	 */
+	public customSlotType(typeName: string, values) {
+		const normalize = (list) => {
+			if (!Array.isArray(list)) {
+				throw new Error(`The values of custom slot type "${typeName}" must be an array.`);
+			}
+
+			return list.map(value => {
+				if (typeof value == "string") {
+					return { "value": value };
+				}
+
+				if (!value || typeof value.value != "string") {
+					throw new Error(`Every value of custom slot type "${typeName}" must have a value.`);
+				}
+
+				return value;
+			});
+		};
+
+		if (values && typeof values == "object" && !Array.isArray(values)) {
+			const localized = {};
+
+			Object.keys(values).forEach(locale => {
+				localized[locale] = normalize(values[locale]);
+			});
+
+			this.customSlotTypes[typeName] = localized;
+		} else {
+			this.customSlotTypes[typeName] = normalize(values);
+		}
+	}
+
 	public express = (options) => {
 		if (!options.expressApp) {
 			throw new Error("You must specify an express instance to attach to.");
@@ -144,6 +295,8 @@ export class Application {
 					res.set("Content-Type", "text/plain").send(this.schema());
 				} else if (typeof req.query["utterances"] != "undefined") {
 					res.set("Content-Type", "text/plain").send(this.utterances());
+				} else if (typeof req.query["interactionModel"] != "undefined") {
+					res.set("Content-Type", "text/plain").send(this.interactionModel());
 				} else {
 					res.render("test", {
 						"app": this,
@@ -263,7 +416,175 @@ export class Application {
 
 		if (schema) {
 			this.intents[intentName].schema = schema;
+
+			if (schema.dialog) {
+				this.intents[intentName].dialog = new Dialog(intentName, schema);
+			}
+		}
+	}
+
+	/**
+	 * Return the complete generated interaction model, as accepted by the skill builder.
+	 * The model contains the invocation name, every intent with its slots and expanded
+	 * sample utterances (built-in intents included), the custom slot types defined with
+	 * customSlotType() and the custom slot types whose values are defined in the dictionary.
+	 *
+	 * @param {Object} [options] Generation options
+	 * @param {string} [options.invocationName] The invocation name, defaults to the application name
+	 * @param {string} [options.locale] The locale of the utterances and slot type values, defaults to defaultLocale
+	 * @returns {string} String representation of the interaction model's JSON object
+	 *
+	 * @memberOf Application
+	 */
+	public interactionModel = (options?): string => {
+		options = Defaults(options || {}, { invocationName: this.name });
+
+		const languageModel = {
+			"invocationName": options.invocationName,
+			"intents": [],
+			"types": []
+		};
+
+		const types = {};
+		const dialog = { "intents": [] };
+
+		let intentName, intent, key, prompts = [];
+
+		for (key in this.customSlotTypes) {
+			this.addTypeValues(types, key, this.localized(this.customSlotTypes[key], options.locale) || []);
+		}
+
+		for (intentName in this.intents) {
+			intent = this.intents[intentName];
+
+			let intentModel: any = { "name": intent.name };
+
+			const slots = (intent.schema && intent.schema.slots) || {};
+			const dictionary = this.utteranceDictionary(options.locale);
+			const utterances = this.intentUtterances(intent, options.locale);
+
+			if (Object.keys(slots).length > 0) {
+				intentModel["slots"] = [];
+
+				for (key in slots) {
+					let slotModel: any = {
+						"name": key,
+						"type": slots[key]
+					};
+
+					if (intent.dialog && intent.dialog.slots[key] && intent.dialog.slots[key].samples.length > 0) {
+						slotModel["samples"] = this.languageModelSamples(intent.dialog.slots[key].samples, slots, options.locale);
+					}
+
+					intentModel.slots.push(slotModel);
+				}
+			}
+
+			intentModel["samples"] = this.languageModelSamples(utterances, slots, options.locale);
+
+			// dictionary entries used for a custom slot are the values of its type
+			utterances.forEach(sample => {
+				const placeholder = /\{([^{}|]+)\|([^{}|]+)\}/g;
+				let match;
+
+				while ((match = placeholder.exec(sample)) !== null) {
+					if (dictionary[match[1]] && slots[match[2]]) {
+						this.addTypeValues(types, slots[match[2]], dictionary[match[1]]);
+					}
+				}
+			});
+
+			for (key in slots) {
+				if (dictionary[slots[key]]) {
+					this.addTypeValues(types, slots[key], dictionary[slots[key]]);
+				}
+			}
+
+			languageModel.intents.push(intentModel);
+
+			if (intent.dialog) {
+				dialog.intents.push(intent.dialog.model());
+				prompts = prompts.concat(intent.dialog.prompts());
+			}
+		}
+
+		// send utterances matching no intent to the unhandled handlers
+		if (typeof this.intents[FALLBACK_INTENT] == "undefined" && this.hasUnhandledHandler()) {
+			languageModel.intents.push({ "name": FALLBACK_INTENT, "samples": [] });
 		}
+
+		for (key in types) {
+			languageModel.types.push({
+				"name": key,
+				"values": types[key].map(value => {
+					let typeValue: any = { "name": { "value": value.value } };
+
+					if (value.id) {
+						typeValue = { "id": value.id, "name": typeValue.name };
+					}
+
+					if (value.synonyms && value.synonyms.length > 0) {
+						typeValue.name.synonyms = value.synonyms;
+					}
+
+					return typeValue;
+				})
+			});
+		}
+
+		const model: any = { "languageModel": languageModel };
+
+		if (dialog.intents.length > 0) {
+			model["dialog"] = dialog;
+			model["prompts"] = prompts;
+		}
+
+		return JSON.stringify({ "interactionModel": model }, null, 3);
+	};
+
+	/**
+	 * Find the intent whose sample utterances match a sentence best, to test what happens
+	 * when the user says it without the Alexa service. Slot values are extracted from the
+	 * sentence, values of the dictionary and custom slot types make a sample match better.
+	 *
+	 * @param {string} sentence The spoken text, like "what is the status of JFK"
+	 * @param {string} [locale] The locale of the utterances, defaults to defaultLocale
+	 * @returns {any} The intent name, slot values by slot name and the matched sample utterance,
+	 *                or undefined if no sample utterance matches
+	 *
+	 * @memberOf Application
+	 */
+	public match(sentence: string, locale?: string) {
+		return this.utteranceMatcher(locale).match(sentence);
+	}
+
+	/**
+	 * Find the sample utterances shared by several intents, which Alexa can't tell apart
+	 *
+	 * @param {string} [locale] The locale of the utterances, defaults to defaultLocale
+	 * @returns {Array} The overlaps, as { utterance, intents }
+	 *
+	 * @memberOf Application
+	 */
+	public overlappingUtterances(locale?: string): any[] {
+		return this.utteranceMatcher(locale).overlaps();
+	}
+
+	/**
+	 * Set the handler of a PlaybackController request, sent when the user presses a button
+	 * of the device or of a remote control. The response may only contain AudioPlayer
+	 * directives, see response.prepare().
+	 *
+	 * @param {string} eventName PlayCommandIssued, NextCommandIssued, PreviousCommandIssued or PauseCommandIssued
+	 * @param {Function} func The function to trigger
+	 *
+	 * @memberOf Application
+	 */
+	public playbackController(eventName: string, func: Function) {
+		this.playbackControllerEventHandlers[eventName] = {
+			"name": eventName,
+			"function": func
+		};
 	}
 
 	/**
@@ -279,7 +600,10 @@ export class Application {
 	public request = (request_json): Promise<any> => {
 		return new Promise((resolve: (response: Object) => void, reject: (reason: any) => void) => {
 			const request = new Request(request_json);
-			const response = new Response(request.getSession());
+			const response = new Response(request.getSession(), request, new Resources(this.resources, this.defaultLocale));
+			response.speechOverflow = this.speechOverflow;
+			response.speechOverflowPrompt = this.message("SPEECH_OVERFLOW_PROMPT", request.locale);
+			response.strictSSML = this.strictSSML;
 			const requestType = request.type();
 
 
@@ -287,12 +611,12 @@ export class Application {
 			const handleError = (e) => {
 				if (typeof this.error == "function") {
 					this.error(e, request, response);
-				} else if (typeof e == "string" && this.messages[e]) {
-					if (!request.isAudioPlayer()) {
-						response.say(this.messages[e]);
+				} else if (typeof e == "string" && this.message(e, request.locale)) {
+					if (!request.isAudioPlayer() && !request.isPlaybackController() && "System.ExceptionEncountered" !== requestType) {
+						response.say(this.message(e, request.locale));
 						response.send(e);
 					} else {
-						response.fail(this.messages[e]);
+						response.fail(this.message(e, request.locale));
 					}
 				}
 
@@ -308,7 +632,10 @@ export class Application {
 			// prevent callback handler (request resolution) from being called multiple times
 			let callbackHandlerCalled = false;
 
-			// sends the request or handles an error if an error is passed into the callback
+			// resolves or rejects the Promise of the request handler, see handleRequest
+			let handlerCompleted: (e?) => void = () => {};
+
+			// completes the request handler or handles an error if an error is passed into the callback
 			const callbackHandler = (e?) => {
 				if (callbackHandlerCalled) {
 					console.warn("Response has already been sent");
@@ -316,58 +643,196 @@ export class Application {
 				}
 				callbackHandlerCalled = true;
 
-				if (e) {
-					handleError(e);
-				} else {
-					response.send();
-				}
+				handlerCompleted(e);
 			};
 
-			let postExecuted = false;
+			// the user or device ID the persistent attributes are stored for
+			const persistenceId = ("deviceId" === this.persistenceKey) ? request.deviceId : request.userId;
 
-			// attach Promise resolve/reject functions to the response object
-			response.send = (exception) => {
-				response.prepare();
+			// load the persistent attributes before the request is handled
+			const loadPersistent = (): Promise<any> => {
+				if (!this.persistenceAdapter || !persistenceId) {
+					return Promise.resolve();
+				}
+
+				return Promise.resolve(this.persistenceAdapter.get(persistenceId))
+					.then(attributes => {
+						request.persistent = new PersistentAttributes(persistenceId, attributes);
+					});
+			};
 
-				// execute the post function if it hasn't been triggered yet
-				if (typeof this.post == "function" && !postExecuted) {
-					postExecuted = true;
-					this.post(request, response, requestType, exception);
+			// save the persistent attributes if they were updated, delete them if they were cleared
+			const savePersistent = (): Promise<any> => {
+				if (!this.persistenceAdapter || !request.persistent.isChanged()) {
+					return Promise.resolve();
 				}
 
-				// resolve the process
-				if (!response.resolved) {
-					response.resolved = true;
-					resolve(response.response);
+				const attributes = request.persistent.getAttributes();
+
+				if (Object.keys(attributes).length > 0) {
+					return Promise.resolve(this.persistenceAdapter.save(persistenceId, attributes));
 				}
+
+				return Promise.resolve(this.persistenceAdapter.delete(persistenceId));
 			};
-			response.fail = (msg, exception) => {
-				response.prepare();
 
-				// execute the post function if it hasn't been triggered yet
-				if (typeof this.post == "function" && !postExecuted) {
-					postExecuted = true;
-					this.post(request, response, requestType, exception);
+			let postExecuted = false;
+			let postRunning = false;
+			let prepareFailed = false;
+			let settle: () => void = null;
+
+			// the first send() or fail() settles the request once post() has completed,
+			// post() itself may still replace the outcome by calling send() or fail()
+			const complete = (exception, outcome: () => void, failure: boolean) => {
+				// a response Alexa would reject is handled like an error of the handler,
+				// failing it afterwards doesn't check the response again
+				if (!failure || !prepareFailed) {
+					try {
+						response.prepare();
+					} catch (e) {
+						if (prepareFailed) {
+							response.fail(`Unhandled exception: ${e.message}.`, e);
+						} else {
+							prepareFailed = true;
+							handleError(e);
+						}
+						return;
+					}
+				}
+
+				// a handler sending the response itself is completed
+				handlerCompleted();
+
+				if (response.resolved && !postRunning) {
+					return;
 				}
+				response.resolved = true;
+				settle = outcome;
 
-				if (!response.resolved) {
-					response.resolved = true;
-					reject(msg);
+				if (postExecuted) {
+					if (!postRunning) {
+						settle();
+					}
+					return;
 				}
+
+				// execute the post function and wait for the Promise it may return
+				postExecuted = true;
+				postRunning = true;
+				Promise.try(() => {
+					if (typeof this.post == "function") {
+						return this.post(request, response, requestType, exception);
+					}
+				})
+					.then(() => {
+						postRunning = false;
+						settle();
+					}, (e) => {
+						// a failing post() hands the response over to the error handling
+						postRunning = false;
+						response.resolved = false;
+						handleError(e);
+					})
+					.catch(reject);
 			};
 
-			try {
-				// Trigger the pre-function handler
-				if (typeof this.pre == "function") {
-					this.pre(request, response, requestType);
-				}
+			// attach Promise resolve/reject functions to the response object
+			response.send = (exception) => {
+				complete(exception, () => {
+					// resolve the process once the persistent attributes are saved
+					savePersistent()
+						.then(() => {
+							resolve(response.response);
+						})
+						.catch(reject);
+				}, false);
+			};
+			response.fail = (msg, exception) => {
+				complete(exception, () => {
+					reject(msg);
+				}, true);
+			};
+
+			// call the handler of the request, the returned Promise is resolved when the handler completes
+			const handleRequest = (): Promise<any> => {
+				return new Promise((resolveHandler: () => void, rejectHandler: (reason: any) => void) => {
+					handlerCompleted = (e?) => {
+						if (e) {
+							rejectHandler(e);
+						} else {
+							resolveHandler();
+						}
+					};
+
+					// call the handler of an AudioPlayer or PlaybackController event, if any
+					const handleEvent = (eventHandlerObject, requestName: string) => {
+						if (typeof eventHandlerObject == "undefined" || typeof eventHandlerObject["function"] != "function") {
+							callbackHandler();
+							return;
+						}
+
+						const eventHandlerResult = eventHandlerObject["function"](request, response, callbackHandler);
+
+						if (eventHandlerResult && eventHandlerResult.then) {
+							Promise.resolve(eventHandlerResult).asCallback(callbackHandler);
+						} else if (false !== eventHandlerResult) {
+							callbackHandler();
+						} else {
+							console.trace(`NOTE: using \`return false\` for async ${requestName} requests is deprecated and will not work after the next major version`);
+						}
+					};
+
+					const state = this.states[request.state()];
 
-				if (!response.resolved) {
 					if ("IntentRequest" === requestType) {
 						const intent = request_json.request.intent.name;
+						const overflow = request.hasSession() ? request.getSession().get(SPEECH_OVERFLOW_ATTRIBUTE) : undefined;
+
+						// the rest of a split output speech is only offered once
+						if (typeof overflow != "undefined") {
+							request.getSession().clear(SPEECH_OVERFLOW_ATTRIBUTE);
+
+							if ("AMAZON.YesIntent" === intent) {
+								response.say(overflow.speech).shouldEndSession(overflow.shouldEndSession);
 
-						if (typeof this.intents[intent] != "undefined" && typeof this.intents[intent]["function"] == "function") {
-							const intentResult = this.intents[intent]["function"](request, response, callbackHandler);
+								if (overflow.reprompt) {
+									response.reprompt(overflow.reprompt);
+								}
+
+								callbackHandler();
+								return;
+							}
+						}
+
+
+						// the handler of the current state first, then the stateless handler
+						let intentFunc = state && state.intents[intent];
+
+						if (typeof intentFunc != "function" && typeof this.intents[intent] != "undefined") {
+							intentFunc = this.intents[intent]["function"];
+						}
+
+						if (typeof intentFunc != "function" && state) {
+							intentFunc = state.unhandled;
+						}
+
+						// the audio queue resumes before the handler of AMAZON.ResumeIntent, which is optional
+						if (this.audioQueue && "AMAZON.ResumeIntent" === intent) {
+							request.audioQueue().handle(request, response);
+
+							if (typeof intentFunc != "function") {
+								intentFunc = () => {};
+							}
+						}
+
+						if (typeof intentFunc != "function") {
+							intentFunc = this.unhandledFunc;
+						}
+
+						if (typeof intentFunc == "function") {
+							// run the dialog until all required slots are filled before calling the handler
+							const dialog = this.intents[intent] && this.intents[intent].dialog;
+							const intentResult = (dialog && dialog.handle(request, response)) ? undefined : intentFunc(request, response, callbackHandler);
 
 							if (intentResult && intentResult.then) {
 								Promise.resolve(intentResult).asCallback(callbackHandler);
@@ -380,8 +845,10 @@ export class Application {
 							throw "NO_INTENT_FOUND";
 						}
 					} else if ("LaunchRequest" === requestType) {
-						if (typeof this.launchFunc == "function") {
-							const launchResult = this.launchFunc(request, response, callbackHandler);
+						const launchFunc = (state && state.launch) || this.launchFunc;
+
+						if (typeof launchFunc == "function") {
+							const launchResult = launchFunc(request, response, callbackHandler);
 
 							if (launchResult && launchResult.then) {
 								Promise.resolve(launchResult).asCallback(callbackHandler);
@@ -405,32 +872,75 @@ export class Application {
 								console.trace("NOTE: using `return false` for async session ended requests is deprecated and will not work after the next major version");
 							}
 						} else {
-							response.send();
+							callbackHandler();
 						}
 					} else if (request.isAudioPlayer()) {
 						const event = requestType.slice(12);
-						const eventHandlerObject = this.audioPlayerEventHandlers[event];
 
-						if (typeof eventHandlerObject != "undefined" && typeof eventHandlerObject["function"] == "function") {
-							const eventHandlerResult = eventHandlerObject["function"](request, response, callbackHandler);
+						if (this.audioQueue) {
+							request.audioQueue().handle(request, response);
+						}
+
+						handleEvent(this.audioPlayerEventHandlers[event], "audio player");
+					} else if ("System.ExceptionEncountered" === requestType) {
+						if (typeof this.exceptionEncounteredFunc == "function") {
+							const exceptionEncounteredResult = this.exceptionEncounteredFunc(request, response, callbackHandler);
 
-							if (eventHandlerObject && eventHandlerObject.then) {
-								Promise.resolve(eventHandlerResult).asCallback(callbackHandler);
-							} else if (false !== eventHandlerResult) {
+							if (exceptionEncounteredResult && exceptionEncounteredResult.then) {
+								Promise.resolve(exceptionEncounteredResult).asCallback(callbackHandler);
+							} else if (false !== exceptionEncounteredResult) {
 								callbackHandler();
 							} else {
-								console.trace("NOTE: using `return false` for async audio player requests is deprecated and will not work after the next major version");
+								console.trace("NOTE: using `return false` for async exception encountered requests is deprecated and will not work after the next major version");
 							}
 						} else {
-							response.send();
+							callbackHandler();
 						}
+					} else if (request.isPlaybackController()) {
+						const event = requestType.slice(19);
+
+						handleEvent(this.playbackControllerEventHandlers[event], "playback controller");
 					} else {
 						throw "INVALID_REQUEST_TYPE";
 					}
+				});
+			};
+
+			// run the middlewares around the request handler, each one calling next() to run the following ones
+			const context = {
+				"app": this,
+				"request": request,
+				"response": response,
+				"type": requestType
+			};
+			const middlewares = (<Function[]> [this.preMiddleware]).concat(this.middlewares);
+
+			const runMiddleware = (index: number): Promise<any> => {
+				if (index == middlewares.length) {
+					return handleRequest();
 				}
-			} catch (e) {
-				handleError(e);
-			}
+
+				let nextCalled = false;
+
+				return Promise.try(() => middlewares[index](context, () => {
+					if (nextCalled) {
+						return Promise.reject(new Error("next() called multiple times"));
+					}
+					nextCalled = true;
+
+					return runMiddleware(index + 1);
+				}));
+			};
+
+			loadPersistent()
+				.then(() => runMiddleware(0))
+				.then(() => {
+					if (!response.resolved) {
+						response.send();
+					}
+				})
+				.catch(handleError)
+				.catch(reject);
 		});
 	};
 
@@ -480,35 +990,344 @@ export class Application {
 		this.sessionEndedFunc = func;
 	}
 
+	/**
+	 * Register the handlers of a conversation state. While the conversation is in this
+	 * state, requests are handled by these handlers first, then by the stateless handlers.
+	 * Use response.transitionTo() to change the state.
+	 *
+	 * @param {string} stateName The name of the state
+	 * @param {Object} handlers The `intents` handlers keyed by intent name, the `launch`
+	 *                          handler and the `unhandled` handler for intents without handler
+	 *
+	 * @memberOf Application
+	 */
+	public state(stateName: string, handlers) {
+		if (!stateName) {
+			throw new Error("You must specify the name of the state.");
+		}
+
+		handlers = handlers || {};
+
+		this.states[stateName] = {
+			"name": stateName,
+			"intents": handlers.intents || {},
+			"launch": handlers.launch || null,
+			"unhandled": handlers.unhandled || null
+		};
+	}
+
+	/**
+	 * Bind a function as the handler of intents which have no handler, instead of
+	 * failing with NO_INTENT_FOUND. The handler of a state takes precedence. This also
+	 * adds AMAZON.FallbackIntent to the interaction model, so utterances which match no
+	 * intent are sent to this handler.
+	 *
+	 * @param func Function to bind
+	 *
+	 * @memberOf Application
+	 */
+	public unhandled(func) {
+		this.unhandledFunc = func;
+	}
+
+	/**
+	 * Add a middleware which runs around the handler of every request. A middleware is
+	 * called with a context object, holding the `request`, the `response`, the request
+	 * `type` and the `app`, and a `next` function which runs the following middlewares
+	 * and the request handler, and returns a Promise resolved when they complete.
+	 * Middlewares can return a Promise, and run in the order they were added, after pre().
+	 *
+	 * @param {Function} middleware The middleware function
+	 *
+	 * @memberOf Application
+	 */
+	public use(middleware: Function) {
+		if (typeof middleware != "function") {
+			throw new Error("Middleware must be a function.");
+		}
+
+		this.middlewares.push(middleware);
+	}
+
 	/**
 	 * Return the complete generate sample utterances.
 	 *
+	 * @param {string} [locale] The locale of the utterances, defaults to defaultLocale
 	 * @returns {string} String representation of the sample utterances
 	 *
 	 * @memberOf Application
 	 */
-	public utterances(): string {
+	public utterances(locale?: string): string {
 		let intentName, intent, out = "";
 
 		for (intentName in this.intents) {
 			intent = this.intents[intentName];
 
-			if (intent.schema && intent.schema.utterances) {
-				intent.schema.utterances.forEach(sample => {
-					let list = AlexaUtterances(
-						sample,
-						intent.schema.slots,
-						this.dictionary,
-						this.exhaustiveUtterances
-					);
-
-					list.forEach(utterance => {
-						out += intent.name + "\t" + (utterance.replace(/\s+/g, " ")).trim() + "\n";
-					})
-				})
+			this.expandUtterances(this.intentUtterances(intent, locale), intent.schema && intent.schema.slots, locale).forEach(utterance => {
+				out += intent.name + "\t" + utterance + "\n";
+			});
+		}
+
+		return out;
+	}
+
+	/**
+	 * Check the intents, slots and utterances for problems the Alexa console rejects,
+	 * which are errors, or handles badly, which are warnings
+	 *
+	 * @param {any} [options] The invocationName, which defaults to the app name, the locale,
+	 *                        which defaults to defaultLocale, and the maxUtterances
+	 * @returns {any} The errors and warnings, each with a code and a message,
+	 *                and the intent, slot, type or utterance concerned
+	 *
+	 * @memberOf Application
+	 */
+	public validateModel(options?) {
+		const languageModel = JSON.parse(this.interactionModel(options)).interactionModel.languageModel;
+		const schemas = {};
+
+		let intentName;
+
+		for (intentName in this.intents) {
+			schemas[this.intents[intentName].name] = Defaults({
+				"utterances": this.intentUtterances(this.intents[intentName], options && options.locale)
+			}, this.intents[intentName].schema);
+		}
+
+		const locale = options && options.locale;
+
+		return new ModelValidator(languageModel, schemas, this.utteranceDictionary(locale), this.utteranceMatcher(locale), options).validate();
+	}
+
+	/**
+	 * Add values to a custom slot type, built-in AMAZON types are left alone
+	 *
+	 * @param {Object} types The slot type values collected so far, keyed by type name
+	 * @param {string} typeName The name of the slot type
+	 * @param {Array} values The values to add, as strings or custom slot type values
+	 */
+	private addTypeValues(types, typeName: string, values: any[]) {
+		if (0 === typeName.indexOf("AMAZON.")) {
+			return;
+		}
+
+		types[typeName] = types[typeName] || [];
+
+		values.forEach(value => {
+			if (typeof value == "string") {
+				value = { "value": value };
+			}
+
+			const exists = types[typeName].some(typeValue => {
+				return typeValue.value == value.value;
+			});
+
+			if (!exists) {
+				types[typeName].push(value);
 			}
+		});
+	}
+
+	/**
+	 * Expand sample utterances using alexa-utterances
+	 *
+	 * @param {string[]} samples The sample utterances
+	 * @param {Object} slots The slots of the intent
+	 * @returns {string[]} The expanded sample utterances
+	 */
+	private expandUtterances(samples: string[], slots, locale?: string): string[] {
+		let out = [];
+
+		samples.forEach(sample => {
+			let list = AlexaUtterances(
+				sample,
+				slots,
+				this.utteranceDictionary(locale),
+				this.exhaustiveUtterances
+			);
+
+			list.forEach(utterance => {
+				out.push((utterance.replace(/\s+/g, " ")).trim());
+			});
+		});
+
+		return out;
+	}
+
+	/**
+	 * Returns true if an unhandled handler is registered for the application or a state
+	 *
+	 * @returns {boolean}
+	 */
+	private hasUnhandledHandler(): boolean {
+		if (typeof this.unhandledFunc == "function") {
+			return true;
 		}
 
+		return Object.keys(this.states).some(stateName => {
+			return typeof this.states[stateName].unhandled == "function";
+		});
+	}
+
+	/**
+	 * The sample utterances of an intent in a locale
+	 *
+	 * @param {any} intent The intent
+	 * @param {string} [locale] The locale, defaults to defaultLocale
+	 * @returns {string[]}
+	 */
+	private intentUtterances(intent, locale?: string): string[] {
+		return this.localized(intent.schema && intent.schema.utterances, locale) || [];
+	}
+
+	/**
+	 * The value for a locale of a value which is either the same for every locale, or an
+	 * object keyed by locale. The language of the locale is looked up as well, so "en" is
+	 * used for both "en-US" and "en-GB" if they are missing.
+	 *
+	 * @param {any} value
+	 * @param {string} [locale] The locale, defaults to defaultLocale
+	 * @returns {any} The value, or undefined if the locale is missing
+	 */
+	private localized(value, locale?: string) {
+		if (!value || typeof value != "object" || Array.isArray(value)) {
+			return value;
+		}
+
+		locale = locale || this.defaultLocale;
+
+		if (typeof value[locale] != "undefined") {
+			return value[locale];
+		}
+
+		return value[locale.split("-")[0]];
+	}
+
+	/**
+	 * The message for an error in a locale, falling back to the default locale
+	 *
+	 * @param {string} key The error, like NO_INTENT_FOUND
+	 * @param {string} [locale] The locale of the request
+	 * @returns {string}
+	 */
+	private message(key: string, locale?: string): string {
+		const message = this.localized(this.messages[key], locale);
+
+		return typeof message != "undefined" ? message : this.localized(this.messages[key], this.defaultLocale);
+	}
+
+	/**
+	 * The built-in middleware running pre() before the other middlewares. The request
+	 * isn't handled if pre() sends a response.
+	 *
+	 * @param {Object} context The request context
+	 * @param {Function} next Runs the following middlewares
+	 */
+	private preMiddleware = (context, next) => {
+		// wait for the Promise pre() may return, the handler is skipped if pre() sent the response
+		return Promise.try(() => {
+			if (typeof this.pre == "function") {
+				return this.pre(context.request, context.response, context.type);
+			}
+		})
+			.then(() => {
+				if (!context.response.resolved) {
+					return next();
+				}
+			});
+	};
+
+	/**
+	 * Expand sample utterances for the interaction model. The language model references
+	 * slots by name only, so the sample values alexa-utterances inserts in front of the
+	 * slot names are dropped.
+	 *
+	 * @param {string[]} samples The sample utterances
+	 * @param {Object} slots The slots of the intent
+	 * @returns {string[]} The unique expanded sample utterances
+	 */
+	private languageModelSamples(samples: string[], slots, locale?: string): string[] {
+		let out = [];
+
+		this.expandUtterances(samples, slots, locale).forEach(utterance => {
+			const sample = utterance.replace(/\{[^{}|]*\|([^{}|]+)\}/g, "{$1}");
+
+			if (out.indexOf(sample) == -1) {
+				out.push(sample);
+			}
+		});
+
 		return out;
 	}
-}
+
+	/**
+	 * The values and synonyms of a custom slot type, or of the dictionary entry named after the type
+	 *
+	 * @param {string} typeName
+	 * @param {string} [locale]
+	 * @returns {string[]}
+	 */
+	private slotTypeValues(typeName: string, locale?: string): string[] {
+		if (this.customSlotTypes[typeName]) {
+			return (this.localized(this.customSlotTypes[typeName], locale) || []).reduce((values, value) => {
+				return values.concat(value.value, value.synonyms || []);
+			}, []);
+		}
+
+		return this.localized(this.dictionary[typeName], locale) || [];
+	}
+
+	/**
+	 * The dictionary used to expand sample utterances, including the values of custom slot types
+	 *
+	 * @param {string} [locale]
+	 * @returns {Object} The list of values, keyed by dictionary entry or custom slot type name
+	 */
+	private utteranceDictionary(locale?: string) {
+		const dictionary = {};
+
+		let key;
+
+		for (key in this.customSlotTypes) {
+			dictionary[key] = (this.localized(this.customSlotTypes[key], locale) || []).map(value => value.value);
+		}
+
+		for (key in this.dictionary) {
+			if (typeof dictionary[key] == "undefined" && this.localized(this.dictionary[key], locale)) {
+				dictionary[key] = this.localized(this.dictionary[key], locale);
+			}
+		}
+
+		return dictionary;
+	}
+
+	/**
+	 * A matcher of the expanded sample utterances of every intent, with the slot values of their schemas
+	 *
+	 * @param {string} [locale]
+	 * @returns {UtteranceMatcher}
+	 */
+	private utteranceMatcher(locale?: string): UtteranceMatcher {
+		const utterances = [];
+		const slotValues = {};
+
+		let intentName, intent, slotName;
+
+		for (intentName in this.intents) {
+			intent = this.intents[intentName];
+			slotValues[intent.name] = {};
+
+			if (intent.schema && intent.schema.slots) {
+				for (slotName in intent.schema.slots) {
+					slotValues[intent.name][slotName] = this.slotTypeValues(intent.schema.slots[slotName], locale);
+				}
+			}
+
+			this.expandUtterances(this.intentUtterances(intent, locale), intent.schema && intent.schema.slots, locale).forEach(utterance => {
+				utterances.push({ "intent": intent.name, "utterance": utterance });
+			});
+		}
+
+		return new UtteranceMatcher(utterances, slotValues);
+	}
+}
\ No newline at end of file
@@ -0,0 +1,384 @@
+import { PersistentAttributes } from "./PersistentAttributes";
+import { Request } from "./Request";
+import { Response } from "./Response";
+
+// the persistent attribute holding the audio queue of the user
+export const AUDIO_QUEUE_ATTRIBUTE = "audioQueue";
+
+export class AudioQueue {
+	/**
+	 * The position of the current track in the play order
+	 */
+	private index: number = 0;
+
+	private looping: boolean = false;
+
+	private offsetInMilliseconds: number = 0;
+
+	/**
+	 * The play order, a list of indexes of the tracks
+	 */
+	private order: number[] = [];
+
+	private persistent: PersistentAttributes;
+
+	private queue: any[] = [];
+
+	private shuffled: boolean = false;
+
+	constructor(persistent: PersistentAttributes) {
+		const state = persistent.get(AUDIO_QUEUE_ATTRIBUTE);
+
+		this.persistent = persistent;
+
+		if (state) {
+			this.index = state.index;
+			this.looping = state.loop;
+			this.offsetInMilliseconds = state.offsetInMilliseconds;
+			this.order = state.order;
+			this.shuffled = state.shuffle;
+			this.queue = state.tracks;
+		}
+	}
+
+	/**
+	 * Add tracks to the end of the queue
+	 *
+	 * @param {(Object | Object[])} tracks Each track with a unique token, the https url of the
+	 *   stream and any other properties, like { token: "episode-1", url: "https://…", title: "…" }
+	 * @returns {AudioQueue}
+	 *
+	 * @memberOf AudioQueue
+	 */
+	public add(tracks): AudioQueue {
+		[].concat(tracks).forEach(track => {
+			if (!track || !track.token || !track.url) {
+				throw new Error("A track of the audio queue needs a token and a url.");
+			}
+
+			this.order.push(this.queue.length);
+			this.queue.push(track);
+		});
+
+		return this.save();
+	}
+
+	/**
+	 * Remove every track from the queue
+	 *
+	 * @returns {AudioQueue}
+	 *
+	 * @memberOf AudioQueue
+	 */
+	public clear(): AudioQueue {
+		this.index = 0;
+		this.offsetInMilliseconds = 0;
+		this.order = [];
+		this.queue = [];
+
+		return this.save();
+	}
+
+	/**
+	 * Return the current track
+	 *
+	 * @returns {Object} The track, or null if the queue is empty
+	 *
+	 * @memberOf AudioQueue
+	 */
+	public current() {
+		return this.index < this.order.length ? this.queue[this.order[this.index]] : null;
+	}
+
+	/**
+	 * Enqueue the track following the current one after the stream playing, see peek()
+	 *
+	 * @param {Response} response
+	 * @returns {boolean} True if a track was enqueued, false at the end of the queue
+	 *
+	 * @memberOf AudioQueue
+	 */
+	public enqueue(response: Response): boolean {
+		const current = this.current();
+		const next = this.peek();
+
+		if (!next) {
+			return false;
+		}
+
+		response.audioPlayerEnqueue({
+			"expectedPreviousToken": current.token,
+			"token": next.token,
+			"url": next.url
+		});
+
+		return true;
+	}
+
+	/**
+	 * Keep the queue in sync with the AudioPlayer: the playing track becomes the current one,
+	 * the following track is enqueued when the current one nearly finished, the offset is
+	 * recorded when the playback stopped, and AMAZON.ResumeIntent plays the current track
+	 * from that offset.
+	 *
+	 * @param {Request} request
+	 * @param {Response} response
+	 *
+	 * @memberOf AudioQueue
+	 */
+	public handle(request: Request, response: Response) {
+		const audioPlayer: any = request.audioPlayer() || {};
+
+		switch (request.type()) {
+			case "AudioPlayer.PlaybackStarted":
+			case "AudioPlayer.PlaybackStopped":
+				if (this.jump(audioPlayer.token)) {
+					this.offset(audioPlayer.offsetInMilliseconds || 0);
+				}
+				break;
+			case "AudioPlayer.PlaybackNearlyFinished":
+				if (this.jump(audioPlayer.token)) {
+					this.enqueue(response);
+				}
+				break;
+			case "IntentRequest":
+				if ("AMAZON.ResumeIntent" === request.intentName()) {
+					this.play(response);
+				}
+				break;
+			default:
+				break;
+		}
+	}
+
+	/**
+	 * Make the track with the given token the current one
+	 *
+	 * @param {string} token
+	 * @returns {boolean} False if the queue has no track with the token
+	 *
+	 * @memberOf AudioQueue
+	 */
+	public jump(token: string): boolean {
+		const current = this.current();
+
+		if (current && current.token === token) {
+			return true;
+		}
+
+		for (let index = 0; index < this.order.length; index++) {
+			if (this.queue[this.order[index]].token === token) {
+				this.index = index;
+				this.offsetInMilliseconds = 0;
+				this.save();
+				return true;
+			}
+		}
+
+		return false;
+	}
+
+	/**
+	 * Return or set whether the queue starts over after the last track
+	 *
+	 * @param {boolean} [enabled]
+	 * @returns {(boolean | AudioQueue)} Whether the queue loops, or the queue when set
+	 *
+	 * @memberOf AudioQueue
+	 */
+	public loop(enabled?: boolean): any {
+		if (typeof enabled == "undefined") {
+			return this.looping;
+		}
+
+		this.looping = enabled;
+
+		return this.save();
+	}
+
+	/**
+	 * Move to the following track, see peek()
+	 *
+	 * @returns {Object} The track, or null at the end of the queue
+	 *
+	 * @memberOf AudioQueue
+	 */
+	public next() {
+		return this.move(1);
+	}
+
+	/**
+	 * Return or set the offset of the current track where playback resumes
+	 *
+	 * @param {number} [offsetInMilliseconds]
+	 * @returns {(number | AudioQueue)} The offset, or the queue when set
+	 *
+	 * @memberOf AudioQueue
+	 */
+	public offset(offsetInMilliseconds?: number): any {
+		if (typeof offsetInMilliseconds == "undefined") {
+			return this.offsetInMilliseconds;
+		}
+
+		this.offsetInMilliseconds = offsetInMilliseconds;
+
+		return this.save();
+	}
+
+	/**
+	 * Return the track following the current one, the first one of a looping queue
+	 * after the last track
+	 *
+	 * @returns {Object} The track, or null at the end of the queue
+	 *
+	 * @memberOf AudioQueue
+	 */
+	public peek() {
+		const index = this.position(1);
+
+		return index === null ? null : this.queue[this.order[index]];
+	}
+
+	/**
+	 * Play the current track from the recorded offset, replacing the streams of the AudioPlayer
+	 *
+	 * @param {Response} response
+	 * @returns {boolean} False if the queue is empty
+	 *
+	 * @memberOf AudioQueue
+	 */
+	public play(response: Response): boolean {
+		const current = this.current();
+
+		if (!current) {
+			return false;
+		}
+
+		response.audioPlayerReplaceAll({
+			"offsetInMilliseconds": this.offsetInMilliseconds,
+			"token": current.token,
+			"url": current.url
+		});
+
+		return true;
+	}
+
+	/**
+	 * Move to the track before the current one
+	 *
+	 * @returns {Object} The track, or null at the start of the queue
+	 *
+	 * @memberOf AudioQueue
+	 */
+	public previous() {
+		return this.move(-1);
+	}
+
+	/**
+	 * Return or set whether the tracks are played in random order. The current track stays
+	 * the current one.
+	 *
+	 * @param {boolean} [enabled]
+	 * @returns {(boolean | AudioQueue)} Whether the queue is shuffled, or the queue when set
+	 *
+	 * @memberOf AudioQueue
+	 */
+	public shuffle(enabled?: boolean): any {
+		if (typeof enabled == "undefined") {
+			return this.shuffled;
+		}
+
+		const current = this.order[this.index];
+		const order = this.queue.map((track, index) => index);
+
+		if (enabled && order.length > 0) {
+			// the current track first, followed by the others in random order
+			order.splice(current, 1);
+
+			for (let index = order.length - 1; index > 0; index--) {
+				const other = Math.floor(Math.random() * (index + 1));
+				const track = order[index];
+
+				order[index] = order[other];
+				order[other] = track;
+			}
+
+			order.unshift(current);
+		}
+
+		this.shuffled = enabled;
+		this.order = order;
+		this.index = Math.max(order.indexOf(current), 0);
+
+		return this.save();
+	}
+
+	/**
+	 * Return the state of the queue as it's persisted
+	 *
+	 * @returns {Object}
+	 *
+	 * @memberOf AudioQueue
+	 */
+	public toJSON() {
+		return {
+			"index": this.index,
+			"loop": this.looping,
+			"offsetInMilliseconds": this.offsetInMilliseconds,
+			"order": this.order,
+			"shuffle": this.shuffled,
+			"tracks": this.queue
+		};
+	}
+
+	/**
+	 * Return the tracks in play order
+	 *
+	 * @returns {Object[]}
+	 *
+	 * @memberOf AudioQueue
+	 */
+	public tracks(): any[] {
+		return this.order.map(index => this.queue[index]);
+	}
+
+	private move(step: number) {
+		const index = this.position(step);
+
+		if (index === null) {
+			return null;
+		}
+
+		this.index = index;
+		this.offsetInMilliseconds = 0;
+		this.save();
+
+		return this.current();
+	}
+
+	/**
+	 * The position in the play order a number of steps away from the current track
+	 *
+	 * @param {number} step
+	 * @returns {number} The position, or null if it's outside of a queue which doesn't loop
+	 */
+	private position(step: number): number {
+		const index = this.index + step;
+
+		if (this.order.length === 0) {
+			return null;
+		}
+
+		if (this.looping) {
+			return (index % this.order.length + this.order.length) % this.order.length;
+		}
+
+		return (index >= 0 && index < this.order.length) ? index : null;
+	}
+
+	private save(): AudioQueue {
+		this.persistent.set(AUDIO_QUEUE_ATTRIBUTE, this.toJSON());
+
+		return this;
+	}
+}
\ No newline at end of file
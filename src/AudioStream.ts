@@ -0,0 +1,24 @@
+/**
+ * The stream of an AudioPlayer.Play directive
+ */
+export interface AudioStream {
+	/**
+	 * The token of the stream playing before this one, required to enqueue the stream
+	 */
+	expectedPreviousToken?: string;
+
+	/**
+	 * The position in the stream where playback starts, 0 by default
+	 */
+	offsetInMilliseconds?: number;
+
+	/**
+	 * The token identifying the stream in the AudioPlayer requests, at most 1024 characters
+	 */
+	token: string;
+
+	/**
+	 * The https url of the audio, at most 8000 characters
+	 */
+	url: string;
+}
\ No newline at end of file
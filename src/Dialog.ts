@@ -0,0 +1,365 @@
+import Defaults = require("lodash.defaults");
+import { Request } from "./Request";
+import { Response } from "./Response";
+
+export class Dialog {
+	/**
+	 * The prompts asking the user to confirm the intent
+	 *
+	 * @type {string[]}
+	 * @memberOf Dialog
+	 */
+	public confirmation: string[];
+
+	/**
+	 * If set to true, Alexa runs the dialog: a Dialog.Delegate directive is sent until the
+	 * dialog is completed. Otherwise alexa-app elicits, validates and confirms the slots
+	 * itself using the declared prompts.
+	 *
+	 * @type {boolean}
+	 * @memberOf Dialog
+	 */
+	public delegate: boolean;
+
+	/**
+	 * The name of the intent
+	 *
+	 * @type {string}
+	 * @memberOf Dialog
+	 */
+	public intentName: string;
+
+	/**
+	 * The dialog definition of every slot, keyed by slot name
+	 *
+	 * @type {Object}
+	 * @memberOf Dialog
+	 */
+	public slots = {};
+
+	/**
+	 * The types of the intent slots, keyed by slot name
+	 */
+	private slotTypes;
+
+	constructor(intentName: string, schema) {
+		const dialog = schema.dialog;
+
+		this.intentName = intentName;
+		this.slotTypes = schema.slots || {};
+		this.delegate = (false !== dialog.delegate);
+		this.confirmation = this.toPrompts(dialog.confirmation);
+
+		let slotName;
+
+		for (slotName in (dialog.slots || {})) {
+			const slot = dialog.slots[slotName];
+
+			if (typeof this.slotTypes[slotName] == "undefined") {
+				throw new Error(`The dialog of intent "${intentName}" uses slot "${slotName}" which isn't in its schema slots.`);
+			}
+
+			this.slots[slotName] = {
+				"required": !!slot.required,
+				"elicitation": this.toPrompts(slot.elicitation),
+				"confirmation": this.toPrompts(slot.confirmation),
+				"samples": slot.samples || [],
+				"validations": (slot.validations || []).map(validation => {
+					return Defaults({ "prompt": this.toPrompts(validation.prompt) }, validation);
+				})
+			};
+
+			if (this.slots[slotName].required && 0 === this.slots[slotName].elicitation.length) {
+				throw new Error(`Slot "${slotName}" of intent "${intentName}" is required but has no elicitation prompt.`);
+			}
+		}
+	}
+
+	/**
+	 * Run the next turn of the dialog. A Dialog directive is added to the response when
+	 * the dialog isn't completed yet, and the intent handler must not be called.
+	 *
+	 * @param {Request} request The intent request
+	 * @param {Response} response The response
+	 * @returns {boolean} True if a Dialog directive was added to the response
+	 *
+	 * @memberOf Dialog
+	 */
+	public handle(request: Request, response: Response): boolean {
+		if (this.delegate) {
+			if ("COMPLETED" === request.dialogState()) {
+				return false;
+			}
+
+			response.delegate();
+			return true;
+		}
+
+		let slotName;
+
+		for (slotName in this.slots) {
+			const slot = this.slots[slotName];
+			const requestSlot = request.slots[slotName];
+			const value = requestSlot && requestSlot.value;
+
+			if (typeof value == "undefined" || value === null || value === "") {
+				if (slot.required) {
+					response.elicitSlot(slotName, this.pick(slot.elicitation, request));
+					return true;
+				}
+
+				continue;
+			}
+
+			const failed = this.firstFailedValidation(slot.validations, requestSlot);
+
+			if (failed) {
+				response.elicitSlot(slotName, this.pick(failed.prompt, request), null, this.resetSlot(request, slotName));
+				return true;
+			}
+
+			if (slot.confirmation.length > 0) {
+				if ("DENIED" === requestSlot.confirmationStatus) {
+					response.elicitSlot(slotName, this.pick(slot.elicitation.length > 0 ? slot.elicitation : slot.confirmation, request), null, this.resetSlot(request, slotName));
+					return true;
+				}
+
+				if ("CONFIRMED" !== requestSlot.confirmationStatus) {
+					response.confirmSlot(slotName, this.pick(slot.confirmation, request));
+					return true;
+				}
+			}
+		}
+
+		if (this.confirmation.length > 0 && "CONFIRMED" !== request.confirmationStatus() && "DENIED" !== request.confirmationStatus()) {
+			response.confirmIntent(this.pick(this.confirmation, request));
+			return true;
+		}
+
+		return false;
+	}
+
+	/**
+	 * Return the intent definition of the dialog section of the interaction model
+	 *
+	 * @returns {Object} The dialog intent
+	 *
+	 * @memberOf Dialog
+	 */
+	public model() {
+		const intent = {
+			"name": this.intentName,
+			"confirmationRequired": this.confirmation.length > 0,
+			"prompts": {},
+			"slots": []
+		};
+
+		if (this.confirmation.length > 0) {
+			intent.prompts["confirmation"] = this.promptId("Confirm");
+		}
+
+		let slotName;
+
+		for (slotName in this.slots) {
+			const slot = this.slots[slotName];
+
+			const slotModel: any = {
+				"name": slotName,
+				"type": this.slotTypes[slotName],
+				"confirmationRequired": slot.confirmation.length > 0,
+				"elicitationRequired": slot.required,
+				"prompts": {}
+			};
+
+			if (slot.elicitation.length > 0) {
+				slotModel.prompts["elicitation"] = this.promptId("Elicit", slotName);
+			}
+
+			if (slot.confirmation.length > 0) {
+				slotModel.prompts["confirmation"] = this.promptId("Confirm", slotName);
+			}
+
+			if (slot.validations.length > 0) {
+				slotModel["validations"] = slot.validations.map((validation, index) => {
+					return Defaults({ "prompt": this.promptId("Validate", slotName, index + 1) }, validation);
+				});
+			}
+
+			intent.slots.push(slotModel);
+		}
+
+		return intent;
+	}
+
+	/**
+	 * Return the prompts section of the interaction model used by the dialog
+	 *
+	 * @returns {Array} The prompts with their variations
+	 *
+	 * @memberOf Dialog
+	 */
+	public prompts(): any[] {
+		const prompts = [];
+
+		if (this.confirmation.length > 0) {
+			prompts.push(this.prompt(this.promptId("Confirm"), this.confirmation));
+		}
+
+		let slotName;
+
+		for (slotName in this.slots) {
+			const slot = this.slots[slotName];
+
+			if (slot.elicitation.length > 0) {
+				prompts.push(this.prompt(this.promptId("Elicit", slotName), slot.elicitation));
+			}
+
+			if (slot.confirmation.length > 0) {
+				prompts.push(this.prompt(this.promptId("Confirm", slotName), slot.confirmation));
+			}
+
+			slot.validations.forEach((validation, index) => {
+				prompts.push(this.prompt(this.promptId("Validate", slotName, index + 1), validation.prompt));
+			});
+		}
+
+		return prompts;
+	}
+
+	/**
+	 * Return the first validation rule the slot value doesn't pass. Rules which can only
+	 * be checked by Alexa are skipped.
+	 *
+	 * @param {Array} validations The validation rules
+	 * @param {Slot} slot The slot of the request
+	 * @returns {any} The failed validation rule, or undefined
+	 */
+	private firstFailedValidation(validations: any[], slot) {
+		const value = String(slot.resolved()).toLowerCase();
+		const inSet = values => (values || []).some(setValue => String(setValue).toLowerCase() == value);
+
+		let i;
+
+		for (i = 0; i < validations.length; i++) {
+			const validation = validations[i];
+
+			switch (validation.type) {
+				case "hasEntityResolutionMatch":
+					if (!slot.isMatched()) {
+						return validation;
+					}
+					break;
+				case "isInSet":
+					if (!inSet(validation.values)) {
+						return validation;
+					}
+					break;
+				case "isNotInSet":
+					if (inSet(validation.values)) {
+						return validation;
+					}
+					break;
+				case "isGreaterThan":
+					if (!(Number(slot.value) > Number(validation.value))) {
+						return validation;
+					}
+					break;
+				case "isLessThan":
+					if (!(Number(slot.value) < Number(validation.value))) {
+						return validation;
+					}
+					break;
+				default:
+					break;
+			}
+		}
+	}
+
+	/**
+	 * Pick one of the prompt variations and fill in the slot values
+	 *
+	 * @param {string[]} prompts The prompt variations
+	 * @param {Request} request The intent request
+	 * @returns {string} The prompt
+	 */
+	private pick(prompts: string[], request: Request): string {
+		const prompt = prompts[Math.floor(Math.random() * prompts.length)];
+
+		return prompt.replace(/\{([^{}]+)\}/g, (match, slotName) => {
+			const slot = request.slots[slotName];
+
+			return (slot && slot.value) ? slot.value : match;
+		});
+	}
+
+	/**
+	 * Build a prompt of the interaction model
+	 *
+	 * @param {string} id The prompt ID
+	 * @param {string[]} variations The prompt variations
+	 * @returns {Object} The prompt
+	 */
+	private prompt(id: string, variations: string[]) {
+		return {
+			"id": id,
+			"variations": variations.map(variation => {
+				return {
+					"type": /^\s*<speak>/i.test(variation) ? "SSML" : "PlainText",
+					"value": variation
+				};
+			})
+		};
+	}
+
+	/**
+	 * Return the ID of a prompt of the interaction model
+	 *
+	 * @param {string} action Confirm, Elicit or Validate
+	 * @param {string} [slotName] The slot the prompt is for
+	 * @param {number} [index] The number of the validation rule
+	 * @returns {string} The prompt ID
+	 */
+	private promptId(action: string, slotName?: string, index?: number): string {
+		let id = `${action}.Intent-${this.intentName}`;
+
+		if (slotName) {
+			id += `.IntentSlot-${slotName}`;
+		}
+
+		if (index) {
+			id += `.${index}`;
+		}
+
+		return id;
+	}
+
+	/**
+	 * Return the intent of the request with the value of a slot removed, so it can be elicited again
+	 *
+	 * @param {Request} request The intent request
+	 * @param {string} slotName The slot to clear
+	 * @returns {Object} The updated intent
+	 */
+	private resetSlot(request: Request, slotName: string) {
+		const intent = JSON.parse(JSON.stringify(request.data.request.intent));
+
+		delete intent.slots[slotName].value;
+		intent.slots[slotName].confirmationStatus = "NONE";
+
+		return intent;
+	}
+
+	/**
+	 * Normalize prompts declared as a string or an array of variations
+	 *
+	 * @param {string|string[]} prompts The prompts
+	 * @returns {string[]} The prompt variations
+	 */
+	private toPrompts(prompts): string[] {
+		if (!prompts) {
+			return [];
+		}
+
+		return Array.isArray(prompts) ? prompts : [prompts];
+	}
+}
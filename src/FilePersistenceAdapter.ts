@@ -0,0 +1,65 @@
+import Promise = require("bluebird");
+import fs = require("fs");
+import path = require("path");
+import { PersistenceAdapter } from "./PersistenceAdapter";
+
+const mkdir = Promise.promisify(fs.mkdir);
+const readFile = Promise.promisify(fs.readFile);
+const unlink = Promise.promisify(fs.unlink);
+const writeFile = Promise.promisify(fs.writeFile);
+
+/**
+ * Keeps persistent attributes in a directory, one JSON file per user or device.
+ */
+export class FilePersistenceAdapter implements PersistenceAdapter {
+	private directory: string;
+
+	constructor(directory: string) {
+		if (!directory) {
+			throw new Error("You must specify a directory to store persistent attributes in.");
+		}
+
+		this.directory = directory;
+	}
+
+	public delete(id: string): Promise<any> {
+		return unlink(this.file(id))
+			.catch(e => {
+				if ("ENOENT" !== e.code) {
+					throw e;
+				}
+			});
+	}
+
+	public get(id: string): Promise<any> {
+		return readFile(this.file(id), "utf8")
+			.then(JSON.parse)
+			.catch(e => {
+				if ("ENOENT" !== e.code) {
+					throw e;
+				}
+
+				return {};
+			});
+	}
+
+	public save(id: string, attributes: Object): Promise<any> {
+		return mkdir(this.directory)
+			.catch(e => {
+				if ("EEXIST" !== e.code) {
+					throw e;
+				}
+			})
+			.then(() => writeFile(this.file(id), JSON.stringify(attributes), "utf8"));
+	}
+
+	/**
+	 * The file the attributes of a user or device are stored in
+	 *
+	 * @param {string} id The user or device ID
+	 * @returns {string} The file path
+	 */
+	private file(id: string): string {
+		return path.join(this.directory, encodeURIComponent(id) + ".json");
+	}
+}
\ No newline at end of file
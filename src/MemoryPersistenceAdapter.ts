@@ -0,0 +1,27 @@
+import Promise = require("bluebird");
+import { PersistenceAdapter } from "./PersistenceAdapter";
+
+/**
+ * Keeps persistent attributes in memory, useful for tests and local development.
+ * Everything is lost when the process exits.
+ */
+export class MemoryPersistenceAdapter implements PersistenceAdapter {
+	private store = {};
+
+	public delete(id: string): Promise<any> {
+		delete this.store[id];
+
+		return Promise.resolve();
+	}
+
+	public get(id: string): Promise<any> {
+		// attributes are stored serialized, so updates to the returned object are not saved
+		return Promise.resolve(this.store[id] ? JSON.parse(this.store[id]) : {});
+	}
+
+	public save(id: string, attributes: Object): Promise<any> {
+		this.store[id] = JSON.stringify(attributes);
+
+		return Promise.resolve();
+	}
+}
\ No newline at end of file
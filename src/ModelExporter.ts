@@ -0,0 +1,115 @@
+import Promise = require("bluebird");
+import Defaults = require("lodash.defaults");
+import fs = require("fs");
+import path = require("path");
+import { Application } from "./Application";
+
+const mkdir = Promise.promisify(fs.mkdir);
+const readFile = Promise.promisify(fs.readFile);
+const writeFile = Promise.promisify(fs.writeFile);
+
+/**
+ * Writes the intent schema, sample utterances, interaction model and custom slot
+ * type values of an application to a directory, one subdirectory per locale.
+ */
+export class ModelExporter {
+	public app: Application;
+
+	/**
+	 * The invocationName of the interaction model and the locales to export
+	 */
+	public options;
+
+	constructor(app: Application, options?) {
+		if (!app || typeof app.interactionModel != "function") {
+			throw new Error("You must specify the application to export.");
+		}
+
+		this.app = app;
+		this.options = Defaults({}, options, { "locales": [] });
+	}
+
+	/**
+	 * Compare the model files with the ones in the directory
+	 *
+	 * @param {string} directory
+	 * @returns {Promise<Array>} The files which are missing or out of date, as { file, actual, expected },
+	 *                           actual is null for missing files
+	 */
+	public check(directory: string): Promise<any[]> {
+		const files = this.files();
+
+		return Promise.all(Object.keys(files).map(file => {
+			return readFile(path.join(directory, file), "utf8")
+				.catch(e => {
+					if ("ENOENT" !== e.code) {
+						throw e;
+					}
+
+					return null;
+				})
+				.then(content => {
+					return { "file": file, "actual": content, "expected": files[file] };
+				});
+		})).then(results => results.filter(result => result.actual !== result.expected));
+	}
+
+	/**
+	 * The content of the model files, keyed by path relative to the output directory
+	 *
+	 * @returns {Object}
+	 */
+	public files() {
+		const files = {};
+		const locales = this.options.locales.length > 0 ? this.options.locales : [null];
+
+		locales.forEach(locale => {
+			const directory = locale || "";
+			const interactionModel = this.app.interactionModel({ "invocationName": this.options.invocationName, "locale": locale });
+
+			files[path.join(directory, "IntentSchema.json")] = this.app.schema() + "\n";
+			files[path.join(directory, "SampleUtterances.txt")] = this.app.utterances(locale);
+			files[path.join(directory, "InteractionModel.json")] = interactionModel + "\n";
+
+			JSON.parse(interactionModel).interactionModel.languageModel.types.forEach(type => {
+				files[path.join(directory, "customSlotTypes", type.name + ".txt")] = type.values.map(value => value.name.value + "\n").join("");
+			});
+		});
+
+		return files;
+	}
+
+	/**
+	 * Write the model files to the directory, which is created if needed
+	 *
+	 * @param {string} directory
+	 * @returns {Promise<string[]>} The paths of the written files
+	 */
+	public write(directory: string): Promise<string[]> {
+		const files = this.files();
+
+		return Promise.each(Object.keys(files), file => {
+			return this.mkdirs(path.dirname(path.join(directory, file)))
+				.then(() => writeFile(path.join(directory, file), files[file], "utf8"));
+		});
+	}
+
+	/**
+	 * Create a directory and its missing parents
+	 *
+	 * @param {string} directory
+	 * @returns {Promise<any>}
+	 */
+	private mkdirs(directory: string): Promise<any> {
+		return mkdir(directory)
+			.catch(e => {
+				if ("ENOENT" === e.code && path.dirname(directory) !== directory) {
+					return this.mkdirs(path.dirname(directory)).then(() => this.mkdirs(directory));
+				}
+
+				if ("EEXIST" !== e.code) {
+					throw e;
+				}
+			});
+	}
+}
\ No newline at end of file
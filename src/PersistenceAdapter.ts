@@ -0,0 +1,28 @@
+/**
+ * A store for attributes which persist beyond the session, keyed by user or device ID.
+ * Every method returns a Promise, or a value when the store is synchronous.
+ */
+export interface PersistenceAdapter {
+	/**
+	 * Delete the attributes of a user or device
+	 *
+	 * @param {string} id The user or device ID
+	 */
+	delete(id: string): any;
+
+	/**
+	 * Load the attributes of a user or device
+	 *
+	 * @param {string} id The user or device ID
+	 * @returns The attributes, or an empty object if none were saved
+	 */
+	get(id: string): any;
+
+	/**
+	 * Save the attributes of a user or device
+	 *
+	 * @param {string} id The user or device ID
+	 * @param {Object} attributes The attributes to save
+	 */
+	save(id: string, attributes: Object): any;
+}
\ No newline at end of file
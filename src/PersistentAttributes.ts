@@ -0,0 +1,74 @@
+export class PersistentAttributes {
+	public attributes;
+
+	/**
+	 * The user or device ID the attributes are stored for
+	 */
+	public id: string;
+
+	private _isAvailable: boolean = false;
+
+	private _isChanged: boolean = false;
+
+	constructor(id?: string, attributes?) {
+		if (!id) {
+			this.get = this.set = this.clear = function() {
+				throw "NO_PERSISTENCE";
+			};
+
+			this.attributes = {};
+			this.id = null;
+			return;
+		}
+
+		this._isAvailable = true;
+
+		this.attributes = attributes || {};
+		this.id = id;
+	}
+
+	/**
+	 * Clear an attribute, or every attribute without key
+	 *
+	 * @param {string} [key]
+	 */
+	public clear(key?) {
+		if (typeof key == "undefined") {
+			this.attributes = {};
+		} else if (typeof this.attributes[key] != "undefined") {
+			delete this.attributes[key];
+		} else {
+			return;
+		}
+
+		this._isChanged = true;
+	}
+
+	public get(key) {
+		// getAttributes deep clones the attributes object, so updates to objects
+		// will not be saved until `set` is called explicitly
+		return this.getAttributes()[key];
+	}
+
+	public getAttributes() {
+		return JSON.parse(JSON.stringify(this.attributes));
+	}
+
+	public isAvailable(): boolean {
+		return this._isAvailable;
+	}
+
+	/**
+	 * Returns true if the attributes were updated and need to be saved
+	 *
+	 * @returns {boolean}
+	 */
+	public isChanged(): boolean {
+		return this._isChanged;
+	}
+
+	public set(key, value) {
+		this.attributes[key] = value;
+		this._isChanged = true;
+	}
+}
\ No newline at end of file
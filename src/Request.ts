@@ -1,25 +1,91 @@
-import { Session } from "./Session";
+import { AudioQueue } from "./AudioQueue";
+import { PersistentAttributes } from "./PersistentAttributes";
+import { Session, STATE_ATTRIBUTE } from "./Session";
+import { Slot } from "./Slot";
 
 export class Request {
 	private applicationId: string;
 
 	private context;
 
-	private data;
+	/**
+	 * The raw request JSON object
+	 *
+	 * @memberOf Request
+	 */
+	public data;
+
+	/**
+	 * The ID of the device the request was sent from
+	 *
+	 * @type {string}
+	 * @memberOf Request
+	 */
+	public deviceId: string;
+
+	/**
+	 * The locale of the request, like en-US or de-DE
+	 *
+	 * @type {string}
+	 * @memberOf Request
+	 */
+	public locale: string;
+
+	/**
+	 * Attributes persisted beyond the session by the application's persistence adapter
+	 *
+	 * @type {PersistentAttributes}
+	 * @memberOf Request
+	 */
+	public persistent: PersistentAttributes = new PersistentAttributes();
+
+	private queue: AudioQueue;
 
 	private sessionObject: Session;
 
-	private userId: string;
+	/**
+	 * The ID of the user who sent the request
+	 *
+	 * @type {string}
+	 * @memberOf Request
+	 */
+	public userId: string;
+
+	/**
+	 * The slots of an intent request, keyed by slot name
+	 *
+	 * @type {Object}
+	 * @memberOf Request
+	 */
+	public slots: { [name: string]: Slot } = {};
 
 	constructor(request_json) {
 		this.data = request_json;
 
+		if (this.data.request) {
+			this.locale = this.data.request.locale;
+		}
+
+		if (this.data.request && this.data.request.intent && this.data.request.intent.slots) {
+			let slotName;
+
+			for (slotName in this.data.request.intent.slots) {
+				this.slots[slotName] = new Slot(this.data.request.intent.slots[slotName]);
+			}
+		}
+
 		this.sessionObject = new Session(request_json.session);
 
 		if (this.data.context) {
 			this.userId = this.data.context.System.user.userId;
 			this.applicationId = this.data.context.System.application.applicationId;
 			this.context = this.data.context;
+
+			if (this.data.context.System.device) {
+				this.deviceId = this.data.context.System.device.deviceId;
+			}
+		} else if (this.data.session && this.data.session.user) {
+			this.userId = this.data.session.user.userId;
 		}
 
 		this.isSessionNew = this.hasSession() ? this.getSession().isNew() : false;
@@ -36,6 +102,134 @@ export class Request {
 		return this.sessionObject.isAvailable();
 	};
 
+	/**
+	 * Return the state of the AudioPlayer from the request context. The token and offset of
+	 * an AudioPlayer event are the ones of the stream the event is about.
+	 *
+	 * @returns {Object} The token, offsetInMilliseconds and playerActivity, like PLAYING or
+	 *   STOPPED, or undefined if the request has no AudioPlayer state
+	 *
+	 * @memberOf Request
+	 */
+	public audioPlayer() {
+		const context = this.context && this.context.AudioPlayer;
+		const event = this.isAudioPlayer() ? this.data.request : undefined;
+
+		if (!context && !event) {
+			return;
+		}
+
+		const state = context || {};
+
+		return {
+			"token": event && typeof event.token != "undefined" ? event.token : state.token,
+			"offsetInMilliseconds": event && typeof event.offsetInMilliseconds != "undefined" ? event.offsetInMilliseconds : state.offsetInMilliseconds,
+			"playerActivity": state.playerActivity
+		};
+	}
+
+	/**
+	 * Return the audio queue of the user, which is saved in the persistent attributes
+	 *
+	 * @returns {AudioQueue}
+	 * @throws {string} NO_PERSISTENCE without persistence adapter or user ID
+	 *
+	 * @memberOf Request
+	 */
+	public audioQueue(): AudioQueue {
+		if (!this.persistent.isAvailable()) {
+			throw "NO_PERSISTENCE";
+		}
+
+		if (!this.queue) {
+			this.queue = new AudioQueue(this.persistent);
+		}
+
+		return this.queue;
+	}
+
+	/**
+	 * Return the confirmation status of the intent (NONE, CONFIRMED or DENIED)
+	 *
+	 * @returns {string} The confirmation status, or undefined if this isn't an intent request
+	 *
+	 * @memberOf Request
+	 */
+	public confirmationStatus(): string {
+		if (this.data.request && this.data.request.intent) {
+			return this.data.request.intent.confirmationStatus;
+		}
+	}
+
+	/**
+	 * Return the playback state of the AudioPlayer when an AudioPlayer.PlaybackFailed request
+	 * was sent, which can differ from the stream which failed
+	 *
+	 * @returns {Object} The token, offsetInMilliseconds and playerActivity, or undefined
+	 *   if this isn't an AudioPlayer.PlaybackFailed request
+	 *
+	 * @memberOf Request
+	 */
+	public currentPlaybackState() {
+		if (this.data.request) {
+			return this.data.request.currentPlaybackState;
+		}
+	}
+
+	/**
+	 * Return the state of the dialog (STARTED, IN_PROGRESS or COMPLETED)
+	 *
+	 * @returns {string} The dialog state, or undefined if the intent has no dialog
+	 *
+	 * @memberOf Request
+	 */
+	public dialogState(): string {
+		if (this.data.request) {
+			return this.data.request.dialogState;
+		}
+	}
+
+	/**
+	 * Return the error of an AudioPlayer.PlaybackFailed or System.ExceptionEncountered request
+	 *
+	 * @returns {Object} The type, like MEDIA_ERROR_UNKNOWN or INVALID_RESPONSE, and the message
+	 *   of the error, or undefined if the request has no error
+	 *
+	 * @memberOf Request
+	 */
+	public error() {
+		if (this.data.request) {
+			return this.data.request.error;
+		}
+	}
+
+	/**
+	 * Return the cause of a System.ExceptionEncountered request
+	 *
+	 * @returns {Object} The cause, with the requestId of the request whose response failed,
+	 *   or undefined if this isn't a System.ExceptionEncountered request
+	 *
+	 * @memberOf Request
+	 */
+	public errorCause() {
+		if (this.data.request) {
+			return this.data.request.cause;
+		}
+	}
+
+	/**
+	 * Return the name of the intent
+	 *
+	 * @returns {string} The intent name, or undefined if this isn't an intent request
+	 *
+	 * @memberOf Request
+	 */
+	public intentName(): string {
+		if (this.data.request && this.data.request.intent) {
+			return this.data.request.intent.name;
+		}
+	}
+
 	/**
 	 * Returns true if the type of the request is an AudioPlayer
 	 *
@@ -47,6 +241,19 @@ export class Request {
 		return (requestType && 0 === requestType.indexOf("AudioPlayer."));
 	}
 
+	/**
+	 * Returns true if the request is a PlaybackController request, sent by the buttons of the device
+	 *
+	 * @returns {boolean}
+	 *
+	 * @memberOf Request
+	 */
+	public isPlaybackController(): boolean {
+		const requestType = this.type();
+
+		return !!requestType && 0 === requestType.indexOf("PlaybackController.");
+	}
+
 	/**
 	 * Return the value passed in for a given slot name
 	 *
@@ -65,6 +272,17 @@ export class Request {
 		}
 	}
 
+	/**
+	 * Return the current conversation state, as set by response.transitionTo()
+	 *
+	 * @returns {string} The state, or undefined if the conversation has no state
+	 *
+	 * @memberOf Request
+	 */
+	public state(): string {
+		return this.hasSession() ? this.getSession().get(STATE_ATTRIBUTE) : undefined;
+	}
+
 	/**
 	 * Return the type of request received
 	 *
@@ -0,0 +1,94 @@
+import { SSML } from "./to-ssml";
+
+/**
+ * Resolves the strings of resource bundles keyed by locale. A string can be a list of
+ * variants picked at random, or an object of plural forms (zero, one and other) picked
+ * by the count parameter. Parameters are interpolated into {name} placeholders.
+ */
+export class Resources {
+	/**
+	 * The locale whose bundle is used for strings missing in the bundle of another locale
+	 *
+	 * @type {string}
+	 * @memberOf Resources
+	 */
+	public defaultLocale: string;
+
+	/**
+	 * The resource bundles, keyed by locale or language
+	 *
+	 * @type {Object}
+	 * @memberOf Resources
+	 */
+	public bundles;
+
+	constructor(bundles?, defaultLocale: string = "en-US") {
+		this.bundles = bundles || {};
+		this.defaultLocale = defaultLocale;
+	}
+
+	/**
+	 * Resolve a string of the bundle of a locale
+	 *
+	 * @param {string} key The key of the string, like WELCOME
+	 * @param {string} [locale] The locale, defaults to defaultLocale
+	 * @param {Object} [params] The values of the placeholders, and the count choosing the plural form
+	 * @returns {string} The string, with the parameters escaped for SSML
+	 *
+	 * @memberOf Resources
+	 */
+	public get(key: string, locale?: string, params?): string {
+		params = params || {};
+
+		let value = this.lookup(key, locale || this.defaultLocale);
+
+		if (typeof value == "undefined") {
+			value = this.lookup(key, this.defaultLocale);
+		}
+
+		if (typeof value == "undefined") {
+			throw new Error(`No resource "${key}" for locale "${locale || this.defaultLocale}"`);
+		}
+
+		// plural forms
+		if (value && typeof value == "object" && !Array.isArray(value)) {
+			const count = Number(params.count);
+
+			if (count === 0 && typeof value.zero != "undefined") {
+				value = value.zero;
+			} else if (count === 1 && typeof value.one != "undefined") {
+				value = value.one;
+			} else {
+				value = value.other;
+			}
+		}
+
+		// variants
+		if (Array.isArray(value)) {
+			value = value[Math.floor(Math.random() * value.length)];
+		}
+
+		return String(value).replace(/\{(\w+)\}/g, (placeholder, name) => {
+			return typeof params[name] != "undefined" ? SSML.escape(params[name]) : placeholder;
+		});
+	}
+
+	/**
+	 * Find a string in the bundle of a locale, or of its language
+	 *
+	 * @param {string} key
+	 * @param {string} locale
+	 * @returns {any} The string, or undefined if it is missing
+	 */
+	private lookup(key: string, locale: string) {
+		const bundles = [this.bundles[locale], this.bundles[locale.split("-")[0]]];
+
+		let i;
+
+		for (i = 0; i < bundles.length; i++) {
+			if (bundles[i] && typeof bundles[i][key] != "undefined") {
+				return bundles[i][key];
+			}
+		}
+	}
+}
\ No newline at end of file
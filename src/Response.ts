@@ -1,6 +1,20 @@
-import { Session } from "./Session";
+import { AudioStream } from "./AudioStream";
+import { Request } from "./Request";
+import { Resources } from "./Resources";
+import { Session, SPEECH_OVERFLOW_ATTRIBUTE, STATE_ATTRIBUTE } from "./Session";
 import { SSML } from "./to-ssml";
 
+const CLEAR_BEHAVIORS = ["CLEAR_ALL", "CLEAR_ENQUEUED"];
+const PLAY_BEHAVIORS = ["ENQUEUE", "REPLACE_ALL", "REPLACE_ENQUEUED"];
+
+// the limits of Alexa for the stream of an AudioPlayer.Play directive
+const MAX_STREAM_TOKEN_LENGTH = 1024;
+const MAX_STREAM_URL_LENGTH = 8000;
+
+// the limits of Alexa for the output speech
+const MAX_SPEECH_AUDIO = 5;
+const MAX_SPEECH_LENGTH = 8000;
+
 export class Response {
 	/**
 	 * Trigger a response failure
@@ -14,6 +28,22 @@ export class Response {
 	 */
 	public fail: (message: String, exception?: Object | any) => void = null;
 
+	/**
+	 * The request this response answers
+	 *
+	 * @type {Request}
+	 * @memberOf Response
+	 */
+	public requestObject: Request;
+
+	/**
+	 * The resource bundles of sayKey() and repromptKey()
+	 *
+	 * @type {Resources}
+	 * @memberOf Response
+	 */
+	public resources: Resources;
+
 	/**
 	 * Indicates whether or not the callback or Promise has been completed successfully.
 	 *
@@ -46,6 +76,33 @@ export class Response {
 	 */
 	public send: (exception?: Object) => void = null;
 
+	/**
+	 * What prepare() does with an output speech exceeding the limits of Alexa, 8000 characters
+	 * and 5 <audio> tags: "throw" an error, "truncate" it at a sentence boundary, "split" it into
+	 * a follow-up prompt, or false to send it unchecked
+	 *
+	 * @type {(boolean | string)}
+	 * @memberOf Response
+	 */
+	public speechOverflow: boolean | string = "throw";
+
+	/**
+	 * The question asking whether to continue the output speech split by speechOverflow
+	 *
+	 * @type {string}
+	 * @memberOf Response
+	 */
+	public speechOverflowPrompt: string = "Would you like to hear more?";
+
+	/**
+	 * Whether say() and reprompt() check the SSML with SSML.validate(): false to skip the
+	 * check, "warn" to log the problems or "throw" to throw an error on the first one
+	 *
+	 * @type {(boolean | string)}
+	 * @memberOf Response
+	 */
+	public strictSSML: boolean | string = false;
+
 	/**
 	 * The session object
 	 *
@@ -54,14 +111,24 @@ export class Response {
 	 */
 	public sessionObject: Session;
 
-	constructor(session: Session) {
+	private ssmlWarnings: string[] = [];
+
+	constructor(session: Session, request?: Request, resources?: Resources) {
 		this.sessionObject = session;
+		this.requestObject = request;
+		this.resources = resources || new Resources();
 	}
 
-	public audioPlayerClearQueue(clearBehavior): Response {
+	public audioPlayerClearQueue(clearBehavior?: string): Response {
+		clearBehavior = clearBehavior || "CLEAR_ALL";
+
+		if (CLEAR_BEHAVIORS.indexOf(clearBehavior) === -1) {
+			throw new Error(`Invalid clearBehavior "${clearBehavior}", use one of ${CLEAR_BEHAVIORS.join(", ")}.`);
+		}
+
 		const audioPlayerDirective = {
 			"type": "AudioPlayer.ClearQueue",
-			"clearBehavior": clearBehavior || "CLEAR_ALL"
+			"clearBehavior": clearBehavior
 		};
 
 		this.response["response"]["directives"].push(audioPlayerDirective);
@@ -69,7 +136,35 @@ export class Response {
 		return this;
 	}
 
-	public audioPlayerPlay(playBehavior, audioItem): Response {
+	/**
+	 * Enqueue a stream after the one playing. The expectedPreviousToken is the token of
+	 * request.audioPlayer(), unless the stream has one.
+	 *
+	 * @param {AudioStream} stream
+	 * @returns {Response}
+	 *
+	 * @memberOf Response
+	 */
+	public audioPlayerEnqueue(stream: AudioStream): Response {
+		const audioPlayer = this.requestObject ? this.requestObject.audioPlayer() : undefined;
+		const playing = audioPlayer ? audioPlayer.token : undefined;
+
+		return this.audioPlayerPlayStream("ENQUEUE", this.stream(stream, stream.expectedPreviousToken || playing));
+	}
+
+	/**
+	 * Send an AudioPlayer.Play directive, after validating the stream of its audio item
+	 *
+	 * @param {string} playBehavior ENQUEUE, REPLACE_ALL or REPLACE_ENQUEUED
+	 * @param {Object} audioItem
+	 * @returns {Response}
+	 * @throws {Error} If the play behavior or the stream is invalid
+	 *
+	 * @memberOf Response
+	 */
+	public audioPlayerPlay(playBehavior: string, audioItem): Response {
+		this.validateStream(playBehavior, audioItem && audioItem.stream);
+
 		const audioPlayerDirective = {
 			"type": "AudioPlayer.Play",
 			"playBehavior": playBehavior,
@@ -81,7 +176,7 @@ export class Response {
 		return this;
 	}
 
-	public audioPlayerPlayStream(playBehavior, stream): Response {
+	public audioPlayerPlayStream(playBehavior: string, stream): Response {
 		const audioItem = {
 			"stream": stream
 		};
@@ -89,6 +184,30 @@ export class Response {
 		return this.audioPlayerPlay(playBehavior, audioItem);
 	}
 
+	/**
+	 * Play a stream right away, replacing the one playing and the enqueued ones
+	 *
+	 * @param {AudioStream} stream
+	 * @returns {Response}
+	 *
+	 * @memberOf Response
+	 */
+	public audioPlayerReplaceAll(stream: AudioStream): Response {
+		return this.audioPlayerPlayStream("REPLACE_ALL", this.stream(stream));
+	}
+
+	/**
+	 * Replace the enqueued streams by a stream, without stopping the one playing
+	 *
+	 * @param {AudioStream} stream
+	 * @returns {Response}
+	 *
+	 * @memberOf Response
+	 */
+	public audioPlayerReplaceEnqueued(stream: AudioStream): Response {
+		return this.audioPlayerPlayStream("REPLACE_ENQUEUED", this.stream(stream));
+	}
+
 	public audioPlayerStop(): Response {
 		const audioPlayerDirective = {
 			"type": "AudioPlayer.Stop"
@@ -154,7 +273,7 @@ export class Response {
 
 		// Remove all SSML to keep the card clean
 		cleanseAttrs.forEach(idx => {
-			card[idx] = SSML.cleanse(card[idx]);
+			card[idx] = SSML.toText(card[idx]);
 		});
 
 		this.response['response']['card'] = card;
@@ -177,6 +296,62 @@ export class Response {
 		return this;
 	}
 
+	/**
+	 * Ask Alexa to confirm the whole intent before it is fulfilled (send Dialog.ConfirmIntent directive)
+	 *
+	 * @param {string} prompt The phrase asking the user to confirm the intent
+	 * @param {string} [reprompt] The phrase to speak if the user didn't answer
+	 * @param {Object} [updatedIntent] The intent, with changed slot values or confirmation status
+	 * @returns {Response}
+	 *
+	 * @memberOf Response
+	 */
+	public confirmIntent(prompt: string, reprompt?: string, updatedIntent?): Response {
+		return this.dialog({ "type": "Dialog.ConfirmIntent" }, prompt, reprompt, updatedIntent);
+	}
+
+	/**
+	 * Ask Alexa to confirm the value of a slot (send Dialog.ConfirmSlot directive)
+	 *
+	 * @param {string} slotName The name of the slot to confirm
+	 * @param {string} prompt The phrase asking the user to confirm the slot value
+	 * @param {string} [reprompt] The phrase to speak if the user didn't answer
+	 * @param {Object} [updatedIntent] The intent, with changed slot values or confirmation status
+	 * @returns {Response}
+	 *
+	 * @memberOf Response
+	 */
+	public confirmSlot(slotName: string, prompt: string, reprompt?: string, updatedIntent?): Response {
+		return this.dialog({ "type": "Dialog.ConfirmSlot", "slotToConfirm": slotName }, prompt, reprompt, updatedIntent);
+	}
+
+	/**
+	 * Let Alexa handle the next turn of the dialog (send Dialog.Delegate directive)
+	 *
+	 * @param {Object} [updatedIntent] The intent, with changed slot values or confirmation status
+	 * @returns {Response}
+	 *
+	 * @memberOf Response
+	 */
+	public delegate(updatedIntent?): Response {
+		return this.dialog({ "type": "Dialog.Delegate" }, null, null, updatedIntent);
+	}
+
+	/**
+	 * Ask Alexa to collect the value of a slot (send Dialog.ElicitSlot directive)
+	 *
+	 * @param {string} slotName The name of the slot to elicit
+	 * @param {string} prompt The phrase asking the user for the slot value
+	 * @param {string} [reprompt] The phrase to speak if the user didn't answer
+	 * @param {Object} [updatedIntent] The intent, with changed slot values or confirmation status
+	 * @returns {Response}
+	 *
+	 * @memberOf Response
+	 */
+	public elicitSlot(slotName: string, prompt: string, reprompt?: string, updatedIntent?): Response {
+		return this.dialog({ "type": "Dialog.ElicitSlot", "slotToElicit": slotName }, prompt, reprompt, updatedIntent);
+	}
+
 	/**
 	 * Return a card instructing the user how to link their account to the skill.
 	 * This internally sets the card response.
@@ -199,18 +374,22 @@ export class Response {
 	 * @memberOf Response
 	 */
 	public prepare() {
+		this.checkPlaybackController();
+		this.limitSpeech();
 		this.setSessionAttributes(this.sessionObject.getAttributes());
 	}
 
 	/**
 	 * Tell Alexa to re-prompt the user for a response, if it didn't hear anything valid
 	 *
-	 * @param {String} str The phrase to speak back to the user
+	 * @param {(string|SSML)} str The phrase to speak back to the user, or an SSML builder
 	 * @returns {Response}
 	 *
 	 * @memberOf Response
 	 */
-	public reprompt(str: string): Response {
+	public reprompt(str: string | SSML): Response {
+		str = str instanceof SSML ? str.toString() : str;
+
 		if (this.response['response']['reprompt'] == null) {
 			this.response['response']['reprompt'] = {
 				"outputSpeech": {
@@ -223,19 +402,36 @@ export class Response {
 			this.response['response']['reprompt']['outputSpeech']['ssml'] = SSML.fromStr(str, this.response['response']['reprompt']['outputSpeech']['text']);
 		}
 
+		this.checkSSML(this.response['response']['reprompt']['outputSpeech']['ssml']);
+
 		return this;
 	}
 
+	/**
+	 * Re-prompt the user with a string of the resource bundle of the request locale
+	 *
+	 * @param {string} key The key of the string
+	 * @param {Object} [params] The values of the placeholders, and the count choosing the plural form
+	 * @returns {Response}
+	 *
+	 * @memberOf Response
+	 */
+	public repromptKey(key: string, params?): Response {
+		return this.reprompt(this.resources.get(key, this.locale(), params));
+	}
+
 	/**
 	 * Tell Alexa to say something. Multiple calls to say() will be appended to each other.
 	 * All text output is treated as SSML
 	 *
-	 * @param {string} str The phrase to speak back to the user
+	 * @param {(string|SSML)} str The phrase to speak back to the user, or an SSML builder
 	 * @returns {Response}
 	 *
 	 * @memberOf Response
 	 */
-	public say(str: string): Response {
+	public say(str: string | SSML): Response {
+		str = str instanceof SSML ? str.toString() : str;
+
 		if (this.response['response']['outputSpeech'] == null) {
 			this.response['response']['outputSpeech'] = {
 				"type": "SSML",
@@ -246,9 +442,25 @@ export class Response {
 			this.response['response']['outputSpeech']['ssml'] = SSML.fromStr(str, this.response['response']['outputSpeech']['ssml']);
 		}
 
+		this.checkSSML(this.response['response']['outputSpeech']['ssml']);
+
 		return this;
 	}
 
+	/**
+	 * Say a string of the resource bundle of the request locale. The parameters are
+	 * interpolated into the {name} placeholders of the string, and escaped for SSML.
+	 *
+	 * @param {string} key The key of the string, like WELCOME
+	 * @param {Object} [params] The values of the placeholders, and the count choosing the plural form
+	 * @returns {Response}
+	 *
+	 * @memberOf Response
+	 */
+	public sayKey(key: string, params?): Response {
+		return this.say(this.resources.get(key, this.locale(), params));
+	}
+
 	/**
 	 * Overwrite the session attributes with the object passed into this function.
 	 *
@@ -270,6 +482,10 @@ export class Response {
 	 * @memberOf Response
 	 */
 	public shouldEndSession(end: boolean, reprompt?: string): Response {
+		if (end && this.hasDialogDirective()) {
+			throw new Error("Dialog directives cannot be sent with shouldEndSession set to true");
+		}
+
 		this.response['response']['shouldEndSession'] = end;
 		if (reprompt) {
 			this.reprompt(reprompt);
@@ -278,6 +494,25 @@ export class Response {
 		return this;
 	}
 
+	/**
+	 * Move the conversation to another state. The state is kept in the session, and the
+	 * next requests are handled by the handlers of this state first.
+	 *
+	 * @param {string} [state] The new state, or nothing to leave the current state
+	 * @returns {Response}
+	 *
+	 * @memberOf Response
+	 */
+	public transitionTo(state?: string): Response {
+		if (state) {
+			this.sessionObject.set(STATE_ATTRIBUTE, state);
+		} else if (typeof this.sessionObject.get(STATE_ATTRIBUTE) != "undefined") {
+			this.sessionObject.clear(STATE_ATTRIBUTE);
+		}
+
+		return this;
+	}
+
 	///// Legacy Code Below /////
 
 	/**
@@ -317,4 +552,229 @@ export class Response {
 
 		return this;
 	}
+
+	/**
+	 * Validate the SSML according to strictSSML. Each problem is only logged once per response.
+	 *
+	 * @param {string} ssml
+	 */
+	private checkSSML(ssml: string) {
+		if (!this.strictSSML) {
+			return;
+		}
+
+		SSML.validate(ssml).forEach(problem => {
+			if (this.strictSSML === "throw") {
+				throw new Error(problem.message);
+			}
+
+			if (this.ssmlWarnings.indexOf(problem.message) === -1) {
+				this.ssmlWarnings.push(problem.message);
+				console.warn(problem.message);
+			}
+		});
+	}
+
+	/**
+	 * Add a Dialog directive, the session stays open for the next turn of the dialog
+	 *
+	 * @param {Object} directive The Dialog directive
+	 * @param {string} prompt The phrase to speak back to the user
+	 * @param {string} reprompt The phrase to speak if the user didn't answer
+	 * @param {Object} updatedIntent The intent, with changed slot values or confirmation status
+	 * @returns {Response}
+	 */
+	private dialog(directive, prompt: string, reprompt: string, updatedIntent): Response {
+		if (this.requestObject && "IntentRequest" !== this.requestObject.type()) {
+			throw new Error(`Dialog directives are only allowed in response to an IntentRequest, not ${this.requestObject.type()}`);
+		}
+
+		if (this.hasDialogDirective()) {
+			throw new Error("Only one Dialog directive can be sent in a response");
+		}
+
+		if (updatedIntent) {
+			directive["updatedIntent"] = updatedIntent;
+		}
+
+		this.response["response"]["directives"].push(directive);
+		this.response["response"]["shouldEndSession"] = false;
+
+		if (prompt) {
+			this.say(prompt);
+		}
+
+		if (reprompt) {
+			this.reprompt(reprompt);
+		}
+
+		return this;
+	}
+
+	/**
+	 * Remove what Alexa rejects in the response of a PlaybackController request, anything but
+	 * AudioPlayer directives, with a warning
+	 */
+	private checkPlaybackController() {
+		if (!this.requestObject || !this.requestObject.isPlaybackController()) {
+			return;
+		}
+
+		const response = this.response['response'];
+		const requestType = this.requestObject.type();
+
+		["card", "outputSpeech", "reprompt"].forEach(key => {
+			if (response[key]) {
+				console.warn(`The response to a ${requestType} request can't include ${key}, it was removed.`);
+				delete response[key];
+			}
+		});
+
+		response['directives'] = response['directives'].filter(directive => {
+			if (0 === directive.type.indexOf("AudioPlayer.")) {
+				return true;
+			}
+
+			console.warn(`The response to a ${requestType} request can't include a ${directive.type} directive, it was removed.`);
+			return false;
+		});
+	}
+
+	/**
+	 * Returns true if a Dialog directive has been added to the response
+	 *
+	 * @returns {boolean}
+	 */
+	private hasDialogDirective(): boolean {
+		return this.response["response"]["directives"].some(directive => {
+			return 0 === directive.type.indexOf("Dialog.");
+		});
+	}
+
+	/**
+	 * Apply speechOverflow to an output speech exceeding the limits of Alexa. The sentences
+	 * which fit are kept, a split speech continues with the rest when the user answers
+	 * AMAZON.YesIntent to speechOverflowPrompt.
+	 */
+	private limitSpeech() {
+		const outputSpeech = this.response['response']['outputSpeech'];
+		const audioCount = (ssml: string) => (ssml.match(/<audio\b/gi) || []).length;
+		const fits = (ssml: string) => ssml.length <= MAX_SPEECH_LENGTH && audioCount(ssml) <= MAX_SPEECH_AUDIO;
+
+		if (!this.speechOverflow || !outputSpeech || typeof outputSpeech.ssml != "string" || fits(outputSpeech.ssml)) {
+			return;
+		}
+
+		if ("throw" === this.speechOverflow) {
+			throw new Error(`The output speech has ${outputSpeech.ssml.length} characters and ${audioCount(outputSpeech.ssml)} <audio> tags, ` +
+				`more than the ${MAX_SPEECH_LENGTH} characters and ${MAX_SPEECH_AUDIO} <audio> tags Alexa allows.`);
+		}
+
+		// a split speech needs a session to continue in
+		const split = "split" === this.speechOverflow && this.sessionObject.isAvailable();
+		const prompt = split ? ` ${this.speechOverflowPrompt}` : "";
+		const sentences = SSML.sentences(outputSpeech.ssml);
+
+		let count = 0;
+
+		while (count < sentences.length && fits(`<speak>${sentences.slice(0, count + 1).join(" ")}${prompt}</speak>`)) {
+			count++;
+		}
+
+		if (count === 0) {
+			throw new Error("The first sentence of the output speech exceeds the limits of Alexa.");
+		}
+
+		outputSpeech.ssml = `<speak>${sentences.slice(0, count).join(" ")}${prompt}</speak>`;
+
+		if (split) {
+			this.sessionObject.set(SPEECH_OVERFLOW_ATTRIBUTE, {
+				"reprompt": this.response['response']['reprompt'] ? this.response['response']['reprompt']['outputSpeech']['ssml'] : null,
+				"shouldEndSession": this.response['response']['shouldEndSession'],
+				"speech": sentences.slice(count).join(" ")
+			});
+
+			this.response['response']['reprompt'] = {
+				"outputSpeech": {
+					"type": "SSML",
+					"ssml": SSML.fromStr(this.speechOverflowPrompt)
+				}
+			};
+			this.response['response']['shouldEndSession'] = false;
+		}
+	}
+
+	/**
+	 * The locale of the request
+	 *
+	 * @returns {string} The locale, or undefined without request or locale
+	 */
+	private locale(): string {
+		return this.requestObject ? this.requestObject.locale : undefined;
+	}
+
+	/**
+	 * Build the stream of an AudioPlayer.Play directive
+	 *
+	 * @param {AudioStream} stream
+	 * @param {string} [expectedPreviousToken]
+	 * @returns {Object}
+	 */
+	private stream(stream: AudioStream, expectedPreviousToken?: string) {
+		const audioStream: any = {
+			"url": stream.url,
+			"token": stream.token,
+			"offsetInMilliseconds": stream.offsetInMilliseconds || 0
+		};
+
+		if (expectedPreviousToken) {
+			audioStream.expectedPreviousToken = expectedPreviousToken;
+		}
+
+		return audioStream;
+	}
+
+	/**
+	 * Throw the first problem Alexa would reject the stream of an AudioPlayer.Play directive for
+	 *
+	 * @param {string} playBehavior
+	 * @param {Object} stream
+	 */
+	private validateStream(playBehavior: string, stream) {
+		if (PLAY_BEHAVIORS.indexOf(playBehavior) === -1) {
+			throw new Error(`Invalid playBehavior "${playBehavior}", use one of ${PLAY_BEHAVIORS.join(", ")}.`);
+		}
+
+		if (!stream) {
+			throw new Error("The audio item has no stream.");
+		}
+
+		if (typeof stream.token != "string" || stream.token === "") {
+			throw new Error("The stream has no token.");
+		}
+
+		if (stream.token.length > MAX_STREAM_TOKEN_LENGTH) {
+			throw new Error(`The token of the stream is longer than ${MAX_STREAM_TOKEN_LENGTH} characters.`);
+		}
+
+		if (typeof stream.url != "string" || !/^https:\/\/\S+$/i.test(stream.url)) {
+			throw new Error(`The url "${stream.url}" of the stream isn't a https url.`);
+		}
+
+		if (stream.url.length > MAX_STREAM_URL_LENGTH) {
+			throw new Error(`The url of the stream is longer than ${MAX_STREAM_URL_LENGTH} characters.`);
+		}
+
+		if (typeof stream.offsetInMilliseconds != "undefined" && !(stream.offsetInMilliseconds >= 0)) {
+			throw new Error(`The offsetInMilliseconds ${stream.offsetInMilliseconds} of the stream isn't a positive number.`);
+		}
+
+		if ("ENQUEUE" === playBehavior && !stream.expectedPreviousToken) {
+			throw new Error("A stream is only enqueued with the expectedPreviousToken of the stream playing.");
+		}
+
+		if ("ENQUEUE" !== playBehavior && stream.expectedPreviousToken) {
+			throw new Error(`The expectedPreviousToken of the stream is only allowed with the ENQUEUE playBehavior, not ${playBehavior}.`);
+		}
+	}
 }
\ No newline at end of file
@@ -1,3 +1,9 @@
+// the session attribute holding the current conversation state
+export const STATE_ATTRIBUTE = "alexa-app.state";
+
+// the session attribute holding the rest of an output speech split by the speech limits
+export const SPEECH_OVERFLOW_ATTRIBUTE = "alexa-app.speechOverflow";
+
 export class Session {
 	public attributes;
 
@@ -0,0 +1,217 @@
+import Promise = require("bluebird");
+import Defaults = require("lodash.defaults");
+import { Application } from "./Application";
+import { SimulatorResponse } from "./SimulatorResponse";
+
+export class Simulator {
+	/**
+	 * The application receiving the simulated requests
+	 *
+	 * @type {Application}
+	 * @memberOf Simulator
+	 */
+	public app: Application;
+
+	/**
+	 * The options used to build the requests: applicationId, userId, deviceId and locale
+	 *
+	 * @type {any}
+	 * @memberOf Simulator
+	 */
+	public options;
+
+	/**
+	 * The session attributes sent with the next request, updated from every response
+	 *
+	 * @type {any}
+	 * @memberOf Simulator
+	 */
+	public sessionAttributes = {};
+
+	private requestCount: number = 0;
+
+	private sessionCount: number = 0;
+
+	private sessionId: string = null;
+
+	constructor(app: Application, options?) {
+		if (!app || typeof app.request != "function") {
+			throw new Error("You must specify the application to simulate.");
+		}
+
+		this.app = app;
+		this.options = Defaults({}, options, {
+			"applicationId": "amzn1.echo-sdk-ams.app.000000-d0ed-0000-ad00-000000d00ebe",
+			"deviceId": "amzn1.ask.device.simulator",
+			"locale": "en-US",
+			"userId": "amzn1.account.simulator"
+		});
+	}
+
+	/**
+	 * End the current session with a SessionEndedRequest
+	 *
+	 * @param {string} [reason="USER_INITIATED"] The reason the session ended
+	 * @returns {Promise<SimulatorResponse>}
+	 *
+	 * @memberOf Simulator
+	 */
+	public end(reason: string = "USER_INITIATED"): Promise<SimulatorResponse> {
+		return this.send({ "type": "SessionEndedRequest", "reason": reason });
+	}
+
+	/**
+	 * Returns true if a session is open, i.e. the last response didn't end it
+	 *
+	 * @returns {boolean}
+	 *
+	 * @memberOf Simulator
+	 */
+	public hasSession(): boolean {
+		return this.sessionId !== null;
+	}
+
+	/**
+	 * Send an IntentRequest. Every slot in the schema of the intent is part of the
+	 * request, the ones without a value are empty like they are in Amazon's requests.
+	 *
+	 * @param {string} intentName The name of the intent
+	 * @param {any} [slots] The slot values by slot name, either a string or a slot object
+	 * @param {any} [options] The dialogState of the request and the confirmationStatus of the intent
+	 * @returns {Promise<SimulatorResponse>}
+	 *
+	 * @memberOf Simulator
+	 */
+	public intent(intentName: string, slots?, options?): Promise<SimulatorResponse> {
+		options = options || {};
+
+		const intent = {
+			"name": intentName,
+			"confirmationStatus": options.confirmationStatus || "NONE",
+			"slots": {}
+		};
+
+		this.slotNames(intentName).concat(Object.keys(slots || {})).forEach(slotName => {
+			const value = slots ? slots[slotName] : undefined;
+			const slot = (value !== null && typeof value == "object") ? value : { "value": value };
+
+			intent.slots[slotName] = Defaults({}, slot, {
+				"name": slotName,
+				"confirmationStatus": "NONE"
+			});
+		});
+
+		const body: any = { "type": "IntentRequest", "intent": intent };
+
+		if (options.dialogState) {
+			body.dialogState = options.dialogState;
+		}
+
+		return this.send(body);
+	}
+
+	/**
+	 * Open a new session with a LaunchRequest
+	 *
+	 * @returns {Promise<SimulatorResponse>}
+	 *
+	 * @memberOf Simulator
+	 */
+	public launch(): Promise<SimulatorResponse> {
+		this.endSession();
+
+		return this.send({ "type": "LaunchRequest" });
+	}
+
+	/**
+	 * Send the IntentRequest of the intent whose utterances match the spoken text
+	 *
+	 * @param {string} utterance The spoken text, like "what is the status of JFK"
+	 * @returns {Promise<SimulatorResponse>}
+	 *
+	 * @memberOf Simulator
+	 */
+	public say(utterance: string): Promise<SimulatorResponse> {
+		return Promise.try(() => {
+			const match = this.app.match(utterance, this.options.locale);
+
+			if (!match) {
+				throw new Error(`No intent matches the utterance "${utterance}".`);
+			}
+
+			return this.intent(match.intent, match.slots);
+		});
+	}
+
+	private endSession() {
+		this.sessionId = null;
+		this.sessionAttributes = {};
+	}
+
+	/**
+	 * Send a request to the application, within the current session or a new one
+	 *
+	 * @param {any} body The request body, without the requestId, timestamp and locale
+	 * @returns {Promise<SimulatorResponse>}
+	 */
+	private send(body): Promise<SimulatorResponse> {
+		const isNew = !this.hasSession();
+
+		if (isNew) {
+			this.sessionId = "amzn1.echo-api.session.simulator-" + (++this.sessionCount);
+		}
+
+		const application = { "applicationId": this.options.applicationId };
+		const user = { "userId": this.options.userId };
+		const json = {
+			"version": "1.0",
+			"session": {
+				"new": isNew,
+				"sessionId": this.sessionId,
+				"application": application,
+				"attributes": JSON.parse(JSON.stringify(this.sessionAttributes)),
+				"user": user
+			},
+			"context": {
+				"System": {
+					"application": application,
+					"user": user,
+					"device": {
+						"deviceId": this.options.deviceId,
+						"supportedInterfaces": {}
+					}
+				}
+			},
+			"request": Defaults({
+				"requestId": "amzn1.echo-api.request.simulator-" + (++this.requestCount),
+				"timestamp": new Date().toISOString().replace(/\.\d+Z$/, "Z"),
+				"locale": this.options.locale
+			}, body)
+		};
+
+		return Promise.resolve(this.app.request(json)).then(responseJson => {
+			const response = new SimulatorResponse(responseJson);
+
+			// the session attributes are carried into the next request of the session
+			if (body.type === "SessionEndedRequest" || response.sessionEnded()) {
+				this.endSession();
+			} else {
+				this.sessionAttributes = response.sessionAttributes();
+			}
+
+			return response;
+		});
+	}
+
+	/**
+	 * The names of the slots in the schema of the intent
+	 *
+	 * @param {string} intentName
+	 * @returns {string[]}
+	 */
+	private slotNames(intentName: string): string[] {
+		const intents = JSON.parse(this.app.schema()).intents.filter(intent => intent.intent === intentName);
+
+		return intents.length > 0 && intents[0].slots ? intents[0].slots.map(slot => slot.name) : [];
+	}
+}
\ No newline at end of file
@@ -0,0 +1,213 @@
+export class SimulatorResponse {
+	/**
+	 * The response JSON returned by the application
+	 *
+	 * @type {any}
+	 * @memberOf SimulatorResponse
+	 */
+	public json;
+
+	constructor(json) {
+		this.json = json || {};
+	}
+
+	/**
+	 * Return the card of the response
+	 *
+	 * @returns {any} The card, or undefined if the response has none
+	 *
+	 * @memberOf SimulatorResponse
+	 */
+	public card() {
+		return this.body().card;
+	}
+
+	/**
+	 * Return the directives of the response
+	 *
+	 * @returns {Array}
+	 *
+	 * @memberOf SimulatorResponse
+	 */
+	public directives(): any[] {
+		return this.body().directives || [];
+	}
+
+	/**
+	 * Assert the response has a card, containing every property of the expected card.
+	 *
+	 * @param {any} [expected] The properties the card must have, like { type: "Simple", title: "Hello" }
+	 * @returns {SimulatorResponse}
+	 *
+	 * @memberOf SimulatorResponse
+	 */
+	public expectCard(expected?): SimulatorResponse {
+		const card = this.card();
+
+		if (!card) {
+			throw new Error("Expected a card but the response has none.");
+		}
+
+		let key;
+
+		for (key in expected || {}) {
+			if (card[key] !== expected[key]) {
+				throw new Error(`Expected card ${key} "${expected[key]}" but got "${card[key]}".`);
+			}
+		}
+
+		return this;
+	}
+
+	/**
+	 * Assert the response has a directive of the given type, containing every
+	 * property of the expected directive.
+	 *
+	 * @param {string} type The type of the directive, like "Dialog.ElicitSlot"
+	 * @param {any} [expected] The properties the directive must have, like { slotToElicit: "City" }
+	 * @returns {SimulatorResponse}
+	 *
+	 * @memberOf SimulatorResponse
+	 */
+	public expectDirective(type: string, expected?): SimulatorResponse {
+		const directives = this.directives().filter(directive => directive.type === type);
+
+		if (directives.length === 0) {
+			throw new Error(`Expected a ${type} directive but got ${this.directiveTypes()}.`);
+		}
+
+		let key;
+
+		for (key in expected || {}) {
+			if (JSON.stringify(directives[0][key]) !== JSON.stringify(expected[key])) {
+				throw new Error(`Expected ${type} directive ${key} ${JSON.stringify(expected[key])} but got ${JSON.stringify(directives[0][key])}.`);
+			}
+		}
+
+		return this;
+	}
+
+	/**
+	 * Assert the reprompt of the response equals the expected text or matches the expected pattern
+	 *
+	 * @param {(string|RegExp)} expected
+	 * @returns {SimulatorResponse}
+	 *
+	 * @memberOf SimulatorResponse
+	 */
+	public expectReprompt(expected: string | RegExp): SimulatorResponse {
+		if (!SimulatorResponse.matches(this.reprompt(), expected)) {
+			throw new Error(`Expected reprompt ${expected} but got "${this.reprompt()}".`);
+		}
+
+		return this;
+	}
+
+	/**
+	 * Assert the session ends, or stays open, with the response
+	 *
+	 * @param {boolean} [ended=true]
+	 * @returns {SimulatorResponse}
+	 *
+	 * @memberOf SimulatorResponse
+	 */
+	public expectSessionEnded(ended: boolean = true): SimulatorResponse {
+		if (this.sessionEnded() !== ended) {
+			throw new Error(ended ? "Expected the session to end but it stays open." : "Expected the session to stay open but it ends.");
+		}
+
+		return this;
+	}
+
+	/**
+	 * Assert the speech of the response equals the expected text or matches the expected pattern
+	 *
+	 * @param {(string|RegExp)} expected
+	 * @returns {SimulatorResponse}
+	 *
+	 * @memberOf SimulatorResponse
+	 */
+	public expectSpeech(expected: string | RegExp): SimulatorResponse {
+		if (!SimulatorResponse.matches(this.speech(), expected)) {
+			throw new Error(`Expected speech ${expected} but got "${this.speech()}".`);
+		}
+
+		return this;
+	}
+
+	/**
+	 * Return the reprompt of the response, without the surrounding <speak> tags
+	 *
+	 * @returns {string} The reprompt, or undefined if the response has none
+	 *
+	 * @memberOf SimulatorResponse
+	 */
+	public reprompt(): string {
+		const reprompt = this.body().reprompt;
+
+		return SimulatorResponse.text(reprompt ? reprompt.outputSpeech : undefined);
+	}
+
+	/**
+	 * Return the session attributes of the response
+	 *
+	 * @returns {any}
+	 *
+	 * @memberOf SimulatorResponse
+	 */
+	public sessionAttributes() {
+		return this.json.sessionAttributes || {};
+	}
+
+	/**
+	 * Returns true if the session ends with the response
+	 *
+	 * @returns {boolean}
+	 *
+	 * @memberOf SimulatorResponse
+	 */
+	public sessionEnded(): boolean {
+		return this.body().shouldEndSession !== false;
+	}
+
+	/**
+	 * Return the speech of the response, without the surrounding <speak> tags
+	 *
+	 * @returns {string} The speech, or undefined if the response has none
+	 *
+	 * @memberOf SimulatorResponse
+	 */
+	public speech(): string {
+		return SimulatorResponse.text(this.body().outputSpeech);
+	}
+
+	private static matches(actual: string, expected: string | RegExp): boolean {
+		if (expected instanceof RegExp) {
+			return typeof actual == "string" && expected.test(actual);
+		}
+
+		return actual === expected;
+	}
+
+	private static text(outputSpeech): string {
+		if (!outputSpeech) {
+			return undefined;
+		}
+
+		if (outputSpeech.type === "SSML") {
+			return outputSpeech.ssml.replace(/^\s*<speak>/, "").replace(/<\/speak>\s*$/, "");
+		}
+
+		return outputSpeech.text;
+	}
+
+	private body() {
+		return this.json.response || {};
+	}
+
+	private directiveTypes(): string {
+		const types = this.directives().map(directive => directive.type);
+
+		return types.length > 0 ? types.join(", ") : "no directives";
+	}
+}
\ No newline at end of file
@@ -0,0 +1,113 @@
+export class Slot {
+	/**
+	 * The confirmation status of the slot (NONE, CONFIRMED or DENIED)
+	 *
+	 * @type {string}
+	 * @memberOf Slot
+	 */
+	public confirmationStatus: string;
+
+	/**
+	 * The name of the slot
+	 *
+	 * @type {string}
+	 * @memberOf Slot
+	 */
+	public name: string;
+
+	/**
+	 * The entity resolutions of every authority, as passed by Amazon in the request.
+	 * Each entry has the `authority`, the resolution `status` code and the list of
+	 * resolved `values`, which have a `name` and an `id`.
+	 *
+	 * @type {Array}
+	 * @memberOf Slot
+	 */
+	public resolutions: any[] = [];
+
+	/**
+	 * The spoken value, when it matched a value or a synonym of a custom slot type
+	 *
+	 * @type {string}
+	 * @memberOf Slot
+	 */
+	public synonym: string;
+
+	/**
+	 * The spoken value of the slot
+	 *
+	 * @type {string}
+	 * @memberOf Slot
+	 */
+	public value: string;
+
+	constructor(slot) {
+		this.name = slot.name;
+		this.value = slot.value;
+		this.confirmationStatus = slot.confirmationStatus;
+
+		if (slot.resolutions && slot.resolutions.resolutionsPerAuthority) {
+			this.resolutions = slot.resolutions.resolutionsPerAuthority.map(resolution => {
+				return {
+					"authority": resolution.authority,
+					"status": resolution.status ? resolution.status.code : undefined,
+					"values": (resolution.values || []).map(value => value.value)
+				};
+			});
+		}
+
+		this.synonym = this.isMatched() ? this.value : undefined;
+	}
+
+	/**
+	 * Returns true if an authority resolved the spoken value
+	 *
+	 * @returns {boolean}
+	 *
+	 * @memberOf Slot
+	 */
+	public isMatched(): boolean {
+		return !!this.resolution();
+	}
+
+	/**
+	 * Return the canonical value of the slot, or the spoken value if it wasn't resolved
+	 *
+	 * @returns {string} The resolved value
+	 *
+	 * @memberOf Slot
+	 */
+	public resolved(): string {
+		const resolution = this.resolution();
+
+		return resolution ? resolution.values[0].name : this.value;
+	}
+
+	/**
+	 * Return the ID of the canonical value of the slot
+	 *
+	 * @returns {string} The resolved ID, or undefined if the spoken value wasn't resolved
+	 *
+	 * @memberOf Slot
+	 */
+	public resolvedId(): string {
+		const resolution = this.resolution();
+
+		return resolution ? resolution.values[0].id : undefined;
+	}
+
+	/**
+	 * The first successful resolution of the spoken value
+	 *
+	 * @returns {any} The resolution, or undefined if no authority matched
+	 */
+	private resolution() {
+		let i;
+
+		for (i = 0; i < this.resolutions.length; i++) {
+			if ("ER_SUCCESS_MATCH" === this.resolutions[i].status && this.resolutions[i].values.length > 0) {
+				return this.resolutions[i];
+			}
+		}
+	}
+}
\ No newline at end of file
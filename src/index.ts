@@ -1,4 +1,14 @@
 export { Application } from "./Application";
+export { AudioQueue } from "./AudioQueue";
+export { FilePersistenceAdapter } from "./FilePersistenceAdapter";
+export { MemoryPersistenceAdapter } from "./MemoryPersistenceAdapter";
+export { ModelExporter } from "./ModelExporter";
+export { PersistentAttributes } from "./PersistentAttributes";
 export { Request } from "./Request";
+export { Resources } from "./Resources";
 export { Response } from "./Response";
-export { Session } from "./Session";
\ No newline at end of file
+export { Session } from "./Session";
+export { Simulator } from "./Simulator";
+export { SimulatorResponse } from "./SimulatorResponse";
+export { Slot } from "./Slot";
+export { SSML } from "./to-ssml";
\ No newline at end of file
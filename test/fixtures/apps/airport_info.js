@@ -0,0 +1,15 @@
+"use strict";
+var Alexa = require("../../../index");
+
+var app = new Alexa.app("airport info");
+
+app.customSlotType("FAACODES", ["JFK", "SFO"]);
+
+app.intent("airportInfoIntent", {
+  "slots": { "AirportCode": "FAACODES" },
+  "utterances": ["what is the status of {-|AirportCode}"]
+}, function(req, res) {
+  res.say("Checking " + req.slot("AirportCode"));
+});
+
+module.exports = app;
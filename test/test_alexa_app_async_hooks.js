@@ -0,0 +1,133 @@
+/*jshint expr: true*/
+"use strict";
+var chai = require("chai");
+var chaiAsPromised = require("chai-as-promised");
+var mockHelper = require("./helpers/mock_helper");
+var Promise = require("bluebird");
+chai.use(chaiAsPromised);
+var expect = chai.expect;
+chai.config.includeStack = true;
+
+describe("Alexa", function() {
+  var Alexa = require("../index");
+
+  describe("app", function() {
+    var testApp;
+    var mockRequest;
+    var calls;
+
+    beforeEach(function() {
+      testApp = new Alexa.app("testApp");
+      mockRequest = mockHelper.load("intent_request_airport_info.json");
+      calls = [];
+
+      testApp.intent("airportInfoIntent", function(req, res) {
+        calls.push("handler");
+        res.say("handler");
+      });
+    });
+
+    describe("#pre", function() {
+      it("waits for a returned Promise before running the handler", function() {
+        testApp.pre = function(req, res) {
+          return Promise.delay(5).then(function() {
+            calls.push("pre");
+            res.session("loaded", true);
+          });
+        };
+
+        return testApp.request(mockRequest).then(function(response) {
+          expect(calls).to.eql(["pre", "handler"]);
+          expect(response.sessionAttributes.loaded).to.be.true;
+        });
+      });
+
+      it("skips the handler when the returned Promise sends the response", function() {
+        testApp.pre = function(req, res) {
+          return Promise.delay(5).then(function() {
+            res.say("not allowed").send();
+          });
+        };
+
+        return testApp.request(mockRequest).then(function(response) {
+          expect(calls).to.eql([]);
+          expect(response.response.outputSpeech.ssml).to.equal("<speak>not allowed</speak>");
+        });
+      });
+
+      it("routes a rejected Promise to the error handler", function() {
+        testApp.pre = function() {
+          return Promise.reject(new Error("unauthorized"));
+        };
+        testApp.error = function(e, req, res) {
+          res.say("error: " + e.message).send();
+        };
+
+        return testApp.request(mockRequest).then(function(response) {
+          expect(calls).to.eql([]);
+          expect(response.response.outputSpeech.ssml).to.equal("<speak>error: unauthorized</speak>");
+        });
+      });
+
+      it("fails the request when a rejected Promise is not handled", function() {
+        testApp.pre = function() {
+          return Promise.reject(new Error("unauthorized"));
+        };
+
+        return expect(testApp.request(mockRequest)).to.be.rejectedWith("Unhandled exception: unauthorized.");
+      });
+    });
+
+    describe("#post", function() {
+      it("waits for a returned Promise before resolving", function() {
+        testApp.post = function(req, res) {
+          return Promise.delay(5).then(function() {
+            calls.push("post");
+            res.say("and post");
+          });
+        };
+
+        return testApp.request(mockRequest).then(function(response) {
+          expect(calls).to.eql(["handler", "post"]);
+          expect(response.response.outputSpeech.ssml).to.equal("<speak>handler and post</speak>");
+        });
+      });
+
+      it("can clear a failure asynchronously", function() {
+        testApp.intent("airportInfoIntent", function() {
+          throw new Error("broken");
+        });
+        testApp.post = function(req, res, type, exception) {
+          return Promise.delay(5).then(function() {
+            res.clear().say("recovered from " + exception.message).send();
+          });
+        };
+
+        return testApp.request(mockRequest).then(function(response) {
+          expect(response.response.outputSpeech.ssml).to.equal("<speak>recovered from broken</speak>");
+        });
+      });
+
+      it("routes a rejected Promise to the error handler", function() {
+        testApp.post = function() {
+          return Promise.reject(new Error("logging failed"));
+        };
+        testApp.error = function(e, req, res) {
+          res.clear().say("error: " + e.message).send();
+        };
+
+        return testApp.request(mockRequest).then(function(response) {
+          expect(response.response.outputSpeech.ssml).to.equal("<speak>error: logging failed</speak>");
+        });
+      });
+
+      it("fails the request when a rejected Promise is not handled", function() {
+        testApp.post = function() {
+          return Promise.reject(new Error("logging failed"));
+        };
+
+        return expect(testApp.request(mockRequest)).to.be.rejectedWith("Unhandled exception: logging failed.");
+      });
+    });
+  });
+});
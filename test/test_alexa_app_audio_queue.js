@@ -0,0 +1,244 @@
+/*jshint expr: true*/
+"use strict";
+var chai = require("chai");
+var chaiAsPromised = require("chai-as-promised");
+var mockHelper = require("./helpers/mock_helper");
+var sinon = require("sinon");
+chai.use(chaiAsPromised);
+var expect = chai.expect;
+chai.config.includeStack = true;
+
+describe("Alexa", function() {
+  var Alexa = require("../index");
+  var userId = "amzn1.account.AM3B227HF3FAM1B261HK7FFM3A2";
+  var tracks = [
+    { "token": "episode-1", "url": "https://example.com/1.mp3", "title": "Episode 1" },
+    { "token": "episode-2", "url": "https://example.com/2.mp3", "title": "Episode 2" },
+    { "token": "episode-3", "url": "https://example.com/3.mp3", "title": "Episode 3" }
+  ];
+
+  describe("audio queue", function() {
+    var persistent;
+    var queue;
+
+    beforeEach(function() {
+      persistent = new (require("../lib").PersistentAttributes)(userId);
+      queue = new (require("../lib").AudioQueue)(persistent).add(tracks);
+    });
+
+    afterEach(function() {
+      if (Math.random.restore) {
+        Math.random.restore();
+      }
+    });
+
+    it("saves its state in the persistent attributes", function() {
+      queue.next();
+      queue.offset(5000);
+
+      expect(persistent.get("audioQueue")).to.eql({
+        "index": 1,
+        "loop": false,
+        "offsetInMilliseconds": 5000,
+        "order": [0, 1, 2],
+        "shuffle": false,
+        "tracks": tracks
+      });
+      expect(new (require("../lib").AudioQueue)(persistent).current()).to.eql(tracks[1]);
+    });
+
+    it("requires a token and a url", function() {
+      expect(function() {
+        queue.add({ "url": "https://example.com/4.mp3" });
+      }).to.throw("A track of the audio queue needs a token and a url.");
+    });
+
+    it("moves through the tracks", function() {
+      expect(queue.current()).to.eql(tracks[0]);
+      expect(queue.peek()).to.eql(tracks[1]);
+      expect(queue.next()).to.eql(tracks[1]);
+      expect(queue.next()).to.eql(tracks[2]);
+      expect(queue.next()).to.be.null;
+      expect(queue.current()).to.eql(tracks[2]);
+      expect(queue.previous()).to.eql(tracks[1]);
+    });
+
+    it("resets the offset when moving to another track", function() {
+      queue.offset(5000);
+      queue.next();
+
+      expect(queue.offset()).to.equal(0);
+    });
+
+    it("starts over when looping", function() {
+      queue.loop(true).jump("episode-3");
+
+      expect(queue.loop()).to.be.true;
+      expect(queue.peek()).to.eql(tracks[0]);
+      expect(queue.next()).to.eql(tracks[0]);
+      expect(queue.previous()).to.eql(tracks[2]);
+    });
+
+    it("shuffles the tracks after the current one", function() {
+      sinon.stub(Math, "random").returns(0);
+      queue.next();
+      queue.shuffle(true);
+
+      expect(queue.shuffle()).to.be.true;
+      expect(queue.current()).to.eql(tracks[1]);
+      expect(queue.tracks()).to.eql([tracks[1], tracks[2], tracks[0]]);
+
+      queue.shuffle(false);
+
+      expect(queue.current()).to.eql(tracks[1]);
+      expect(queue.tracks()).to.eql(tracks);
+    });
+
+    it("is empty after clear()", function() {
+      queue.clear();
+
+      expect(queue.current()).to.be.null;
+      expect(queue.next()).to.be.null;
+      expect(queue.tracks()).to.eql([]);
+    });
+  });
+
+  describe("app", function() {
+    var testApp;
+    var adapter;
+    var state = function(index, offsetInMilliseconds) {
+      return {
+        "audioQueue": {
+          "index": index,
+          "loop": false,
+          "offsetInMilliseconds": offsetInMilliseconds,
+          "order": [0, 1, 2],
+          "shuffle": false,
+          "tracks": tracks
+        }
+      };
+    };
+    var event = function(type, token, offsetInMilliseconds) {
+      var mockRequest = mockHelper.load("audio_player_events/playback_nearly_finished.json");
+
+      mockRequest.request.type = "AudioPlayer." + type;
+      mockRequest.request.token = token;
+      mockRequest.request.offsetInMilliseconds = offsetInMilliseconds;
+
+      return testApp.request(mockRequest);
+    };
+
+    beforeEach(function() {
+      testApp = new Alexa.app("testApp");
+      testApp.audioQueue = true;
+      adapter = Alexa.memoryPersistenceAdapter();
+      testApp.persistenceAdapter = adapter;
+
+      return adapter.save(userId, state(0, 0));
+    });
+
+    describe("#audioQueue", function() {
+      it("enqueues the next track on PlaybackNearlyFinished", function() {
+        return event("PlaybackNearlyFinished", "episode-2", 1000).then(function(response) {
+          expect(response.response.directives).to.eql([{
+            "type": "AudioPlayer.Play",
+            "playBehavior": "ENQUEUE",
+            "audioItem": {
+              "stream": {
+                "expectedPreviousToken": "episode-2",
+                "offsetInMilliseconds": 0,
+                "token": "episode-3",
+                "url": "https://example.com/3.mp3"
+              }
+            }
+          }]);
+
+          return expect(adapter.get(userId)).to.eventually.have.deep.property("audioQueue.index", 1);
+        });
+      });
+
+      it("doesn't enqueue a track at the end of the queue", function() {
+        return event("PlaybackNearlyFinished", "episode-3", 1000).then(function(response) {
+          expect(response.response.directives).to.eql([]);
+        });
+      });
+
+      it("records the offset on PlaybackStopped", function() {
+        return event("PlaybackStopped", "episode-2", 65000).then(function() {
+          return expect(adapter.get(userId)).to.eventually.eql(state(1, 65000));
+        });
+      });
+
+      it("calls the handler of the event as well", function() {
+        testApp.audioPlayer("PlaybackStarted", function(req, res) {
+          res.audioPlayerClearQueue("CLEAR_ENQUEUED");
+        });
+
+        return event("PlaybackStarted", "episode-3", 0).then(function(response) {
+          expect(response.response.directives).to.eql([{ "type": "AudioPlayer.ClearQueue", "clearBehavior": "CLEAR_ENQUEUED" }]);
+
+          return expect(adapter.get(userId)).to.eventually.eql(state(2, 0));
+        });
+      });
+
+      it("resumes the current track on AMAZON.ResumeIntent", function() {
+        var mockRequest = mockHelper.load("intent_request_airport_info.json");
+
+        mockRequest.request.intent = { "name": "AMAZON.ResumeIntent", "slots": {} };
+
+        return adapter.save(userId, state(1, 65000)).then(function() {
+          return testApp.request(mockRequest);
+        }).then(function(response) {
+          expect(response.response.directives).to.eql([{
+            "type": "AudioPlayer.Play",
+            "playBehavior": "REPLACE_ALL",
+            "audioItem": {
+              "stream": {
+                "offsetInMilliseconds": 65000,
+                "token": "episode-2",
+                "url": "https://example.com/2.mp3"
+              }
+            }
+          }]);
+        });
+      });
+
+      it("ignores the events of streams which aren't in the queue", function() {
+        return event("PlaybackStopped", "another-stream", 1000).then(function() {
+          return expect(adapter.get(userId)).to.eventually.eql(state(0, 0));
+        });
+      });
+
+      it("builds the queue in an intent handler", function() {
+        var mockRequest = mockHelper.load("intent_request_airport_info.json");
+
+        testApp.intent("airportInfoIntent", function(req, res) {
+          var queue = req.audioQueue().clear().add(tracks.slice(1));
+
+          queue.play(res);
+        });
+
+        return testApp.request(mockRequest).then(function(response) {
+          expect(response.response.directives[0].audioItem.stream.token).to.equal("episode-2");
+
+          return adapter.get(userId);
+        }).then(function(attributes) {
+          expect(attributes.audioQueue.tracks).to.eql(tracks.slice(1));
+        });
+      });
+
+      it("requires persistence", function() {
+        var mockRequest = mockHelper.load("intent_request_airport_info.json");
+
+        testApp.persistenceAdapter = null;
+        testApp.intent("airportInfoIntent", function(req, res) {
+          req.audioQueue();
+        });
+
+        return testApp.request(mockRequest).then(function(response) {
+          expect(response.response.outputSpeech.ssml).to.equal("<speak>" + testApp.messages.NO_PERSISTENCE + "</speak>");
+        });
+      });
+    });
+  });
+});
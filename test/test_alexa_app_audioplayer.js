@@ -3,6 +3,7 @@
 var chai = require("chai");
 var chaiAsPromised = require("chai-as-promised");
 var mockHelper = require("./helpers/mock_helper");
+var Promise = require("bluebird");
 chai.use(chaiAsPromised);
 var expect = chai.expect;
 chai.config.includeStack = true;
@@ -92,7 +93,7 @@ describe("Alexa", function () {
           var mockRequest = mockHelper.load("intent_audioplayer.json"),
             playBehavior = "ENQUEUE",
             stream = {
-              url: "someurl.com",
+              url: "https://someurl.com",
               token: "some_token",
               expectedPreviousToken: "some_previous_token",
               offsetInMilliseconds: 1000
@@ -179,7 +180,7 @@ describe("Alexa", function () {
             var stream = {
               url: "https://testing",
               token: "some token",
-              expectedPreviousToken: undefined,
+              expectedPreviousToken: "some previous token",
               offsetInMilliseconds: 0
             };
 
@@ -210,7 +211,7 @@ describe("Alexa", function () {
             var stream = {
               url: "https://testing",
               token: "some token",
-              expectedPreviousToken: undefined,
+              expectedPreviousToken: "some previous token",
               offsetInMilliseconds: 0
             };
 
@@ -238,6 +239,36 @@ describe("Alexa", function () {
           });
         });
       });
+
+      context("set PlaybackFinished event handler returning a Promise", function () {
+        describe("response", function() {
+          it("waits for the Promise", function() {
+            var stream = {
+              url: "https://testing",
+              token: "some token",
+              offsetInMilliseconds: 0
+            };
+
+            testApp.audioPlayer("PlaybackFinished", function(request, response) {
+              return Promise.delay(10).then(function() {
+                response.audioPlayerPlayStream("REPLACE_ALL", stream);
+              });
+            });
+
+            var subject = testApp.request(mockRequest).then(function(response) {
+              return response.response.directives;
+            });
+
+            return expect(subject).to.eventually.become([{
+              type: 'AudioPlayer.Play',
+              playBehavior: "REPLACE_ALL",
+              audioItem: {
+                stream: stream
+              }
+            }]);
+          });
+        });
+      });
     });
   });
 });
@@ -0,0 +1,101 @@
+/*jshint expr: true*/
+"use strict";
+var chai = require("chai");
+var expect = chai.expect;
+chai.config.includeStack = true;
+
+describe("Alexa", function() {
+  var Alexa = require("../index");
+
+  describe("app", function() {
+    var testApp;
+    beforeEach(function() {
+      testApp = new Alexa.app("testApp");
+    });
+
+    describe("#customSlotType", function() {
+      it("requires an array of values", function() {
+        expect(function() {
+          testApp.customSlotType("CITY", "Seattle");
+        }).to.throw('The values of custom slot type "CITY" must be an array.');
+      });
+
+      it("requires every value to have a value", function() {
+        expect(function() {
+          testApp.customSlotType("CITY", [{ id: "SEA" }]);
+        }).to.throw('Every value of custom slot type "CITY" must have a value.');
+      });
+
+      describe("with values, ids and synonyms", function() {
+        beforeEach(function() {
+          testApp.customSlotType("CITY", [
+            "Boston",
+            { value: "Seattle", id: "SEA", synonyms: ["Emerald City"] },
+            { value: "New York", id: "NYC" }
+          ]);
+
+          testApp.intent("cityIntent", {
+            "slots": {
+              "City": "CITY"
+            },
+            "utterances": ["fly to {CITY|City}"]
+          });
+        });
+
+        it("expands utterances with the values", function() {
+          var subject = testApp.utterances();
+          var expected = "cityIntent" + "\t" + "fly to {Boston|City}" + "\n";
+          expected += "cityIntent" + "\t" + "fly to {Seattle|City}" + "\n";
+          expected += "cityIntent" + "\t" + "fly to {New York|City}" + "\n";
+          expect(subject).to.eq(expected);
+        });
+
+        it("exports the slot type in the interaction model", function() {
+          var subject = JSON.parse(testApp.interactionModel());
+          expect(subject.interactionModel.languageModel.intents[0].samples).to.eql([
+            "fly to {City}"
+          ]);
+          expect(subject.interactionModel.languageModel.types).to.eql([{
+            "name": "CITY",
+            "values": [{
+              "name": { "value": "Boston" }
+            }, {
+              "id": "SEA",
+              "name": { "value": "Seattle", "synonyms": ["Emerald City"] }
+            }, {
+              "id": "NYC",
+              "name": { "value": "New York" }
+            }]
+          }]);
+        });
+      });
+
+      describe("with a dictionary entry of the same slot type", function() {
+        beforeEach(function() {
+          testApp.customSlotType("COLOR_TYPE", [{ value: "red", id: "RED" }]);
+          testApp.dictionary = { "colors": ["red", "green"] };
+
+          testApp.intent("colorIntent", {
+            "slots": {
+              "Color": "COLOR_TYPE"
+            },
+            "utterances": ["my color is {colors|Color}"]
+          });
+        });
+
+        it("adds the missing dictionary values", function() {
+          var subject = JSON.parse(testApp.interactionModel());
+          expect(subject.interactionModel.languageModel.types).to.eql([{
+            "name": "COLOR_TYPE",
+            "values": [{
+              "id": "RED",
+              "name": { "value": "red" }
+            }, {
+              "name": { "value": "green" }
+            }]
+          }]);
+        });
+      });
+    });
+  });
+});
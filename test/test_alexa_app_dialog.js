@@ -0,0 +1,143 @@
+/*jshint expr: true*/
+"use strict";
+var chai = require("chai");
+var chaiAsPromised = require("chai-as-promised");
+var mockHelper = require("./helpers/mock_helper");
+chai.use(chaiAsPromised);
+var expect = chai.expect;
+chai.config.includeStack = true;
+
+describe("Alexa", function() {
+  var Alexa = require("../index");
+
+  describe("app", function() {
+    var testApp;
+    beforeEach(function() {
+      testApp = new Alexa.app("testApp");
+    });
+
+    describe("#request", function() {
+      describe("dialog", function() {
+        var mockRequest = mockHelper.load("intent_request_dialog.json");
+
+        it("returns the dialog state and confirmation statuses", function() {
+          var request = Alexa.request(mockRequest);
+          expect(request.dialogState()).to.eq("IN_PROGRESS");
+          expect(request.confirmationStatus()).to.eq("NONE");
+          expect(request.slots.FromCity.confirmationStatus).to.eq("CONFIRMED");
+        });
+
+        it("returns no dialog state for a launch request", function() {
+          var request = Alexa.request(mockHelper.load("intent_request_launch.json"));
+          expect(request.dialogState()).to.be.undefined;
+          expect(request.confirmationStatus()).to.be.undefined;
+        });
+
+        context("with a delegate", function() {
+          it("sends a Dialog.Delegate directive and keeps the session open", function() {
+            testApp.intent("bookFlightIntent", function(req, res) {
+              res.delegate();
+            });
+
+            return testApp.request(mockRequest).then(function(response) {
+              expect(response.response.directives).to.eql([{ "type": "Dialog.Delegate" }]);
+              expect(response.response.shouldEndSession).to.be.false;
+            });
+          });
+
+          it("sends the updated intent", function() {
+            var updatedIntent = { "name": "bookFlightIntent", "confirmationStatus": "NONE", "slots": {} };
+
+            testApp.intent("bookFlightIntent", function(req, res) {
+              res.delegate(updatedIntent);
+            });
+
+            return testApp.request(mockRequest).then(function(response) {
+              expect(response.response.directives).to.eql([{
+                "type": "Dialog.Delegate",
+                "updatedIntent": updatedIntent
+              }]);
+            });
+          });
+        });
+
+        context("with an elicit slot", function() {
+          it("sends a Dialog.ElicitSlot directive with a prompt and a reprompt", function() {
+            testApp.intent("bookFlightIntent", function(req, res) {
+              res.elicitSlot("ToCity", "Where to?", "Where do you want to fly to?");
+            });
+
+            return testApp.request(mockRequest).then(function(response) {
+              expect(response.response.directives).to.eql([{
+                "type": "Dialog.ElicitSlot",
+                "slotToElicit": "ToCity"
+              }]);
+              expect(response.response.outputSpeech.ssml).to.eq("<speak>Where to?</speak>");
+              expect(response.response.reprompt.outputSpeech.ssml).to.eq("<speak>Where do you want to fly to?</speak>");
+              expect(response.response.shouldEndSession).to.be.false;
+            });
+          });
+        });
+
+        context("with a confirm slot", function() {
+          it("sends a Dialog.ConfirmSlot directive", function() {
+            testApp.intent("bookFlightIntent", function(req, res) {
+              res.confirmSlot("FromCity", "From Seattle?");
+            });
+
+            return testApp.request(mockRequest).then(function(response) {
+              expect(response.response.directives).to.eql([{
+                "type": "Dialog.ConfirmSlot",
+                "slotToConfirm": "FromCity"
+              }]);
+              expect(response.response.outputSpeech.ssml).to.eq("<speak>From Seattle?</speak>");
+            });
+          });
+        });
+
+        context("with a confirm intent", function() {
+          it("sends a Dialog.ConfirmIntent directive", function() {
+            testApp.intent("bookFlightIntent", function(req, res) {
+              res.confirmIntent("Shall I book it?");
+            });
+
+            return testApp.request(mockRequest).then(function(response) {
+              expect(response.response.directives).to.eql([{ "type": "Dialog.ConfirmIntent" }]);
+              expect(response.response.outputSpeech.ssml).to.eq("<speak>Shall I book it?</speak>");
+            });
+          });
+        });
+
+        context("with two Dialog directives", function() {
+          it("fails", function() {
+            testApp.intent("bookFlightIntent", function(req, res) {
+              res.delegate().confirmIntent("Shall I book it?");
+            });
+
+            return expect(testApp.request(mockRequest)).to.be.rejectedWith("Unhandled exception: Only one Dialog directive can be sent in a response.");
+          });
+        });
+
+        context("with shouldEndSession set to true", function() {
+          it("fails", function() {
+            testApp.intent("bookFlightIntent", function(req, res) {
+              res.delegate().shouldEndSession(true);
+            });
+
+            return expect(testApp.request(mockRequest)).to.be.rejectedWith("Unhandled exception: Dialog directives cannot be sent with shouldEndSession set to true.");
+          });
+        });
+
+        context("with an AudioPlayer request", function() {
+          it("fails", function() {
+            testApp.audioPlayer("PlaybackStarted", function(req, res) {
+              res.delegate();
+            });
+
+            return expect(testApp.request(mockHelper.load("audio_player_events/playback_started.json"))).to.be.rejectedWith("Unhandled exception: Dialog directives are only allowed in response to an IntentRequest, not AudioPlayer.PlaybackStarted.");
+          });
+        });
+      });
+    });
+  });
+});
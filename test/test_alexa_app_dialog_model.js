@@ -0,0 +1,245 @@
+/*jshint expr: true*/
+"use strict";
+var chai = require("chai");
+var chaiAsPromised = require("chai-as-promised");
+var mockHelper = require("./helpers/mock_helper");
+chai.use(chaiAsPromised);
+var expect = chai.expect;
+chai.config.includeStack = true;
+
+describe("Alexa", function() {
+  var Alexa = require("../index");
+
+  describe("app", function() {
+    var testApp;
+    var schema;
+    var handled;
+
+    beforeEach(function() {
+      testApp = new Alexa.app("testApp");
+      handled = false;
+      schema = {
+        "slots": {
+          "FromCity": "CITY",
+          "ToCity": "CITY",
+          "Passengers": "AMAZON.NUMBER"
+        },
+        "utterances": ["book a flight {to {-|ToCity}|}"],
+        "dialog": {
+          "confirmation": "Shall I book a flight from {FromCity} to {ToCity}?",
+          "slots": {
+            "FromCity": {
+              "required": true,
+              "elicitation": ["Where are you flying from?"],
+              "confirmation": "From {FromCity}, right?"
+            },
+            "ToCity": {
+              "required": true,
+              "elicitation": "Where to?",
+              "samples": ["to {-|ToCity}"],
+              "validations": [{
+                "type": "isNotInSet",
+                "values": ["atlantis"],
+                "prompt": "There are no flights to {ToCity}. Where to?"
+              }]
+            }
+          }
+        }
+      };
+    });
+
+    describe("#intent", function() {
+      it("requires dialog slots to be schema slots", function() {
+        schema.dialog.slots.Unknown = { "elicitation": "What?" };
+        expect(function() {
+          testApp.intent("bookFlightIntent", schema);
+        }).to.throw('The dialog of intent "bookFlightIntent" uses slot "Unknown" which isn\'t in its schema slots.');
+      });
+
+      it("requires an elicitation prompt for required slots", function() {
+        delete schema.dialog.slots.ToCity.elicitation;
+        expect(function() {
+          testApp.intent("bookFlightIntent", schema);
+        }).to.throw('Slot "ToCity" of intent "bookFlightIntent" is required but has no elicitation prompt.');
+      });
+    });
+
+    describe("#interactionModel", function() {
+      var subject;
+
+      beforeEach(function() {
+        testApp.intent("bookFlightIntent", schema);
+        subject = JSON.parse(testApp.interactionModel()).interactionModel;
+      });
+
+      it("includes slot samples", function() {
+        expect(subject.languageModel.intents[0].slots[1]).to.eql({
+          "name": "ToCity",
+          "type": "CITY",
+          "samples": ["to {ToCity}"]
+        });
+      });
+
+      it("generates the dialog", function() {
+        expect(subject.dialog).to.eql({
+          "intents": [{
+            "name": "bookFlightIntent",
+            "confirmationRequired": true,
+            "prompts": {
+              "confirmation": "Confirm.Intent-bookFlightIntent"
+            },
+            "slots": [{
+              "name": "FromCity",
+              "type": "CITY",
+              "confirmationRequired": true,
+              "elicitationRequired": true,
+              "prompts": {
+                "elicitation": "Elicit.Intent-bookFlightIntent.IntentSlot-FromCity",
+                "confirmation": "Confirm.Intent-bookFlightIntent.IntentSlot-FromCity"
+              }
+            }, {
+              "name": "ToCity",
+              "type": "CITY",
+              "confirmationRequired": false,
+              "elicitationRequired": true,
+              "prompts": {
+                "elicitation": "Elicit.Intent-bookFlightIntent.IntentSlot-ToCity"
+              },
+              "validations": [{
+                "type": "isNotInSet",
+                "values": ["atlantis"],
+                "prompt": "Validate.Intent-bookFlightIntent.IntentSlot-ToCity.1"
+              }]
+            }]
+          }]
+        });
+      });
+
+      it("generates the prompts", function() {
+        expect(subject.prompts).to.eql([{
+          "id": "Confirm.Intent-bookFlightIntent",
+          "variations": [{ "type": "PlainText", "value": "Shall I book a flight from {FromCity} to {ToCity}?" }]
+        }, {
+          "id": "Elicit.Intent-bookFlightIntent.IntentSlot-FromCity",
+          "variations": [{ "type": "PlainText", "value": "Where are you flying from?" }]
+        }, {
+          "id": "Confirm.Intent-bookFlightIntent.IntentSlot-FromCity",
+          "variations": [{ "type": "PlainText", "value": "From {FromCity}, right?" }]
+        }, {
+          "id": "Elicit.Intent-bookFlightIntent.IntentSlot-ToCity",
+          "variations": [{ "type": "PlainText", "value": "Where to?" }]
+        }, {
+          "id": "Validate.Intent-bookFlightIntent.IntentSlot-ToCity.1",
+          "variations": [{ "type": "PlainText", "value": "There are no flights to {ToCity}. Where to?" }]
+        }]);
+      });
+
+      it("leaves out the dialog without dialog intents", function() {
+        var otherApp = new Alexa.app("otherApp");
+        otherApp.intent("AMAZON.HelpIntent");
+        var model = JSON.parse(otherApp.interactionModel()).interactionModel;
+        expect(model.dialog).to.be.undefined;
+        expect(model.prompts).to.be.undefined;
+      });
+    });
+
+    describe("#request", function() {
+      var mockRequest;
+
+      beforeEach(function() {
+        mockRequest = mockHelper.load("intent_request_dialog.json");
+      });
+
+      var register = function() {
+        testApp.intent("bookFlightIntent", schema, function(req, res) {
+          handled = true;
+          res.say("Booked");
+        });
+      };
+
+      context("with a delegated dialog", function() {
+        beforeEach(register);
+
+        it("delegates until the dialog is completed", function() {
+          return testApp.request(mockRequest).then(function(response) {
+            expect(handled).to.be.false;
+            expect(response.response.directives).to.eql([{ "type": "Dialog.Delegate" }]);
+          });
+        });
+
+        it("calls the handler when the dialog is completed", function() {
+          mockRequest.request.dialogState = "COMPLETED";
+
+          return testApp.request(mockRequest).then(function(response) {
+            expect(handled).to.be.true;
+            expect(response.response.directives).to.eql([]);
+          });
+        });
+      });
+
+      context("with a dialog run by alexa-app", function() {
+        beforeEach(function() {
+          schema.dialog.delegate = false;
+          register();
+        });
+
+        it("elicits a missing required slot", function() {
+          return testApp.request(mockRequest).then(function(response) {
+            expect(handled).to.be.false;
+            expect(response.response.directives).to.eql([{ "type": "Dialog.ElicitSlot", "slotToElicit": "ToCity" }]);
+            expect(response.response.outputSpeech.ssml).to.eq("<speak>Where to?</speak>");
+          });
+        });
+
+        it("elicits a slot again when its value is not valid", function() {
+          mockRequest.request.intent.slots.ToCity.value = "Atlantis";
+
+          return testApp.request(mockRequest).then(function(response) {
+            var directive = response.response.directives[0];
+            expect(directive.type).to.eq("Dialog.ElicitSlot");
+            expect(directive.slotToElicit).to.eq("ToCity");
+            expect(directive.updatedIntent.slots.ToCity).to.eql({ "name": "ToCity", "confirmationStatus": "NONE" });
+            expect(response.response.outputSpeech.ssml).to.eq("<speak>There are no flights to Atlantis. Where to?</speak>");
+          });
+        });
+
+        it("confirms a slot", function() {
+          mockRequest.request.intent.slots.FromCity.confirmationStatus = "NONE";
+
+          return testApp.request(mockRequest).then(function(response) {
+            expect(response.response.directives).to.eql([{ "type": "Dialog.ConfirmSlot", "slotToConfirm": "FromCity" }]);
+            expect(response.response.outputSpeech.ssml).to.eq("<speak>From Seattle, right?</speak>");
+          });
+        });
+
+        it("elicits a denied slot again", function() {
+          mockRequest.request.intent.slots.FromCity.confirmationStatus = "DENIED";
+
+          return testApp.request(mockRequest).then(function(response) {
+            expect(response.response.directives[0].slotToElicit).to.eq("FromCity");
+            expect(response.response.outputSpeech.ssml).to.eq("<speak>Where are you flying from?</speak>");
+          });
+        });
+
+        it("confirms the intent", function() {
+          mockRequest.request.intent.slots.ToCity.value = "Boston";
+
+          return testApp.request(mockRequest).then(function(response) {
+            expect(response.response.directives).to.eql([{ "type": "Dialog.ConfirmIntent" }]);
+            expect(response.response.outputSpeech.ssml).to.eq("<speak>Shall I book a flight from Seattle to Boston?</speak>");
+          });
+        });
+
+        it("calls the handler when all slots are filled and confirmed", function() {
+          mockRequest.request.intent.slots.ToCity.value = "Boston";
+          mockRequest.request.intent.confirmationStatus = "CONFIRMED";
+
+          return testApp.request(mockRequest).then(function(response) {
+            expect(handled).to.be.true;
+            expect(response.response.outputSpeech.ssml).to.eq("<speak>Booked</speak>");
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,96 @@
+/*jshint expr: true*/
+"use strict";
+var chai = require("chai");
+var chaiAsPromised = require("chai-as-promised");
+var mockHelper = require("./helpers/mock_helper");
+var Promise = require("bluebird");
+chai.use(chaiAsPromised);
+var expect = chai.expect;
+chai.config.includeStack = true;
+
+describe("Alexa", function() {
+  var Alexa = require("../index");
+
+  describe("app", function() {
+    var testApp;
+    var mockRequest;
+
+    beforeEach(function() {
+      testApp = new Alexa.app("testApp");
+      mockRequest = mockHelper.load("system_exception_encountered.json");
+    });
+
+    describe("#exceptionEncountered", function() {
+      it("responds without a handler", function() {
+        return testApp.request(mockRequest).then(function(response) {
+          expect(response.response.outputSpeech).to.be.undefined;
+          expect(response.response.directives).to.eql([]);
+        });
+      });
+
+      it("calls the handler with the error and its cause", function() {
+        var error, cause;
+
+        testApp.exceptionEncountered(function(req) {
+          error = req.error();
+          cause = req.errorCause();
+        });
+
+        return testApp.request(mockRequest).then(function() {
+          expect(error).to.eql({
+            "type": "INVALID_RESPONSE",
+            "message": "The response contains an AudioPlayer.Play directive without a https url."
+          });
+          expect(cause).to.eql({ "requestId": "amzn1.echo-api.request.6919844a-733e-4e89-893a-fdcb77e2ef0d" });
+        });
+      });
+
+      it("waits for the Promise returned by the handler", function() {
+        var logged = false;
+
+        testApp.exceptionEncountered(function() {
+          return Promise.delay(10).then(function() {
+            logged = true;
+          });
+        });
+
+        return testApp.request(mockRequest).then(function() {
+          expect(logged).to.be.true;
+        });
+      });
+
+      it("fails with the message of an error instead of saying it", function() {
+        testApp.exceptionEncountered(function() {
+          throw "NO_SESSION";
+        });
+
+        return expect(testApp.request(mockRequest)).to.be.rejectedWith(testApp.messages.NO_SESSION);
+      });
+    });
+  });
+
+  describe("request", function() {
+    it("has the error and playback state of AudioPlayer.PlaybackFailed", function() {
+      var request = Alexa.request(mockHelper.load("audio_player_events/playback_failed.json"));
+
+      expect(request.error()).to.eql({
+        "type": "MEDIA_ERROR_INTERNAL_SERVER_ERROR",
+        "message": "Alexa accepted the request, but was unable to process the request as expected."
+      });
+      expect(request.currentPlaybackState()).to.eql({
+        "token": "THIS_IS_SOME_OTHER_RANDOM_STRING",
+        "offsetInMilliseconds": 1234567,
+        "playerActivity": "PLAYING"
+      });
+      expect(request.errorCause()).to.be.undefined;
+    });
+
+    it("has no error otherwise", function() {
+      var request = Alexa.request(mockHelper.load("intent_request_airport_info.json"));
+
+      expect(request.error()).to.be.undefined;
+      expect(request.errorCause()).to.be.undefined;
+      expect(request.currentPlaybackState()).to.be.undefined;
+    });
+  });
+});
@@ -0,0 +1,135 @@
+/*jshint expr: true*/
+"use strict";
+var chai = require("chai");
+var expect = chai.expect;
+chai.config.includeStack = true;
+
+describe("Alexa", function() {
+  var Alexa = require("../index");
+
+  describe("app", function() {
+    var testApp;
+    beforeEach(function() {
+      testApp = new Alexa.app("testApp");
+    });
+
+    describe("#interactionModel", function() {
+      describe("without intents", function() {
+        it("uses the application name as invocation name", function() {
+          var subject = JSON.parse(testApp.interactionModel());
+          expect(subject).to.eql({
+            "interactionModel": {
+              "languageModel": {
+                "invocationName": "testApp",
+                "intents": [],
+                "types": []
+              }
+            }
+          });
+        });
+
+        it("accepts an invocation name", function() {
+          var subject = JSON.parse(testApp.interactionModel({ invocationName: "test app" }));
+          expect(subject.interactionModel.languageModel.invocationName).to.eq("test app");
+        });
+      });
+
+      describe("with a built-in intent", function() {
+        beforeEach(function() {
+          testApp.intent("AMAZON.StopIntent");
+        });
+
+        it("contains no slots and no samples", function() {
+          var subject = JSON.parse(testApp.interactionModel());
+          expect(subject.interactionModel.languageModel.intents).to.eql([{
+            "name": "AMAZON.StopIntent",
+            "samples": []
+          }]);
+        });
+      });
+
+      describe("with slots and utterances", function() {
+        beforeEach(function() {
+          testApp.intent("testIntent", {
+            "slots": {
+              "AirportCode": "FAACODES",
+              "Awesome": "AMAZON.DATE"
+            },
+            "utterances": [
+              "{|flight|airport} delays for {-|AirportCode}",
+              "delays for {-|AirportCode} on {-|Awesome}"
+            ]
+          });
+        });
+
+        it("includes slots and expanded samples", function() {
+          var subject = JSON.parse(testApp.interactionModel());
+          expect(subject.interactionModel.languageModel.intents).to.eql([{
+            "name": "testIntent",
+            "slots": [{
+              "name": "AirportCode",
+              "type": "FAACODES"
+            }, {
+              "name": "Awesome",
+              "type": "AMAZON.DATE"
+            }],
+            "samples": [
+              "delays for {AirportCode}",
+              "flight delays for {AirportCode}",
+              "airport delays for {AirportCode}",
+              "delays for {AirportCode} on {Awesome}"
+            ]
+          }]);
+        });
+      });
+
+      describe("with a dictionary", function() {
+        beforeEach(function() {
+          testApp.dictionary = {
+            "colors": ["red", "green", "blue"],
+            "SIZE": ["small", "large"],
+            "days": ["monday", "friday"]
+          };
+
+          testApp.intent("colorIntent", {
+            "slots": {
+              "COLOR": "COLOR_TYPE",
+              "SIZE": "SIZE",
+              "DAY": "AMAZON.DAY_OF_WEEK"
+            },
+            "utterances": [
+              "my favorite color is {colors|COLOR}",
+              "a {-|SIZE} {colors|COLOR} one on {days|DAY}"
+            ]
+          });
+        });
+
+        it("collapses sample values into slot references", function() {
+          var subject = JSON.parse(testApp.interactionModel());
+          expect(subject.interactionModel.languageModel.intents[0].samples).to.eql([
+            "my favorite color is {COLOR}",
+            "a {SIZE} {COLOR} one on {DAY}"
+          ]);
+        });
+
+        it("generates custom slot types", function() {
+          var subject = JSON.parse(testApp.interactionModel());
+          expect(subject.interactionModel.languageModel.types).to.eql([{
+            "name": "COLOR_TYPE",
+            "values": [
+              { "name": { "value": "red" } },
+              { "name": { "value": "green" } },
+              { "name": { "value": "blue" } }
+            ]
+          }, {
+            "name": "SIZE",
+            "values": [
+              { "name": { "value": "small" } },
+              { "name": { "value": "large" } }
+            ]
+          }]);
+        });
+      });
+    });
+  });
+});
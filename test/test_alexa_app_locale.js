@@ -0,0 +1,170 @@
+/*jshint expr: true*/
+"use strict";
+var chai = require("chai");
+var chaiAsPromised = require("chai-as-promised");
+var mockHelper = require("./helpers/mock_helper");
+chai.use(chaiAsPromised);
+var expect = chai.expect;
+chai.config.includeStack = true;
+
+describe("Alexa", function() {
+  var Alexa = require("../index");
+
+  describe("app", function() {
+    var testApp;
+
+    beforeEach(function() {
+      testApp = new Alexa.app("testApp");
+
+      testApp.dictionary = {
+        "greetings": { "en": ["hello", "hi"], "de-DE": ["hallo"] },
+        "please": ["please"]
+      };
+      testApp.customSlotType("CITY", {
+        "en-US": ["new york", "boston"],
+        "en-GB": ["london"],
+        "de-DE": [{ "value": "berlin", "synonyms": ["hauptstadt"] }]
+      });
+      testApp.intent("greetIntent", {
+        "slots": { "City": "CITY" },
+        "utterances": {
+          "en": ["{greetings} from {CITY|City}"],
+          "de-DE": ["{greetings} aus {CITY|City}"]
+        }
+      }, function(req, res) {
+        res.say("greeting from " + req.slot("City"));
+      });
+      testApp.intent("helpIntent", {
+        "utterances": ["help {please|}"]
+      }, function(req, res) {
+        res.say("help");
+      });
+    });
+
+    describe("request", function() {
+      it("parses the locale", function() {
+        var mockRequest = mockHelper.load("intent_request_airport_info.json");
+        mockRequest.request.locale = "de-DE";
+
+        expect(Alexa.request(mockRequest).locale).to.equal("de-DE");
+      });
+
+      it("has no locale without one in the request", function() {
+        expect(Alexa.request(mockHelper.load("intent_request_airport_info.json")).locale).to.be.undefined;
+      });
+    });
+
+    describe("#utterances", function() {
+      it("expands the utterances of the default locale", function() {
+        testApp.exhaustiveUtterances = true;
+
+        expect(testApp.utterances()).to.equal(
+          "greetIntent\thello from {new york|City}\n" +
+          "greetIntent\thi from {new york|City}\n" +
+          "greetIntent\thello from {boston|City}\n" +
+          "greetIntent\thi from {boston|City}\n" +
+          "helpIntent\thelp please\n" +
+          "helpIntent\thelp\n"
+        );
+      });
+
+      it("expands the utterances and dictionary of a locale", function() {
+        expect(testApp.utterances("de-DE")).to.equal(
+          "greetIntent\thallo aus {berlin|City}\n" +
+          "helpIntent\thelp please\n" +
+          "helpIntent\thelp\n"
+        );
+      });
+
+      it("uses the values of the language", function() {
+        expect(testApp.utterances("en-GB")).to.contain("greetIntent\thello from {london|City}\n");
+      });
+
+      it("has no utterances for a missing locale", function() {
+        expect(testApp.utterances("fr-FR")).to.equal("helpIntent\thelp please\nhelpIntent\thelp\n");
+      });
+
+      it("uses the default locale", function() {
+        testApp.defaultLocale = "de-DE";
+
+        expect(testApp.utterances()).to.equal(testApp.utterances("de-DE"));
+      });
+    });
+
+    describe("#interactionModel", function() {
+      it("exports the utterances and custom slot types of a locale", function() {
+        var languageModel = JSON.parse(testApp.interactionModel({ "locale": "de-DE" })).interactionModel.languageModel;
+
+        expect(languageModel.intents[0].samples).to.eql(["hallo aus {City}"]);
+        expect(languageModel.types).to.eql([{
+          "name": "CITY",
+          "values": [{ "name": { "value": "berlin", "synonyms": ["hauptstadt"] } }]
+        }]);
+      });
+    });
+
+    describe("#customSlotType", function() {
+      it("requires an array of values for every locale", function() {
+        expect(function() {
+          testApp.customSlotType("CITY", { "en-US": "boston" });
+        }).to.throw("The values of custom slot type \"CITY\" must be an array.");
+      });
+    });
+
+    describe("#match", function() {
+      it("matches the utterances of a locale", function() {
+        expect(testApp.match("hallo aus Hauptstadt", "de-DE")).to.eql({
+          "intent": "greetIntent",
+          "slots": { "City": "Hauptstadt" },
+          "utterance": "hallo aus {berlin|City}"
+        });
+        expect(testApp.match("hallo aus Hauptstadt")).to.be.undefined;
+      });
+    });
+
+    describe("#messages", function() {
+      var mockRequest;
+
+      beforeEach(function() {
+        mockRequest = mockHelper.load("intent_request_airport_info.json");
+        testApp.messages.NO_INTENT_FOUND = {
+          "en-US": "Sorry, I don't know that.",
+          "de": "Das kenne ich leider nicht."
+        };
+      });
+
+      it("uses the message of the request locale", function() {
+        mockRequest.request.locale = "de-DE";
+
+        return testApp.request(mockRequest).then(function(response) {
+          expect(response.response.outputSpeech.ssml).to.equal("<speak>Das kenne ich leider nicht.</speak>");
+        });
+      });
+
+      it("falls back to the message of the default locale", function() {
+        mockRequest.request.locale = "fr-FR";
+
+        return testApp.request(mockRequest).then(function(response) {
+          expect(response.response.outputSpeech.ssml).to.equal("<speak>Sorry, I don't know that.</speak>");
+        });
+      });
+
+      it("uses messages which are the same for every locale", function() {
+        testApp.messages.NO_INTENT_FOUND = "Unknown intent.";
+        mockRequest.request.locale = "de-DE";
+
+        return testApp.request(mockRequest).then(function(response) {
+          expect(response.response.outputSpeech.ssml).to.equal("<speak>Unknown intent.</speak>");
+        });
+      });
+    });
+
+    describe("simulator", function() {
+      it("matches the utterances of its locale", function() {
+        return Alexa.simulator(testApp, { "locale": "de-DE" }).say("hallo aus Berlin").then(function(response) {
+          response.expectSpeech("greeting from Berlin");
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,200 @@
+/*jshint expr: true*/
+"use strict";
+var chai = require("chai");
+var chaiAsPromised = require("chai-as-promised");
+var mockHelper = require("./helpers/mock_helper");
+var Promise = require("bluebird");
+chai.use(chaiAsPromised);
+var expect = chai.expect;
+chai.config.includeStack = true;
+
+describe("Alexa", function() {
+  var Alexa = require("../index");
+
+  describe("app", function() {
+    var testApp;
+    var mockRequest;
+    var calls;
+
+    beforeEach(function() {
+      testApp = new Alexa.app("testApp");
+      mockRequest = mockHelper.load("intent_request_airport_info.json");
+      calls = [];
+
+      testApp.intent("airportInfoIntent", function(req, res) {
+        calls.push("handler");
+        res.say("handler");
+      });
+    });
+
+    describe("#use", function() {
+      it("requires a function", function() {
+        expect(function() {
+          testApp.use("logger");
+        }).to.throw("Middleware must be a function.");
+      });
+
+      it("runs middlewares around the handler in order", function() {
+        testApp.pre = function() {
+          calls.push("pre");
+        };
+        testApp.post = function() {
+          calls.push("post");
+        };
+        testApp.use(function(ctx, next) {
+          calls.push("first before");
+          return next().then(function() {
+            calls.push("first after");
+          });
+        });
+        testApp.use(function(ctx, next) {
+          calls.push("second before");
+          return next().then(function() {
+            calls.push("second after");
+          });
+        });
+
+        return testApp.request(mockRequest).then(function() {
+          expect(calls).to.eql(["pre", "first before", "second before", "handler", "second after", "first after", "post"]);
+        });
+      });
+
+      it("passes the request context", function() {
+        var context;
+        testApp.use(function(ctx, next) {
+          context = ctx;
+          return next();
+        });
+
+        return testApp.request(mockRequest).then(function() {
+          expect(context.app).to.eq(testApp);
+          expect(context.type).to.eq("IntentRequest");
+          expect(context.request.intentName()).to.eq("airportInfoIntent");
+          expect(context.response.say).to.be.a("function");
+        });
+      });
+
+      it("waits for asynchronous middlewares", function() {
+        testApp.use(function(ctx, next) {
+          return Promise.delay(10).then(function() {
+            ctx.request.getSession().set("user", "bob");
+            return next();
+          });
+        });
+        testApp.intent("airportInfoIntent", function(req, res) {
+          res.say("Hello " + req.getSession().get("user"));
+        });
+
+        return testApp.request(mockRequest).then(function(response) {
+          expect(response.response.outputSpeech.ssml).to.eq("<speak>Hello bob</speak>");
+        });
+      });
+
+      it("waits for asynchronous handlers before running the rest of the middlewares", function() {
+        testApp.intent("airportInfoIntent", function(req, res) {
+          return Promise.delay(10).then(function() {
+            res.say("handler");
+          });
+        });
+        testApp.use(function(ctx, next) {
+          return next().then(function() {
+            ctx.response.say("after");
+          });
+        });
+
+        return testApp.request(mockRequest).then(function(response) {
+          expect(response.response.outputSpeech.ssml).to.eq("<speak>handler after</speak>");
+        });
+      });
+
+      it("can short-circuit the handler", function() {
+        testApp.use(function(ctx, next) {
+          ctx.response.say("unauthorized");
+        });
+
+        return testApp.request(mockRequest).then(function(response) {
+          expect(calls).to.eql([]);
+          expect(response.response.outputSpeech.ssml).to.eq("<speak>unauthorized</speak>");
+        });
+      });
+
+      it("runs around every request type", function() {
+        var types = [];
+        testApp.use(function(ctx, next) {
+          types.push(ctx.type);
+          return next();
+        });
+        testApp.launch(function() {});
+
+        return testApp.request(mockHelper.load("intent_request_launch.json")).then(function() {
+          return testApp.request(mockHelper.load("session_ended_request.json"));
+        }).then(function() {
+          return testApp.request(mockHelper.load("audio_player_event_request.json"));
+        }).then(function() {
+          expect(types).to.eql(["LaunchRequest", "SessionEndedRequest", "AudioPlayer.PlaybackFinished"]);
+        });
+      });
+
+      it("can catch errors of the handler", function() {
+        testApp.intent("airportInfoIntent", function(req, res) {
+          throw new Error("whoops");
+        });
+        testApp.use(function(ctx, next) {
+          return next().catch(function(e) {
+            ctx.response.say("Caught " + e.message);
+          });
+        });
+
+        return testApp.request(mockRequest).then(function(response) {
+          expect(response.response.outputSpeech.ssml).to.eq("<speak>Caught whoops</speak>");
+        });
+      });
+
+      it("handles errors of middlewares", function() {
+        testApp.use(function(ctx, next) {
+          throw new Error("middleware error");
+        });
+
+        return expect(testApp.request(mockRequest)).to.be.rejectedWith("Unhandled exception: middleware error.");
+      });
+
+      it("handles rejected middlewares with the error handler", function() {
+        testApp.error = function(e, req, res) {
+          res.say("Error handler: " + e.message).send();
+        };
+        testApp.use(function(ctx, next) {
+          return Promise.reject(new Error("rejected"));
+        });
+
+        return testApp.request(mockRequest).then(function(response) {
+          expect(response.response.outputSpeech.ssml).to.eq("<speak>Error handler: rejected</speak>");
+        });
+      });
+
+      it("fails when next() is called multiple times", function() {
+        testApp.use(function(ctx, next) {
+          return next().then(function() {
+            return next();
+          });
+        });
+
+        return expect(testApp.request(mockRequest)).to.be.rejectedWith("Unhandled exception: next() called multiple times.");
+      });
+
+      it("does not run the handler when pre() sends a response", function() {
+        testApp.pre = function(req, res) {
+          res.say("pre").send();
+        };
+        testApp.use(function(ctx, next) {
+          calls.push("middleware");
+          return next();
+        });
+
+        return testApp.request(mockRequest).then(function(response) {
+          expect(calls).to.eql([]);
+          expect(response.response.outputSpeech.ssml).to.eq("<speak>pre</speak>");
+        });
+      });
+    });
+  });
+});
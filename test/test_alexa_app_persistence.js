@@ -0,0 +1,194 @@
+/*jshint expr: true*/
+"use strict";
+var chai = require("chai");
+var chaiAsPromised = require("chai-as-promised");
+var mockHelper = require("./helpers/mock_helper");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+chai.use(chaiAsPromised);
+var expect = chai.expect;
+chai.config.includeStack = true;
+
+describe("Alexa", function() {
+  var Alexa = require("../index");
+  var userId = "amzn1.account.AM3B227HF3FAM1B261HK7FFM3A2";
+
+  describe("app", function() {
+    var testApp;
+    var mockRequest;
+
+    beforeEach(function() {
+      testApp = new Alexa.app("testApp");
+      mockRequest = mockHelper.load("intent_request_airport_info.json");
+    });
+
+    describe("#persistenceAdapter", function() {
+      context("without a persistence adapter", function() {
+        it("cannot use persistent attributes", function() {
+          testApp.intent("airportInfoIntent", function(req, res) {
+            req.persistent.set("count", 1);
+          });
+
+          return testApp.request(mockRequest).then(function(response) {
+            expect(response.response.outputSpeech.ssml).to.eq("<speak>" + testApp.messages.NO_PERSISTENCE + "</speak>");
+          });
+        });
+      });
+
+      context("with a memory persistence adapter", function() {
+        var adapter;
+
+        beforeEach(function() {
+          adapter = Alexa.memoryPersistenceAdapter();
+          testApp.persistenceAdapter = adapter;
+
+          testApp.intent("airportInfoIntent", function(req, res) {
+            var count = (req.persistent.get("count") || 0) + 1;
+            req.persistent.set("count", count);
+            res.say("Count " + count);
+          });
+        });
+
+        it("saves the attributes when the response is sent", function() {
+          return testApp.request(mockRequest).then(function(response) {
+            expect(response.response.outputSpeech.ssml).to.eq("<speak>Count 1</speak>");
+            return expect(adapter.get(userId)).to.eventually.eql({ "count": 1 });
+          });
+        });
+
+        it("loads the attributes before the request is handled", function() {
+          return adapter.save(userId, { "count": 41 }).then(function() {
+            return testApp.request(mockRequest);
+          }).then(function(response) {
+            expect(response.response.outputSpeech.ssml).to.eq("<speak>Count 42</speak>");
+          });
+        });
+
+        it("keeps the attributes across sessions", function() {
+          return testApp.request(mockRequest).then(function() {
+            mockRequest.session.sessionId = "another-session";
+            mockRequest.session.new = true;
+            return testApp.request(mockRequest);
+          }).then(function(response) {
+            expect(response.response.outputSpeech.ssml).to.eq("<speak>Count 2</speak>");
+          });
+        });
+
+        it("deletes the attributes when they are cleared", function() {
+          testApp.intent("airportInfoIntent", function(req, res) {
+            req.persistent.clear();
+          });
+
+          return adapter.save(userId, { "count": 41 }).then(function() {
+            return testApp.request(mockRequest);
+          }).then(function() {
+            return expect(adapter.get(userId)).to.eventually.eql({});
+          });
+        });
+
+        it("clears a single attribute", function() {
+          testApp.intent("airportInfoIntent", function(req, res) {
+            req.persistent.clear("count");
+          });
+
+          return adapter.save(userId, { "count": 41, "name": "Bob" }).then(function() {
+            return testApp.request(mockRequest);
+          }).then(function() {
+            return expect(adapter.get(userId)).to.eventually.eql({ "name": "Bob" });
+          });
+        });
+
+        it("keeps the attributes when clearing a missing one", function() {
+          var deleted = false;
+          adapter.delete = function() {
+            deleted = true;
+          };
+
+          testApp.intent("airportInfoIntent", function(req, res) {
+            req.persistent.clear("missing");
+          });
+
+          return adapter.save(userId, { "score": 10, "name": "Bob" }).then(function() {
+            return testApp.request(mockRequest);
+          }).then(function() {
+            expect(deleted).to.be.false;
+            return expect(adapter.get(userId)).to.eventually.eql({ "score": 10, "name": "Bob" });
+          });
+        });
+
+        it("does not save attributes which were not updated", function() {
+          var saved = false;
+          adapter.save = function() {
+            saved = true;
+          };
+
+          testApp.intent("airportInfoIntent", function(req, res) {
+            res.say(String(req.persistent.get("count")));
+          });
+
+          return testApp.request(mockRequest).then(function() {
+            expect(saved).to.be.false;
+          });
+        });
+
+        it("stores the attributes per device", function() {
+          var deviceId = "amzn1.ask.device.AFHAVKSJDHJKLFSDH";
+          testApp.persistenceKey = "deviceId";
+          mockRequest.context.System.device = { "deviceId": deviceId };
+
+          return testApp.request(mockRequest).then(function() {
+            return expect(adapter.get(deviceId)).to.eventually.eql({ "count": 1 });
+          });
+        });
+
+        it("fails the request when the attributes cannot be saved", function() {
+          adapter.save = function() {
+            return Promise.reject(new Error("Disk full"));
+          };
+
+          return expect(testApp.request(mockRequest)).to.be.rejectedWith("Disk full");
+        });
+      });
+
+      context("with a file persistence adapter", function() {
+        var directory = path.join(os.tmpdir(), "alexa-app-" + process.pid);
+        var adapter;
+
+        beforeEach(function() {
+          adapter = Alexa.filePersistenceAdapter(directory);
+        });
+
+        afterEach(function() {
+          if (fs.existsSync(directory)) {
+            fs.readdirSync(directory).forEach(function(file) {
+              fs.unlinkSync(path.join(directory, file));
+            });
+            fs.rmdirSync(directory);
+          }
+        });
+
+        it("requires a directory", function() {
+          expect(function() {
+            Alexa.filePersistenceAdapter();
+          }).to.throw("You must specify a directory to store persistent attributes in.");
+        });
+
+        it("returns empty attributes for an unknown ID", function() {
+          return expect(adapter.get(userId)).to.eventually.eql({});
+        });
+
+        it("saves, loads and deletes attributes", function() {
+          return adapter.save(userId, { "count": 1 }).then(function() {
+            expect(fs.readdirSync(directory)).to.eql([encodeURIComponent(userId) + ".json"]);
+            return expect(adapter.get(userId)).to.eventually.eql({ "count": 1 });
+          }).then(function() {
+            return adapter.delete(userId);
+          }).then(function() {
+            return expect(adapter.get(userId)).to.eventually.eql({});
+          });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,115 @@
+/*jshint expr: true*/
+"use strict";
+var chai = require("chai");
+var chaiAsPromised = require("chai-as-promised");
+var mockHelper = require("./helpers/mock_helper");
+var Promise = require("bluebird");
+var sinon = require("sinon");
+chai.use(chaiAsPromised);
+var expect = chai.expect;
+chai.config.includeStack = true;
+
+describe("Alexa", function() {
+  var Alexa = require("../index");
+  var stream = { "url": "https://example.com/next.mp3", "token": "next", "offsetInMilliseconds": 0 };
+  var playDirective = {
+    "type": "AudioPlayer.Play",
+    "playBehavior": "REPLACE_ALL",
+    "audioItem": { "stream": stream }
+  };
+
+  describe("app", function() {
+    var testApp;
+
+    beforeEach(function() {
+      testApp = new Alexa.app("testApp");
+    });
+
+    afterEach(function() {
+      if (console.warn.restore) {
+        console.warn.restore();
+      }
+    });
+
+    describe("#playbackController", function() {
+      ["Play", "Next", "Previous", "Pause"].forEach(function(command) {
+        it("handles " + command + "CommandIssued", function() {
+          var mockRequest = mockHelper.load("playback_controller_events/" + command.toLowerCase() + "_command_issued.json");
+
+          testApp.playbackController(command + "CommandIssued", function(req, res) {
+            expect(req.isPlaybackController()).to.be.true;
+            res.audioPlayerStop();
+          });
+
+          return expect(testApp.request(mockRequest)).to.eventually.have.deep.property("response.directives")
+            .that.eql([{ "type": "AudioPlayer.Stop" }]);
+        });
+      });
+
+      it("responds without directives when the event has no handler", function() {
+        var mockRequest = mockHelper.load("playback_controller_events/next_command_issued.json");
+
+        return testApp.request(mockRequest).then(function(response) {
+          expect(response.response.directives).to.eql([]);
+          expect(response.response.outputSpeech).to.be.undefined;
+        });
+      });
+
+      it("waits for the Promise returned by the handler", function() {
+        var mockRequest = mockHelper.load("playback_controller_events/next_command_issued.json");
+
+        testApp.playbackController("NextCommandIssued", function(req, res) {
+          return Promise.delay(10).then(function() {
+            res.audioPlayerReplaceAll(stream);
+          });
+        });
+
+        return expect(testApp.request(mockRequest)).to.eventually.have.deep.property("response.directives")
+          .that.eql([playDirective]);
+      });
+
+      it("removes output speech from the response with a warning", function() {
+        var mockRequest = mockHelper.load("playback_controller_events/next_command_issued.json");
+
+        sinon.stub(console, "warn");
+        testApp.playbackController("NextCommandIssued", function(req, res) {
+          res.say("Next song").audioPlayerReplaceAll(stream);
+        });
+
+        return testApp.request(mockRequest).then(function(response) {
+          expect(response.response.outputSpeech).to.be.undefined;
+          expect(response.response.directives).to.eql([playDirective]);
+          expect(console.warn.callCount).to.equal(1);
+          expect(console.warn.firstCall.args[0])
+            .to.equal("The response to a PlaybackController.NextCommandIssued request can't include outputSpeech, it was removed.");
+        });
+      });
+
+      it("removes directives other than AudioPlayer directives with a warning", function() {
+        var mockRequest = mockHelper.load("playback_controller_events/pause_command_issued.json");
+
+        sinon.stub(console, "warn");
+        testApp.playbackController("PauseCommandIssued", function(req, res) {
+          res.audioPlayerStop();
+          res.response.response.directives.push({ "type": "Dialog.Delegate" });
+        });
+
+        return testApp.request(mockRequest).then(function(response) {
+          expect(response.response.directives).to.eql([{ "type": "AudioPlayer.Stop" }]);
+          expect(console.warn.firstCall.args[0])
+            .to.equal("The response to a PlaybackController.PauseCommandIssued request can't include a Dialog.Delegate directive, it was removed.");
+        });
+      });
+
+      it("fails with the message of an error instead of saying it", function() {
+        var mockRequest = mockHelper.load("playback_controller_events/play_command_issued.json");
+
+        testApp.playbackController("PlayCommandIssued", function() {
+          throw "NO_PERSISTENCE";
+        });
+
+        return expect(testApp.request(mockRequest)).to.be.rejectedWith(testApp.messages.NO_PERSISTENCE);
+      });
+    });
+  });
+});
@@ -0,0 +1,119 @@
+/*jshint expr: true*/
+"use strict";
+var chai = require("chai");
+var chaiAsPromised = require("chai-as-promised");
+var mockHelper = require("./helpers/mock_helper");
+var sinon = require("sinon");
+chai.use(chaiAsPromised);
+var expect = chai.expect;
+chai.config.includeStack = true;
+
+describe("Alexa", function() {
+  var Alexa = require("../index");
+
+  describe("app", function() {
+    var testApp;
+    var mockRequest;
+
+    beforeEach(function() {
+      testApp = new Alexa.app("testApp");
+      mockRequest = mockHelper.load("intent_request_airport_info.json");
+
+      testApp.resources = {
+        "en-US": {
+          "WELCOME": "Welcome, {name}!",
+          "GOODBYE": ["Goodbye", "See you", "Bye"],
+          "ITEMS": {
+            "zero": "Your cart is empty.",
+            "one": "You have one item.",
+            "other": ["You have {count} items.", "There are {count} items."]
+          },
+          "AIRPORT": "Checking {code}.",
+          "HELP": "Say an airport code."
+        },
+        "de": {
+          "WELCOME": "Willkommen, {name}!"
+        }
+      };
+    });
+
+    describe("#sayKey", function() {
+      var say = function(key, params, locale) {
+        mockRequest.request.locale = locale;
+        testApp.intent("airportInfoIntent", function(req, res) {
+          res.sayKey(key, params);
+        });
+
+        return testApp.request(mockRequest).then(function(response) {
+          return response.response.outputSpeech.ssml;
+        });
+      };
+
+      afterEach(function() {
+        if (Math.random.restore) {
+          Math.random.restore();
+        }
+      });
+
+      it("interpolates the parameters", function() {
+        return expect(say("WELCOME", { "name": "Bob" }, "en-US")).to.eventually.equal("<speak>Welcome, Bob!</speak>");
+      });
+
+      it("escapes the parameters for SSML", function() {
+        return expect(say("WELCOME", { "name": "Tom & <Jerry>" }, "en-US")).to.eventually.equal("<speak>Welcome, Tom &amp; &lt;Jerry&gt;!</speak>");
+      });
+
+      it("uses the bundle of the language of the request locale", function() {
+        return expect(say("WELCOME", { "name": "Bob" }, "de-AT")).to.eventually.equal("<speak>Willkommen, Bob!</speak>");
+      });
+
+      it("falls back to the bundle of the default locale", function() {
+        return expect(say("HELP", {}, "de-DE")).to.eventually.equal("<speak>Say an airport code.</speak>");
+      });
+
+      it("uses the default locale without locale in the request", function() {
+        return expect(say("HELP")).to.eventually.equal("<speak>Say an airport code.</speak>");
+      });
+
+      it("picks a variant at random", function() {
+        sinon.stub(Math, "random").returns(0.5);
+
+        return expect(say("GOODBYE", {}, "en-US")).to.eventually.equal("<speak>See you</speak>");
+      });
+
+      it("picks the plural form by count", function() {
+        sinon.stub(Math, "random").returns(0.9);
+
+        return say("ITEMS", { "count": 0 }, "en-US")
+          .then(function(ssml) {
+            expect(ssml).to.equal("<speak>Your cart is empty.</speak>");
+            return say("ITEMS", { "count": 1 }, "en-US");
+          })
+          .then(function(ssml) {
+            expect(ssml).to.equal("<speak>You have one item.</speak>");
+            return say("ITEMS", { "count": 3 }, "en-US");
+          })
+          .then(function(ssml) {
+            expect(ssml).to.equal("<speak>There are 3 items.</speak>");
+          });
+      });
+
+      it("fails on a missing string", function() {
+        return expect(say("MISSING", {}, "de-DE")).to.be.rejectedWith("Unhandled exception: No resource \"MISSING\" for locale \"de-DE\".");
+      });
+    });
+
+    describe("#repromptKey", function() {
+      it("reprompts a string of the bundle", function() {
+        testApp.intent("airportInfoIntent", function(req, res) {
+          res.sayKey("AIRPORT", { "code": req.slot("AirportCode") }).repromptKey("HELP");
+        });
+
+        return testApp.request(mockRequest).then(function(response) {
+          expect(response.response.outputSpeech.ssml).to.equal("<speak>Checking JFK.</speak>");
+          expect(response.response.reprompt.outputSpeech.ssml).to.equal("<speak>Say an airport code.</speak>");
+        });
+      });
+    });
+  });
+});
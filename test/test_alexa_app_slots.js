@@ -0,0 +1,89 @@
+/*jshint expr: true*/
+"use strict";
+var chai = require("chai");
+var mockHelper = require("./helpers/mock_helper");
+var expect = chai.expect;
+chai.config.includeStack = true;
+
+describe("Alexa", function() {
+  var Alexa = require("../index");
+
+  describe("request", function() {
+    describe("#slots", function() {
+      context("with an entity resolution intent request", function() {
+        var subject;
+
+        beforeEach(function() {
+          subject = Alexa.request(mockHelper.load("intent_request_entity_resolution.json")).slots;
+        });
+
+        it("contains every slot", function() {
+          expect(Object.keys(subject)).to.eql(["FromCity", "ToCity", "Date"]);
+          expect(subject.FromCity.name).to.eq("FromCity");
+        });
+
+        context("with a matched slot", function() {
+          it("is matched", function() {
+            expect(subject.FromCity.isMatched()).to.be.true;
+          });
+
+          it("returns the spoken value", function() {
+            expect(subject.FromCity.value).to.eq("emerald city");
+            expect(subject.FromCity.synonym).to.eq("emerald city");
+          });
+
+          it("returns the resolved value and id", function() {
+            expect(subject.FromCity.resolved()).to.eq("Seattle");
+            expect(subject.FromCity.resolvedId()).to.eq("SEA");
+          });
+
+          it("returns the resolutions of every authority", function() {
+            expect(subject.FromCity.resolutions).to.eql([{
+              "authority": "amzn1.er-authority.echo-sdk.amzn1.echo-sdk-ams.app.000000-d0ed-0000-ad00-000000d00ebe.CITY",
+              "status": "ER_SUCCESS_MATCH",
+              "values": [{ "name": "Seattle", "id": "SEA" }]
+            }]);
+          });
+        });
+
+        context("with an unmatched slot", function() {
+          it("is not matched", function() {
+            expect(subject.ToCity.isMatched()).to.be.false;
+            expect(subject.ToCity.synonym).to.be.undefined;
+          });
+
+          it("returns the spoken value as resolved value", function() {
+            expect(subject.ToCity.resolved()).to.eq("atlantis");
+            expect(subject.ToCity.resolvedId()).to.be.undefined;
+          });
+
+          it("returns the resolutions of every authority", function() {
+            expect(subject.ToCity.resolutions).to.eql([{
+              "authority": "amzn1.er-authority.echo-sdk.amzn1.echo-sdk-ams.app.000000-d0ed-0000-ad00-000000d00ebe.CITY",
+              "status": "ER_SUCCESS_NO_MATCH",
+              "values": []
+            }]);
+          });
+        });
+
+        context("with a built-in slot", function() {
+          it("is not matched", function() {
+            expect(subject.Date.isMatched()).to.be.false;
+            expect(subject.Date.resolutions).to.eql([]);
+          });
+
+          it("returns the spoken value as resolved value", function() {
+            expect(subject.Date.resolved()).to.eq("2017-05-14");
+          });
+        });
+      });
+
+      context("with a launch request", function() {
+        it("is empty", function() {
+          var subject = Alexa.request(mockHelper.load("intent_request_launch.json")).slots;
+          expect(subject).to.eql({});
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,187 @@
+/*jshint expr: true*/
+"use strict";
+var chai = require("chai");
+var chaiAsPromised = require("chai-as-promised");
+chai.use(chaiAsPromised);
+var expect = chai.expect;
+chai.config.includeStack = true;
+
+describe("Alexa", function() {
+  var Alexa = require("../index");
+
+  describe("ssml", function() {
+    describe("#sentences", function() {
+      it("splits the SSML at the end of sentences, <s> and <p>", function() {
+        expect(Alexa.ssml.sentences("<speak>First. Second? <s>Third</s><p>Fourth</p>Fifth!</speak>"))
+          .to.eql(["First.", "Second?", "<s>Third</s>", "<p>Fourth</p>", "Fifth!"]);
+      });
+
+      it("doesn't split other tags", function() {
+        expect(Alexa.ssml.sentences("<speak>Say <prosody rate=\"slow\">one. two.</prosody> <audio src=\"https://example.com/a.mp3\"/> Done.</speak>"))
+          .to.eql(["Say <prosody rate=\"slow\">one. two.</prosody> <audio src=\"https://example.com/a.mp3\"/> Done."]);
+      });
+    });
+  });
+
+  describe("app", function() {
+    var testApp;
+    var simulator;
+    // 100 sentences of 100 characters
+    var sentences = [];
+    var audio = "<audio src=\"https://example.com/a.mp3\"/>";
+
+    for (var i = 0; i < 100; i++) {
+      sentences.push("Sentence " + ("00" + i).slice(-3) + new Array(88).join(".") + " ");
+    }
+
+    beforeEach(function() {
+      testApp = new Alexa.app("testApp");
+      testApp.intent("listIntent", { "utterances": ["list"] }, function(req, res) {
+        res.say(req.session("speech")).reprompt("Anything else?").shouldEndSession(false);
+      });
+      testApp.intent("AMAZON.YesIntent", { "utterances": [] }, function(req, res) {
+        res.say("Yes intent");
+      });
+      testApp.intent("AMAZON.NoIntent", { "utterances": [] }, function(req, res) {
+        res.say("No intent");
+      });
+      simulator = Alexa.simulator(testApp);
+    });
+
+    var list = function(speech) {
+      testApp.launch(function(req, res) {
+        res.session("speech", speech).shouldEndSession(false);
+      });
+
+      return simulator.launch().then(function() {
+        return simulator.intent("listIntent");
+      });
+    };
+
+    describe("#speechOverflow", function() {
+      it("leaves a speech within the limits unchanged", function() {
+        var speech = sentences.slice(0, 75).join("") + new Array(6).join(audio);
+
+        return list(speech).then(function(response) {
+          expect(response.json.response.outputSpeech.ssml).to.equal("<speak>" + speech.trim() + "</speak>");
+        });
+      });
+
+      it("throws by default on too many characters", function() {
+        return expect(list(sentences.join(""))).to.be.rejectedWith("Unhandled exception: The output speech has 10014 characters and 0 <audio> tags, " +
+          "more than the 8000 characters and 5 <audio> tags Alexa allows.");
+      });
+
+      it("runs post once when the speech exceeds the limits", function() {
+        var exceptions = [];
+
+        testApp.post = function(req, res, type, exception) {
+          exceptions.push(exception);
+        };
+
+        return list(sentences.join("")).then(function() {
+          throw new Error("should have failed");
+        }, function(reason) {
+          // the launch and the list request
+          expect(exceptions.length).to.equal(2);
+          expect(exceptions[1].message).to.match(/^The output speech has 10014 characters/);
+          expect(reason).to.equal("Unhandled exception: " + exceptions[1].message + ".");
+        });
+      });
+
+      it("hands the speech exceeding the limits to the error handler", function() {
+        var message;
+
+        testApp.error = function(exception, req, res) {
+          message = exception.message;
+          res.clear().say("Sorry, that list is too long.").send();
+        };
+
+        return list(sentences.join("")).then(function(response) {
+          expect(message).to.match(/^The output speech has 10014 characters/);
+          expect(response.speech()).to.equal("Sorry, that list is too long.");
+          expect(response.sessionEnded()).to.be.false;
+        });
+      });
+
+      it("throws by default on too many <audio> tags", function() {
+        return expect(list(new Array(7).join(audio))).to.be.rejectedWith("6 <audio> tags");
+      });
+
+      it("truncates the speech at a sentence boundary", function() {
+        testApp.speechOverflow = "truncate";
+
+        return list(sentences.join("")).then(function(response) {
+          var ssml = response.json.response.outputSpeech.ssml;
+
+          expect(ssml).to.equal("<speak>" + sentences.slice(0, 79).join("").trim() + "</speak>");
+          expect(response.sessionAttributes()["alexa-app.speechOverflow"]).to.be.undefined;
+        });
+      });
+
+      it("truncates the speech at the last <audio> tag allowed", function() {
+        testApp.speechOverflow = "truncate";
+
+        return list(new Array(8).join("Listen. " + audio + " ")).then(function(response) {
+          expect(response.json.response.outputSpeech.ssml).to.equal("<speak>" + new Array(6).join("Listen. " + audio + " ") + "Listen.</speak>");
+        });
+      });
+
+      it("throws when the first sentence exceeds the limits", function() {
+        testApp.speechOverflow = "truncate";
+
+        return expect(list(new Array(9000).join("a"))).to.be.rejectedWith("The first sentence of the output speech exceeds the limits of Alexa.");
+      });
+
+      it("splits the speech into a follow-up prompt", function() {
+        testApp.speechOverflow = "split";
+
+        return list(sentences.join("")).then(function(response) {
+          expect(response.json.response.outputSpeech.ssml).to.equal("<speak>" + sentences.slice(0, 79).join("") + "Would you like to hear more?</speak>");
+          expect(response.reprompt()).to.equal("Would you like to hear more?");
+          expect(response.sessionEnded()).to.be.false;
+          expect(response.sessionAttributes()["alexa-app.speechOverflow"].speech).to.equal(sentences.slice(79).join("").trim());
+
+          return simulator.intent("AMAZON.YesIntent");
+        }).then(function(response) {
+          expect(response.json.response.outputSpeech.ssml).to.equal("<speak>" + sentences.slice(79).join("").trim() + "</speak>");
+          expect(response.reprompt()).to.equal("Anything else?");
+          expect(response.sessionEnded()).to.be.false;
+          expect(response.sessionAttributes()["alexa-app.speechOverflow"]).to.be.undefined;
+
+          return simulator.intent("AMAZON.YesIntent");
+        }).then(function(response) {
+          expect(response.speech()).to.equal("Yes intent");
+        });
+      });
+
+      it("drops the rest of the speech on another intent", function() {
+        testApp.speechOverflow = "split";
+
+        return list(sentences.join("")).then(function() {
+          return simulator.intent("AMAZON.NoIntent");
+        }).then(function(response) {
+          expect(response.speech()).to.equal("No intent");
+          expect(response.sessionAttributes()["alexa-app.speechOverflow"]).to.be.undefined;
+        });
+      });
+
+      it("asks the localized prompt", function() {
+        testApp.speechOverflow = "split";
+        testApp.messages.SPEECH_OVERFLOW_PROMPT = { "en": "More?" };
+
+        return list(sentences.join("")).then(function(response) {
+          expect(response.reprompt()).to.equal("More?");
+        });
+      });
+
+      it("doesn't check the speech when disabled", function() {
+        testApp.speechOverflow = false;
+
+        return list(sentences.join("")).then(function(response) {
+          expect(response.json.response.outputSpeech.ssml.length).to.equal(10014);
+        });
+      });
+    });
+  });
+});
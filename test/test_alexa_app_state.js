@@ -0,0 +1,172 @@
+/*jshint expr: true*/
+"use strict";
+var chai = require("chai");
+var chaiAsPromised = require("chai-as-promised");
+var mockHelper = require("./helpers/mock_helper");
+chai.use(chaiAsPromised);
+var expect = chai.expect;
+chai.config.includeStack = true;
+
+describe("Alexa", function() {
+  var Alexa = require("../index");
+
+  describe("app", function() {
+    var testApp;
+    var mockRequest;
+
+    var say = function(text) {
+      return function(req, res) {
+        res.say(text);
+      };
+    };
+
+    var speech = function(response) {
+      return response.response.outputSpeech.ssml;
+    };
+
+    beforeEach(function() {
+      testApp = new Alexa.app("testApp");
+      mockRequest = mockHelper.load("intent_request_airport_info.json");
+
+      testApp.intent("airportInfoIntent", say("stateless"));
+      testApp.launch(say("stateless launch"));
+
+      testApp.state("QUIZ", {
+        intents: {
+          "airportInfoIntent": say("quiz")
+        },
+        launch: say("quiz launch"),
+        unhandled: say("quiz unhandled")
+      });
+
+      testApp.state("EMPTY", {});
+    });
+
+    describe("#state", function() {
+      it("requires a state name", function() {
+        expect(function() {
+          testApp.state("", {});
+        }).to.throw("You must specify the name of the state.");
+      });
+
+      context("without a state", function() {
+        it("uses the stateless handler", function() {
+          return testApp.request(mockRequest).then(function(response) {
+            expect(speech(response)).to.eq("<speak>stateless</speak>");
+          });
+        });
+      });
+
+      context("with a state", function() {
+        beforeEach(function() {
+          mockRequest.session.attributes = { "alexa-app.state": "QUIZ" };
+        });
+
+        it("returns the state of the request", function() {
+          expect(Alexa.request(mockRequest).state()).to.eq("QUIZ");
+        });
+
+        it("uses the handler of the state", function() {
+          return testApp.request(mockRequest).then(function(response) {
+            expect(speech(response)).to.eq("<speak>quiz</speak>");
+          });
+        });
+
+        it("uses the launch handler of the state", function() {
+          var launchRequest = mockHelper.load("intent_request_launch.json");
+          launchRequest.session.attributes = { "alexa-app.state": "QUIZ" };
+
+          return testApp.request(launchRequest).then(function(response) {
+            expect(speech(response)).to.eq("<speak>quiz launch</speak>");
+          });
+        });
+
+        it("uses the unhandled handler of the state for an unknown intent", function() {
+          mockRequest.request.intent.name = "unknownIntent";
+
+          return testApp.request(mockRequest).then(function(response) {
+            expect(speech(response)).to.eq("<speak>quiz unhandled</speak>");
+          });
+        });
+
+        it("prefers the stateless handler to the unhandled handler of the state", function() {
+          testApp.intent("otherIntent", say("other"));
+          mockRequest.request.intent.name = "otherIntent";
+
+          return testApp.request(mockRequest).then(function(response) {
+            expect(speech(response)).to.eq("<speak>other</speak>");
+          });
+        });
+      });
+
+      context("with a state without handlers", function() {
+        beforeEach(function() {
+          mockRequest.session.attributes = { "alexa-app.state": "EMPTY" };
+        });
+
+        it("falls back to the stateless handler", function() {
+          return testApp.request(mockRequest).then(function(response) {
+            expect(speech(response)).to.eq("<speak>stateless</speak>");
+          });
+        });
+
+        it("fails for an unknown intent", function() {
+          mockRequest.request.intent.name = "unknownIntent";
+
+          return testApp.request(mockRequest).then(function(response) {
+            expect(speech(response)).to.eq("<speak>" + testApp.messages.NO_INTENT_FOUND + "</speak>");
+          });
+        });
+      });
+    });
+
+    describe("response#transitionTo", function() {
+      it("persists the new state in the session", function() {
+        testApp.intent("airportInfoIntent", function(req, res) {
+          res.transitionTo("QUIZ");
+        });
+
+        return testApp.request(mockRequest).then(function(response) {
+          expect(response.sessionAttributes).to.eql({ "alexa-app.state": "QUIZ" });
+        });
+      });
+
+      it("leaves the state", function() {
+        mockRequest.session.attributes = { "alexa-app.state": "QUIZ", "score": 3 };
+        testApp.state("QUIZ", {
+          intents: {
+            "airportInfoIntent": function(req, res) {
+              res.transitionTo();
+            }
+          }
+        });
+
+        return testApp.request(mockRequest).then(function(response) {
+          expect(response.sessionAttributes).to.eql({ "score": 3 });
+        });
+      });
+
+      it("doesn't overwrite a state attribute of the app", function() {
+        mockRequest.session.attributes = { "state": "level 2" };
+        testApp.intent("airportInfoIntent", function(req, res) {
+          res.transitionTo("QUIZ");
+        });
+
+        return testApp.request(mockRequest).then(function(response) {
+          expect(response.sessionAttributes).to.eql({ "state": "level 2", "alexa-app.state": "QUIZ" });
+        });
+      });
+
+      it("keeps other attributes when there is no state to leave", function() {
+        mockRequest.session.attributes = { "score": 3 };
+        testApp.intent("airportInfoIntent", function(req, res) {
+          res.transitionTo(null);
+        });
+
+        return testApp.request(mockRequest).then(function(response) {
+          expect(response.sessionAttributes).to.eql({ "score": 3 });
+        });
+      });
+    });
+  });
+});
@@ -0,0 +1,134 @@
+/*jshint expr: true*/
+"use strict";
+var chai = require("chai");
+var chaiAsPromised = require("chai-as-promised");
+var mockHelper = require("./helpers/mock_helper");
+chai.use(chaiAsPromised);
+var expect = chai.expect;
+chai.config.includeStack = true;
+
+describe("Alexa", function() {
+  var Alexa = require("../index");
+
+  describe("app", function() {
+    var testApp;
+    var mockRequest;
+
+    beforeEach(function() {
+      testApp = new Alexa.app("testApp");
+      mockRequest = mockHelper.load("intent_request_airport_info.json");
+    });
+
+    describe("#unhandled", function() {
+      context("without an unhandled handler", function() {
+        it("responds with NO_INTENT_FOUND message", function() {
+          return testApp.request(mockRequest).then(function(response) {
+            expect(response.response.outputSpeech.ssml).to.eq("<speak>" + testApp.messages.NO_INTENT_FOUND + "</speak>");
+          });
+        });
+
+        it("does not add AMAZON.FallbackIntent to the interaction model", function() {
+          var subject = JSON.parse(testApp.interactionModel());
+          expect(subject.interactionModel.languageModel.intents).to.eql([]);
+        });
+      });
+
+      context("with an unhandled handler", function() {
+        beforeEach(function() {
+          testApp.unhandled(function(req, res) {
+            res.say("Sorry, I can't help with " + req.intentName());
+          });
+        });
+
+        it("handles an unknown intent", function() {
+          return testApp.request(mockRequest).then(function(response) {
+            expect(response.response.outputSpeech.ssml).to.eq("<speak>Sorry, I can't help with airportInfoIntent</speak>");
+          });
+        });
+
+        it("handles AMAZON.FallbackIntent", function() {
+          mockRequest.request.intent = { "name": "AMAZON.FallbackIntent", "slots": {} };
+
+          return testApp.request(mockRequest).then(function(response) {
+            expect(response.response.outputSpeech.ssml).to.eq("<speak>Sorry, I can't help with AMAZON.FallbackIntent</speak>");
+          });
+        });
+
+        it("does not handle a known intent", function() {
+          testApp.intent("airportInfoIntent", function(req, res) {
+            res.say("Airport");
+          });
+
+          return testApp.request(mockRequest).then(function(response) {
+            expect(response.response.outputSpeech.ssml).to.eq("<speak>Airport</speak>");
+          });
+        });
+
+        it("is overridden by the unhandled handler of the state", function() {
+          testApp.state("QUIZ", {
+            unhandled: function(req, res) {
+              res.say("Please answer the question");
+            }
+          });
+          mockRequest.session.attributes = { "alexa-app.state": "QUIZ" };
+
+          return testApp.request(mockRequest).then(function(response) {
+            expect(response.response.outputSpeech.ssml).to.eq("<speak>Please answer the question</speak>");
+          });
+        });
+
+        it("supports promises", function() {
+          testApp.unhandled(function(req, res) {
+            return Promise.resolve().then(function() {
+              res.say("Later");
+            });
+          });
+
+          return testApp.request(mockRequest).then(function(response) {
+            expect(response.response.outputSpeech.ssml).to.eq("<speak>Later</speak>");
+          });
+        });
+
+        it("adds AMAZON.FallbackIntent to the interaction model", function() {
+          var subject = JSON.parse(testApp.interactionModel());
+          expect(subject.interactionModel.languageModel.intents).to.eql([{
+            "name": "AMAZON.FallbackIntent",
+            "samples": []
+          }]);
+        });
+
+        it("keeps a registered AMAZON.FallbackIntent in the interaction model", function() {
+          testApp.intent("AMAZON.FallbackIntent", function(req, res) {});
+
+          var subject = JSON.parse(testApp.interactionModel());
+          expect(subject.interactionModel.languageModel.intents).to.eql([{
+            "name": "AMAZON.FallbackIntent",
+            "samples": []
+          }]);
+        });
+      });
+
+      context("with an unhandled handler of a state", function() {
+        it("adds AMAZON.FallbackIntent to the interaction model", function() {
+          testApp.state("QUIZ", { unhandled: function() {} });
+
+          var subject = JSON.parse(testApp.interactionModel());
+          expect(subject.interactionModel.languageModel.intents).to.eql([{
+            "name": "AMAZON.FallbackIntent",
+            "samples": []
+          }]);
+        });
+      });
+    });
+
+    describe("request#intentName", function() {
+      it("returns the name of the intent", function() {
+        expect(Alexa.request(mockRequest).intentName()).to.eq("airportInfoIntent");
+      });
+
+      it("returns nothing for a launch request", function() {
+        expect(Alexa.request(mockHelper.load("intent_request_launch.json")).intentName()).to.be.undefined;
+      });
+    });
+  });
+});
@@ -0,0 +1,126 @@
+/*jshint expr: true*/
+"use strict";
+var chai = require("chai");
+var chaiAsPromised = require("chai-as-promised");
+chai.use(chaiAsPromised);
+var expect = chai.expect;
+chai.config.includeStack = true;
+
+describe("Alexa", function() {
+  var Alexa = require("../index");
+
+  describe("app", function() {
+    var testApp;
+
+    beforeEach(function() {
+      testApp = new Alexa.app("testApp");
+    });
+
+    describe("#match", function() {
+      beforeEach(function() {
+        testApp.dictionary = { "cities": ["new york", "boston"] };
+        testApp.customSlotType("FOOD", [{ "value": "pizza", "synonyms": ["pie"] }, "pasta"]);
+
+        testApp.intent("airportInfoIntent", {
+          "slots": { "AirportCode": "FAACODES", "Date": "AMAZON.DATE" },
+          "utterances": ["what is the status of {-|AirportCode}", "status of {-|AirportCode} {on|for} {-|Date}"]
+        });
+        testApp.intent("flyIntent", {
+          "slots": { "City": "AMAZON.US_CITY" },
+          "utterances": ["fly to {cities|City}"]
+        });
+        testApp.intent("orderIntent", {
+          "slots": { "Food": "FOOD" },
+          "utterances": ["{|I want to} order {-|Food}"]
+        });
+        testApp.intent("orderDrinkIntent", {
+          "slots": { "Drink": "DRINK" },
+          "utterances": ["order {-|Drink}"]
+        });
+        testApp.intent("helpIntent", {
+          "utterances": ["help", "what can I do"]
+        });
+      });
+
+      it("matches a sentence without slots", function() {
+        expect(testApp.match("What can I do?")).to.eql({
+          "intent": "helpIntent",
+          "slots": {},
+          "utterance": "what can I do"
+        });
+      });
+
+      it("extracts the slot values", function() {
+        expect(testApp.match("status of JFK for next Monday")).to.eql({
+          "intent": "airportInfoIntent",
+          "slots": { "AirportCode": "JFK", "Date": "next Monday" },
+          "utterance": "status of {AirportCode} for {Date}"
+        });
+      });
+
+      it("matches any value of a slot", function() {
+        expect(testApp.match("fly to Seattle").slots).to.eql({ "City": "Seattle" });
+      });
+
+      it("prefers the intent knowing the slot value", function() {
+        expect(testApp.match("order pasta").intent).to.equal("orderIntent");
+        expect(testApp.match("order pie").intent).to.equal("orderIntent");
+        expect(testApp.match("I want to order pizza").intent).to.equal("orderIntent");
+      });
+
+      it("prefers the intent with more words", function() {
+        testApp.intent("orderDrinkIntent", {
+          "slots": { "Drink": "DRINK" },
+          "utterances": ["order {-|Drink} to drink"]
+        });
+
+        expect(testApp.match("order water to drink")).to.eql({
+          "intent": "orderDrinkIntent",
+          "slots": { "Drink": "water" },
+          "utterance": "order {Drink} to drink"
+        });
+      });
+
+      it("returns undefined without a matching sample utterance", function() {
+        expect(testApp.match("book a table")).to.be.undefined;
+      });
+    });
+
+    describe("#overlappingUtterances", function() {
+      it("returns nothing without overlaps", function() {
+        testApp.intent("helpIntent", { "utterances": ["help"] });
+        testApp.intent("stopIntent", { "utterances": ["stop"] });
+
+        expect(testApp.overlappingUtterances()).to.eql([]);
+      });
+
+      it("detects the same sample utterance in several intents", function() {
+        testApp.intent("stopIntent", { "utterances": ["{stop|quit}"] });
+        testApp.intent("cancelIntent", { "utterances": ["cancel", "stop"] });
+        testApp.intent("exitIntent", { "utterances": ["Stop!"] });
+
+        expect(testApp.overlappingUtterances()).to.eql([
+          { "utterance": "stop", "intents": ["stopIntent", "cancelIntent", "exitIntent"] }
+        ]);
+      });
+
+      it("detects sample utterances with the same slots", function() {
+        testApp.intent("playIntent", { "slots": { "Song": "SONG" }, "utterances": ["play {-|Song}"] });
+        testApp.intent("playAlbumIntent", { "slots": { "Song": "ALBUM" }, "utterances": ["play {-|Song}"] });
+
+        expect(testApp.overlappingUtterances()).to.eql([
+          { "utterance": "play {Song}", "intents": ["playIntent", "playAlbumIntent"] }
+        ]);
+      });
+
+      it("detects sample utterances matching a sample utterance with slots", function() {
+        testApp.intent("playIntent", { "slots": { "Song": "SONG" }, "utterances": ["play {-|Song}"] });
+        testApp.intent("shuffleIntent", { "utterances": ["play something"] });
+
+        expect(testApp.overlappingUtterances()).to.eql([
+          { "utterance": "play something", "intents": ["shuffleIntent", "playIntent"] }
+        ]);
+      });
+    });
+  });
+});
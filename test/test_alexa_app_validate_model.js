@@ -0,0 +1,180 @@
+/*jshint expr: true*/
+"use strict";
+var chai = require("chai");
+var chaiAsPromised = require("chai-as-promised");
+chai.use(chaiAsPromised);
+var expect = chai.expect;
+chai.config.includeStack = true;
+
+describe("Alexa", function() {
+  var Alexa = require("../index");
+
+  describe("app", function() {
+    var testApp;
+
+    var codes = function(problems) {
+      return problems.map(function(problem) {
+        return problem.code;
+      });
+    };
+
+    beforeEach(function() {
+      testApp = new Alexa.app("airport info");
+    });
+
+    describe("#validateModel", function() {
+      it("returns no problems for a valid model", function() {
+        testApp.customSlotType("FAACODES", ["JFK", "SFO"]);
+        testApp.intent("airportInfoIntent", {
+          "slots": { "AirportCode": "FAACODES", "Date": "AMAZON.DATE" },
+          "utterances": ["what is the status of {-|AirportCode}", "what is the status of {-|AirportCode} on {-|Date}"]
+        });
+        testApp.intent("AMAZON.HelpIntent");
+
+        expect(testApp.validateModel()).to.eql({ "errors": [], "warnings": [] });
+      });
+
+      it("reports duplicate utterances across intents", function() {
+        testApp.intent("stopIntent", { "utterances": ["stop"] });
+        testApp.intent("quitIntent", { "utterances": ["{stop|quit}"] });
+
+        expect(testApp.validateModel().errors).to.eql([{
+          "code": "DUPLICATE_UTTERANCE",
+          "message": "Utterance \"stop\" is used by the intents stopIntent, quitIntent.",
+          "intents": ["stopIntent", "quitIntent"],
+          "utterance": "stop"
+        }]);
+      });
+
+      it("warns about overlapping utterances across intents", function() {
+        testApp.customSlotType("SONG", ["yesterday"]);
+        testApp.intent("playIntent", { "slots": { "Song": "SONG" }, "utterances": ["play {-|Song}"] });
+        testApp.intent("shuffleIntent", { "utterances": ["play something"] });
+
+        var result = testApp.validateModel();
+        expect(result.errors).to.eql([]);
+        expect(codes(result.warnings)).to.eql(["OVERLAPPING_UTTERANCE"]);
+        expect(result.warnings[0].intents).to.eql(["shuffleIntent", "playIntent"]);
+      });
+
+      it("reports slots in utterances missing from the schema slots", function() {
+        testApp.intent("flyIntent", {
+          "slots": { "City": "AMAZON.US_CITY" },
+          "utterances": ["fly to {-|Town}", "fly to {City}", "fly to {-|City}"]
+        });
+
+        var errors = testApp.validateModel().errors;
+        expect(codes(errors)).to.eql(["UNKNOWN_SLOT", "UNKNOWN_SLOT"]);
+        expect(errors[0].message).to.equal("Utterance \"fly to {-|Town}\" of intent \"flyIntent\" uses the slot \"Town\" which isn't in its schema slots.");
+        expect(errors[1].message).to.equal("Utterance \"fly to {City}\" of intent \"flyIntent\" uses {City} which isn't expanded to a slot, use {-|City} instead.");
+      });
+
+      it("warns about unknown built-in slot types", function() {
+        testApp.intent("numberIntent", {
+          "slots": { "Number": "AMAZON.NUMBERS" },
+          "utterances": ["pick {-|Number}"]
+        });
+
+        expect(testApp.validateModel()).to.eql({ "errors": [], "warnings": [{
+          "code": "UNKNOWN_SLOT_TYPE",
+          "message": "Slot \"Number\" of intent \"numberIntent\" has the unknown built-in type \"AMAZON.NUMBERS\".",
+          "intent": "numberIntent",
+          "slot": "Number",
+          "type": "AMAZON.NUMBERS"
+        }] });
+      });
+
+      it("accepts newer built-in slot types", function() {
+        testApp.intent("weatherIntent", {
+          "slots": { "City": "AMAZON.City" },
+          "utterances": ["what is the weather in {-|City}"]
+        });
+
+        expect(testApp.validateModel({ "invocationName": "airport info" })).to.eql({ "errors": [], "warnings": [] });
+      });
+
+      it("reports invalid characters in utterances and names", function() {
+        testApp.intent("pick_number2", {
+          "slots": { "Number": "AMAZON.NUMBER" },
+          "utterances": ["pick 1 or {-|Number}!", "pick the number's value", "pick e.g. {-|Number}"]
+        });
+
+        var errors = testApp.validateModel().errors;
+        expect(codes(errors)).to.eql(["INVALID_NAME", "INVALID_CHARACTERS"]);
+        expect(errors[1].message).to.equal("Utterance \"pick 1 or {Number}!\" of intent \"pick_number2\" contains the invalid characters \"1!\".");
+      });
+
+      it("reports intents without utterances", function() {
+        testApp.intent("emptyIntent", {});
+
+        expect(codes(testApp.validateModel().errors)).to.eql(["NO_UTTERANCES"]);
+      });
+
+      it("reports too many utterances", function() {
+        testApp.intent("pickIntent", { "utterances": ["pick {a|b|c} {d|e|f}"] });
+
+        expect(codes(testApp.validateModel({ "maxUtterances": 8 }).errors)).to.eql(["TOO_MANY_UTTERANCES"]);
+        expect(testApp.validateModel({ "maxUtterances": 9 }).errors).to.eql([]);
+      });
+
+      it("reports empty custom slot types", function() {
+        testApp.customSlotType("FOOD", []);
+        testApp.intent("orderIntent", {
+          "slots": { "Food": "FOOD", "Drink": "DRINK" },
+          "utterances": ["order {-|Food} and {-|Drink}"]
+        });
+
+        var errors = testApp.validateModel().errors;
+        expect(codes(errors)).to.eql(["EMPTY_SLOT_TYPE", "EMPTY_SLOT_TYPE"]);
+        expect(errors[0].message).to.equal("Slot \"Drink\" of intent \"orderIntent\" has the custom type \"DRINK\" without values.");
+        expect(errors[1].message).to.equal("Custom slot type \"FOOD\" has no values.");
+      });
+
+      describe("invocation name", function() {
+        it("reports invalid characters", function() {
+          var errors = testApp.validateModel({ "invocationName": "Airport Info 2" }).errors;
+
+          expect(codes(errors)).to.eql(["INVALID_INVOCATION_NAME"]);
+          expect(errors[0].invocationName).to.equal("Airport Info 2");
+        });
+
+        it("reports launch phrases, connecting words and wake words", function() {
+          var errors = testApp.validateModel({ "invocationName": "ask alexa to airports" }).errors;
+
+          expect(errors.map(function(error) {
+            return error.message;
+          })).to.eql([
+            "Invocation name \"ask alexa to airports\" may not contain \"ask\".",
+            "Invocation name \"ask alexa to airports\" may not contain \"alexa\".",
+            "Invocation name \"ask alexa to airports\" may not contain \"to\"."
+          ]);
+        });
+
+        it("reports the words skill and app", function() {
+          var errors = testApp.validateModel({ "invocationName": "airport skill app" }).errors;
+
+          expect(errors.map(function(error) {
+            return error.message;
+          })).to.eql([
+            "Invocation name \"airport skill app\" may not contain \"skill\".",
+            "Invocation name \"airport skill app\" may not contain \"app\"."
+          ]);
+        });
+
+        it("accepts ordinary words", function() {
+          expect(testApp.validateModel({ "invocationName": "facts about cats" }).errors).to.eql([]);
+        });
+
+        it("reports invocation names which are too long", function() {
+          var errors = testApp.validateModel({ "invocationName": new Array(52).join("a") }).errors;
+
+          expect(codes(errors)).to.eql(["INVALID_INVOCATION_NAME"]);
+        });
+
+        it("warns about a single word", function() {
+          expect(codes(testApp.validateModel({ "invocationName": "airports" }).warnings)).to.eql(["ONE_WORD_INVOCATION_NAME"]);
+        });
+      });
+    });
+  });
+});
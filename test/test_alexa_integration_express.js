@@ -130,6 +130,15 @@ describe("Alexa", function() {
             expect(response.text).to.eq(testApp.utterances());
           });
       });
+
+      it("returns debug interaction model", function() {
+        return request(testServer)
+          .get('/testApp?interactionModel')
+          .expect(200).then(function(response) {
+            expect(response.headers['content-type']).to.equal('text/plain; charset=utf-8');
+            expect(response.text).to.eq(testApp.interactionModel());
+          });
+      });
     });
 
     context("#express with debug set to false", function() {
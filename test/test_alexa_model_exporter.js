@@ -0,0 +1,160 @@
+/*jshint expr: true*/
+"use strict";
+var chai = require("chai");
+var chaiAsPromised = require("chai-as-promised");
+var childProcess = require("child_process");
+var fs = require("fs");
+var os = require("os");
+var path = require("path");
+chai.use(chaiAsPromised);
+var expect = chai.expect;
+chai.config.includeStack = true;
+
+describe("Alexa", function() {
+  var ModelExporter = require("../lib").ModelExporter;
+  var app = require("./fixtures/apps/airport_info");
+  var directory = path.join(os.tmpdir(), "alexa-app-models-" + process.pid);
+
+  var removeDirectory = function(dir) {
+    if (fs.existsSync(dir)) {
+      fs.readdirSync(dir).forEach(function(file) {
+        if (fs.statSync(path.join(dir, file)).isDirectory()) {
+          removeDirectory(path.join(dir, file));
+        } else {
+          fs.unlinkSync(path.join(dir, file));
+        }
+      });
+      fs.rmdirSync(dir);
+    }
+  };
+
+  afterEach(function() {
+    removeDirectory(directory);
+  });
+
+  describe("ModelExporter", function() {
+    it("requires an application", function() {
+      expect(function() {
+        new ModelExporter();
+      }).to.throw("You must specify the application to export.");
+    });
+
+    it("exports the model files", function() {
+      var files = new ModelExporter(app).files();
+
+      expect(Object.keys(files)).to.eql([
+        "IntentSchema.json",
+        "SampleUtterances.txt",
+        "InteractionModel.json",
+        path.join("customSlotTypes", "FAACODES.txt")
+      ]);
+      expect(files["IntentSchema.json"]).to.equal(app.schema() + "\n");
+      expect(files["SampleUtterances.txt"]).to.equal("airportInfoIntent\twhat is the status of {AirportCode}\n");
+      expect(files[path.join("customSlotTypes", "FAACODES.txt")]).to.equal("JFK\nSFO\n");
+    });
+
+    it("uses the invocation name", function() {
+      var files = new ModelExporter(app, { "invocationName": "airport status" }).files();
+
+      expect(JSON.parse(files["InteractionModel.json"]).interactionModel.languageModel.invocationName).to.equal("airport status");
+    });
+
+    it("exports a subdirectory per locale", function() {
+      var files = new ModelExporter(app, { "locales": ["en-US", "en-GB"] }).files();
+
+      expect(Object.keys(files)).to.include(path.join("en-US", "IntentSchema.json"));
+      expect(Object.keys(files)).to.include(path.join("en-GB", "customSlotTypes", "FAACODES.txt"));
+      expect(Object.keys(files)).not.to.include("IntentSchema.json");
+    });
+
+    it("exports the localized utterances of every locale", function() {
+      var Alexa = require("../index");
+      var localizedApp = new Alexa.app("greeter");
+      localizedApp.intent("greetIntent", { "utterances": { "en-US": ["hello"], "de-DE": ["hallo"] } });
+
+      var files = new ModelExporter(localizedApp, { "locales": ["en-US", "de-DE"] }).files();
+
+      expect(files[path.join("en-US", "SampleUtterances.txt")]).to.equal("greetIntent\thello\n");
+      expect(files[path.join("de-DE", "SampleUtterances.txt")]).to.equal("greetIntent\thallo\n");
+      expect(JSON.parse(files[path.join("de-DE", "InteractionModel.json")]).interactionModel.languageModel.intents[0].samples).to.eql(["hallo"]);
+    });
+
+    it("writes the model files and checks them", function() {
+      var exporter = new ModelExporter(app, { "locales": ["en-US"] });
+
+      return exporter.write(directory)
+        .then(function() {
+          expect(fs.readFileSync(path.join(directory, "en-US", "customSlotTypes", "FAACODES.txt"), "utf8")).to.equal("JFK\nSFO\n");
+
+          return exporter.check(directory);
+        })
+        .then(function(outdated) {
+          expect(outdated).to.eql([]);
+
+          fs.writeFileSync(path.join(directory, "en-US", "customSlotTypes", "FAACODES.txt"), "JFK\n");
+          fs.unlinkSync(path.join(directory, "en-US", "IntentSchema.json"));
+
+          return exporter.check(directory);
+        })
+        .then(function(outdated) {
+          expect(outdated).to.eql([{
+            "file": path.join("en-US", "IntentSchema.json"),
+            "actual": null,
+            "expected": app.schema() + "\n"
+          }, {
+            "file": path.join("en-US", "customSlotTypes", "FAACODES.txt"),
+            "actual": "JFK\n",
+            "expected": "JFK\nSFO\n"
+          }]);
+        });
+    });
+  });
+
+  describe("alexa-app command", function() {
+    this.timeout(10000);
+
+    var run = function(args, callback) {
+      childProcess.execFile(process.execPath, [path.join(__dirname, "../bin/alexa-app")].concat(args), callback);
+    };
+    var appModule = path.join(__dirname, "fixtures/apps/airport_info.js");
+
+    it("writes the model files", function(done) {
+      run([appModule, directory, "--locale", "en-US"], function(error, stdout) {
+        expect(error).to.be.null;
+        expect(stdout).to.contain("Wrote " + path.join(directory, "en-US", "InteractionModel.json"));
+        expect(fs.existsSync(path.join(directory, "en-US", "SampleUtterances.txt"))).to.be.true;
+        done();
+      });
+    });
+
+    it("fails the check with the differences", function(done) {
+      run([appModule, directory], function() {
+        fs.writeFileSync(path.join(directory, "customSlotTypes", "FAACODES.txt"), "JFK\nLAX\n");
+
+        run([appModule, directory, "--check"], function(error, stdout, stderr) {
+          expect(error.code).to.equal(1);
+          expect(stderr).to.equal(path.join(directory, "customSlotTypes", "FAACODES.txt") + " is out of date:\n@@ line 2 @@\n- LAX\n+ SFO\n");
+          done();
+        });
+      });
+    });
+
+    it("passes the check of up to date files", function(done) {
+      run([appModule, directory], function() {
+        run([appModule, directory, "--check"], function(error, stdout) {
+          expect(error).to.be.null;
+          expect(stdout).to.equal("The model files in " + directory + " are up to date.\n");
+          done();
+        });
+      });
+    });
+
+    it("requires a module exporting an Application", function(done) {
+      run([path.join(__dirname, "helpers/mock_helper.js"), directory], function(error, stdout, stderr) {
+        expect(error.code).to.equal(1);
+        expect(stderr).to.contain("doesn't export an Application.");
+        done();
+      });
+    });
+  });
+});
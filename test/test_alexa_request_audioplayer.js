@@ -0,0 +1,77 @@
+/*jshint expr: true*/
+"use strict";
+var chai = require("chai");
+var chaiAsPromised = require("chai-as-promised");
+var mockHelper = require("./helpers/mock_helper");
+chai.use(chaiAsPromised);
+var expect = chai.expect;
+chai.config.includeStack = true;
+
+describe("Alexa", function() {
+  var Alexa = require("../index");
+
+  describe("request", function() {
+    describe("#audioPlayer", function() {
+      it("returns the AudioPlayer state of the context", function() {
+        var mockRequest = mockHelper.load("intent_request_airport_info.json");
+
+        mockRequest.context.AudioPlayer = { "token": "episode-1", "offsetInMilliseconds": 5000, "playerActivity": "PAUSED" };
+
+        expect(Alexa.request(mockRequest).audioPlayer()).to.eql({
+          "token": "episode-1",
+          "offsetInMilliseconds": 5000,
+          "playerActivity": "PAUSED"
+        });
+      });
+
+      it("returns the activity of an idle AudioPlayer", function() {
+        var mockRequest = mockHelper.load("intent_request_airport_info.json");
+
+        mockRequest.context.AudioPlayer = { "playerActivity": "IDLE" };
+
+        expect(Alexa.request(mockRequest).audioPlayer()).to.eql({
+          "token": undefined,
+          "offsetInMilliseconds": undefined,
+          "playerActivity": "IDLE"
+        });
+      });
+
+      it("returns the stream of an AudioPlayer event", function() {
+        var mockRequest = mockHelper.load("audio_player_events/playback_stopped.json");
+
+        expect(Alexa.request(mockRequest).audioPlayer()).to.eql({
+          "token": "THIS_IS_SOME_RANDOM_STRING",
+          "offsetInMilliseconds": 1234567,
+          "playerActivity": undefined
+        });
+
+        mockRequest.context.AudioPlayer = { "token": "another-stream", "offsetInMilliseconds": 0, "playerActivity": "STOPPED" };
+
+        expect(Alexa.request(mockRequest).audioPlayer()).to.eql({
+          "token": "THIS_IS_SOME_RANDOM_STRING",
+          "offsetInMilliseconds": 1234567,
+          "playerActivity": "STOPPED"
+        });
+      });
+
+      it("returns undefined without AudioPlayer state", function() {
+        expect(Alexa.request(mockHelper.load("intent_request_airport_info.json")).audioPlayer()).to.be.undefined;
+      });
+    });
+  });
+
+  describe("response", function() {
+    describe("#audioPlayerEnqueue", function() {
+      it("enqueues after the stream of an AudioPlayer event", function() {
+        var testApp = new Alexa.app("testApp");
+
+        testApp.audioPlayer("PlaybackNearlyFinished", function(req, res) {
+          res.audioPlayerEnqueue({ "url": "https://example.com/next.mp3", "token": "next" });
+        });
+
+        return expect(testApp.request(mockHelper.load("audio_player_events/playback_nearly_finished.json")))
+          .to.eventually.have.deep.property("response.directives[0].audioItem.stream.expectedPreviousToken", "THIS_IS_SOME_RANDOM_STRING");
+      });
+    });
+  });
+});
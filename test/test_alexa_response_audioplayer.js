@@ -0,0 +1,133 @@
+/*jshint expr: true*/
+"use strict";
+var chai = require("chai");
+var mockHelper = require("./helpers/mock_helper");
+var expect = chai.expect;
+chai.config.includeStack = true;
+
+describe("Alexa", function() {
+  var Alexa = require("../index");
+
+  describe("response", function() {
+    var request;
+    var response;
+    var directives = function() {
+      return response.response.response.directives;
+    };
+
+    beforeEach(function() {
+      var mockRequest = mockHelper.load("intent_audioplayer.json");
+
+      mockRequest.context.AudioPlayer = { "token": "a", "offsetInMilliseconds": 5000, "playerActivity": "PLAYING" };
+      request = Alexa.request(mockRequest);
+      response = Alexa.response(request.getSession(), request);
+    });
+
+    describe("#audioPlayerPlayStream", function() {
+      var play = function(playBehavior, stream) {
+        return function() {
+          response.audioPlayerPlayStream(playBehavior, stream);
+        };
+      };
+
+      it("requires a valid playBehavior", function() {
+        expect(play("PLAY", { "url": "https://example.com/a.mp3", "token": "a" }))
+          .to.throw("Invalid playBehavior \"PLAY\", use one of ENQUEUE, REPLACE_ALL, REPLACE_ENQUEUED.");
+      });
+
+      it("requires a token", function() {
+        expect(play("REPLACE_ALL", { "url": "https://example.com/a.mp3" })).to.throw("The stream has no token.");
+        expect(play("REPLACE_ALL", { "url": "https://example.com/a.mp3", "token": new Array(1026).join("a") }))
+          .to.throw("The token of the stream is longer than 1024 characters.");
+      });
+
+      it("requires a https url", function() {
+        expect(play("REPLACE_ALL", { "url": "http://example.com/a.mp3", "token": "a" }))
+          .to.throw("The url \"http://example.com/a.mp3\" of the stream isn't a https url.");
+        expect(play("REPLACE_ALL", { "token": "a" })).to.throw("The url \"undefined\" of the stream isn't a https url.");
+      });
+
+      it("requires a positive offset", function() {
+        expect(play("REPLACE_ALL", { "url": "https://example.com/a.mp3", "token": "a", "offsetInMilliseconds": -1 }))
+          .to.throw("The offsetInMilliseconds -1 of the stream isn't a positive number.");
+      });
+
+      it("requires the expectedPreviousToken to enqueue", function() {
+        expect(play("ENQUEUE", { "url": "https://example.com/a.mp3", "token": "a" }))
+          .to.throw("A stream is only enqueued with the expectedPreviousToken of the stream playing.");
+        expect(play("REPLACE_ALL", { "url": "https://example.com/a.mp3", "token": "a", "expectedPreviousToken": "b" }))
+          .to.throw("The expectedPreviousToken of the stream is only allowed with the ENQUEUE playBehavior, not REPLACE_ALL.");
+      });
+
+      it("doesn't add an invalid directive", function() {
+        expect(play("ENQUEUE", { "url": "https://example.com/a.mp3", "token": "a" })).to.throw(Error);
+        expect(directives()).to.eql([]);
+      });
+    });
+
+    describe("#audioPlayerClearQueue", function() {
+      it("requires a valid clearBehavior", function() {
+        expect(function() {
+          response.audioPlayerClearQueue("CLEAR_SOME");
+        }).to.throw("Invalid clearBehavior \"CLEAR_SOME\", use one of CLEAR_ALL, CLEAR_ENQUEUED.");
+      });
+    });
+
+    describe("#audioPlayerReplaceAll", function() {
+      it("plays a stream from the start", function() {
+        response.audioPlayerReplaceAll({ "url": "https://example.com/a.mp3", "token": "a" });
+
+        expect(directives()).to.eql([{
+          "type": "AudioPlayer.Play",
+          "playBehavior": "REPLACE_ALL",
+          "audioItem": {
+            "stream": { "url": "https://example.com/a.mp3", "token": "a", "offsetInMilliseconds": 0 }
+          }
+        }]);
+      });
+    });
+
+    describe("#audioPlayerReplaceEnqueued", function() {
+      it("plays a stream from the offset", function() {
+        response.audioPlayerReplaceEnqueued({ "url": "https://example.com/a.mp3", "token": "a", "offsetInMilliseconds": 5000 });
+
+        expect(directives()[0].playBehavior).to.equal("REPLACE_ENQUEUED");
+        expect(directives()[0].audioItem.stream.offsetInMilliseconds).to.equal(5000);
+      });
+    });
+
+    describe("#audioPlayerEnqueue", function() {
+      it("infers the expectedPreviousToken from the AudioPlayer context", function() {
+        response.audioPlayerEnqueue({ "url": "https://example.com/b.mp3", "token": "b" });
+
+        expect(directives()).to.eql([{
+          "type": "AudioPlayer.Play",
+          "playBehavior": "ENQUEUE",
+          "audioItem": {
+            "stream": {
+              "url": "https://example.com/b.mp3",
+              "token": "b",
+              "offsetInMilliseconds": 0,
+              "expectedPreviousToken": "a"
+            }
+          }
+        }]);
+      });
+
+      it("keeps the expectedPreviousToken of the stream", function() {
+        response.audioPlayerEnqueue({ "url": "https://example.com/b.mp3", "token": "b", "expectedPreviousToken": "c" });
+
+        expect(directives()[0].audioItem.stream.expectedPreviousToken).to.equal("c");
+      });
+
+      it("requires an expectedPreviousToken without AudioPlayer context", function() {
+        request = Alexa.request(mockHelper.load("intent_request_airport_info.json"));
+        response = Alexa.response(request.getSession(), request);
+
+        expect(function() {
+          response.audioPlayerEnqueue({ "url": "https://example.com/b.mp3", "token": "b" });
+        }).to.throw("A stream is only enqueued with the expectedPreviousToken of the stream playing.");
+      });
+    });
+  });
+});
@@ -0,0 +1,180 @@
+/*jshint expr: true*/
+"use strict";
+var chai = require("chai");
+var chaiAsPromised = require("chai-as-promised");
+chai.use(chaiAsPromised);
+var expect = chai.expect;
+chai.config.includeStack = true;
+
+describe("Alexa", function() {
+  var Alexa = require("../index");
+
+  describe("simulator", function() {
+    var testApp;
+    var simulator;
+    var requests;
+
+    beforeEach(function() {
+      testApp = new Alexa.app("testApp");
+      requests = [];
+
+      testApp.pre = function(req) {
+        requests.push(JSON.parse(JSON.stringify(req.data)));
+      };
+
+      testApp.launch(function(req, res) {
+        res.say("Welcome!").reprompt("What do you want to know?").shouldEndSession(false);
+      });
+
+      testApp.intent("airportInfoIntent", {
+        "slots": { "AirportCode": "FAACODES", "Date": "AMAZON.DATE" },
+        "utterances": ["what is the status of {-|AirportCode}", "status of {-|AirportCode} on {-|Date}"]
+      }, function(req, res) {
+        var count = (req.session("count") || 0) + 1;
+        res.session("count", count);
+        res.say("Checking " + req.slot("AirportCode") + ", request " + count)
+          .card({ "type": "Simple", "title": "Airport", "content": req.slot("AirportCode") })
+          .shouldEndSession(false);
+      });
+
+      testApp.intent("bookIntent", {
+        "slots": { "City": "AMAZON.US_CITY" }
+      }, function(req, res) {
+        res.elicitSlot("City", "Where to?");
+      });
+
+      testApp.intent("AMAZON.StopIntent", {
+        "utterances": ["stop"]
+      }, function(req, res) {
+        res.say("Goodbye");
+      });
+
+      simulator = Alexa.simulator(testApp);
+    });
+
+    it("requires an application", function() {
+      expect(function() {
+        Alexa.simulator();
+      }).to.throw("You must specify the application to simulate.");
+    });
+
+    it("sends a LaunchRequest opening a new session", function() {
+      return simulator.launch().then(function(response) {
+        response.expectSpeech("Welcome!").expectReprompt(/want to know/).expectSessionEnded(false);
+
+        var request = requests[0];
+        expect(request.request.type).to.equal("LaunchRequest");
+        expect(request.request.locale).to.equal("en-US");
+        expect(request.request.requestId).to.match(/^amzn1\.echo-api\.request\./);
+        expect(request.session.new).to.be.true;
+        expect(request.session.user.userId).to.equal(request.context.System.user.userId);
+        expect(simulator.hasSession()).to.be.true;
+      });
+    });
+
+    it("sends an IntentRequest with every slot of the schema", function() {
+      return simulator.intent("airportInfoIntent", { "AirportCode": "JFK" }).then(function(response) {
+        response.expectSpeech("Checking JFK, request 1").expectCard({ "title": "Airport", "content": "JFK" });
+
+        var intent = requests[0].request.intent;
+        expect(intent.name).to.equal("airportInfoIntent");
+        expect(intent.slots.AirportCode).to.eql({ "name": "AirportCode", "value": "JFK", "confirmationStatus": "NONE" });
+        expect(intent.slots.Date).to.eql({ "name": "Date", "confirmationStatus": "NONE" });
+      });
+    });
+
+    it("carries the session attributes into the next request", function() {
+      return simulator.launch()
+        .then(function() {
+          return simulator.intent("airportInfoIntent", { "AirportCode": "JFK" });
+        })
+        .then(function() {
+          return simulator.intent("airportInfoIntent", { "AirportCode": "SFO" });
+        })
+        .then(function(response) {
+          response.expectSpeech("Checking SFO, request 2");
+
+          expect(requests[2].session.new).to.be.false;
+          expect(requests[2].session.sessionId).to.equal(requests[0].session.sessionId);
+          expect(requests[2].session.attributes).to.eql({ "count": 1 });
+          expect(simulator.sessionAttributes).to.eql({ "count": 2 });
+        });
+    });
+
+    it("starts a new session after a response ending the session", function() {
+      return simulator.launch()
+        .then(function() {
+          return simulator.say("stop");
+        })
+        .then(function(response) {
+          response.expectSpeech("Goodbye").expectSessionEnded();
+          expect(simulator.hasSession()).to.be.false;
+
+          return simulator.intent("airportInfoIntent", { "AirportCode": "JFK" });
+        })
+        .then(function() {
+          expect(requests[2].session.new).to.be.true;
+          expect(requests[2].session.sessionId).not.to.equal(requests[0].session.sessionId);
+          expect(requests[2].session.attributes).to.eql({});
+        });
+    });
+
+    it("sends a SessionEndedRequest", function() {
+      return simulator.launch()
+        .then(function() {
+          return simulator.end();
+        })
+        .then(function() {
+          expect(requests[1].request.type).to.equal("SessionEndedRequest");
+          expect(requests[1].request.reason).to.equal("USER_INITIATED");
+          expect(simulator.hasSession()).to.be.false;
+        });
+    });
+
+    describe("#say", function() {
+      it("matches an utterance with slots", function() {
+        return simulator.say("Status of JFK on tomorrow?").then(function(response) {
+          response.expectSpeech("Checking JFK, request 1");
+
+          expect(requests[0].request.intent.slots.Date.value).to.equal("tomorrow");
+        });
+      });
+
+      it("rejects an utterance no intent matches", function() {
+        return expect(simulator.say("order a pizza")).to.be.rejectedWith("No intent matches the utterance \"order a pizza\".");
+      });
+    });
+
+    describe("assertions", function() {
+      it("checks directives", function() {
+        return simulator.intent("bookIntent").then(function(response) {
+          response.expectDirective("Dialog.ElicitSlot", { "slotToElicit": "City" });
+
+          expect(function() {
+            response.expectDirective("Dialog.Delegate");
+          }).to.throw("Expected a Dialog.Delegate directive but got Dialog.ElicitSlot.");
+          expect(function() {
+            response.expectDirective("Dialog.ElicitSlot", { "slotToElicit": "Date" });
+          }).to.throw("Expected Dialog.ElicitSlot directive slotToElicit \"Date\" but got \"City\".");
+        });
+      });
+
+      it("throws on unexpected speech, reprompt, card and session", function() {
+        return simulator.say("stop").then(function(response) {
+          expect(function() {
+            response.expectSpeech("Hello");
+          }).to.throw("Expected speech Hello but got \"Goodbye\".");
+          expect(function() {
+            response.expectReprompt(/again/);
+          }).to.throw("Expected reprompt /again/ but got \"undefined\".");
+          expect(function() {
+            response.expectCard();
+          }).to.throw("Expected a card but the response has none.");
+          expect(function() {
+            response.expectSessionEnded(false);
+          }).to.throw("Expected the session to stay open but it ends.");
+        });
+      });
+    });
+  });
+});
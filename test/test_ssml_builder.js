@@ -0,0 +1,92 @@
+/*jshint expr: true*/
+"use strict";
+var chai = require("chai");
+var chaiAsPromised = require("chai-as-promised");
+var mockHelper = require("./helpers/mock_helper");
+chai.use(chaiAsPromised);
+var expect = chai.expect;
+chai.config.includeStack = true;
+
+describe("Alexa", function() {
+  var Alexa = require("../index");
+
+  describe("ssml", function() {
+    it("wraps the SSML in speak tags", function() {
+      expect(Alexa.ssml().text("Hello").toString()).to.equal("<speak>Hello</speak>");
+      expect(Alexa.ssml().toString()).to.equal("<speak></speak>");
+    });
+
+    it("escapes text", function() {
+      expect(Alexa.ssml().text("Tom & Jerry <3").toString()).to.equal("<speak>Tom &amp; Jerry &lt;3</speak>");
+    });
+
+    it("builds every tag", function() {
+      var ssml = Alexa.ssml()
+        .text("Your code is")
+        .sayAs("digits", "123")
+        .pause(500)
+        .pause("1s")
+        .pause("strong")
+        .emphasis("strong", "really")
+        .prosody({ "rate": "slow", "pitch": "+10%" }, "slowly")
+        .audio("https://example.com/a.mp3?a=1&b=2")
+        .phoneme("ipa", "pɪˈkɑːn", "pecan")
+        .sub("World Wide Web Consortium", "W3C")
+        .sayAs("date", "20170102", "ymd")
+        .paragraph("A paragraph.")
+        .sentence("A sentence.");
+
+      expect(ssml.toString()).to.equal("<speak>" +
+        "Your code is " +
+        "<say-as interpret-as=\"digits\">123</say-as> " +
+        "<break time=\"500ms\"/> " +
+        "<break time=\"1s\"/> " +
+        "<break strength=\"strong\"/> " +
+        "<emphasis level=\"strong\">really</emphasis> " +
+        "<prosody rate=\"slow\" pitch=\"+10%\">slowly</prosody> " +
+        "<audio src=\"https://example.com/a.mp3?a=1&amp;b=2\"/> " +
+        "<phoneme alphabet=\"ipa\" ph=\"pɪˈkɑːn\">pecan</phoneme> " +
+        "<sub alias=\"World Wide Web Consortium\">W3C</sub> " +
+        "<say-as interpret-as=\"date\" format=\"ymd\">20170102</say-as> " +
+        "<p>A paragraph.</p> " +
+        "<s>A sentence.</s>" +
+        "</speak>");
+    });
+
+    it("escapes attribute values and content", function() {
+      expect(Alexa.ssml().sub("\"quoted\" & <tagged>", "a < b").toString())
+        .to.equal("<speak><sub alias=\"&quot;quoted&quot; &amp; &lt;tagged&gt;\">a &lt; b</sub></speak>");
+    });
+
+    it("nests builders", function() {
+      var ssml = Alexa.ssml().paragraph(
+        Alexa.ssml().sentence("First & foremost.").sentence(Alexa.ssml().emphasis("moderate", "Second"))
+      );
+
+      expect(ssml.toString()).to.equal("<speak><p><s>First &amp; foremost.</s> <s><emphasis level=\"moderate\">Second</emphasis></s></p></speak>");
+    });
+
+    describe("in a response", function() {
+      var testApp;
+      var mockRequest;
+
+      beforeEach(function() {
+        testApp = new Alexa.app("testApp");
+        mockRequest = mockHelper.load("intent_request_airport_info.json");
+      });
+
+      it("is said and reprompted", function() {
+        testApp.intent("airportInfoIntent", function(req, res) {
+          res.say("Checking")
+            .say(Alexa.ssml().sayAs("spell-out", req.slot("AirportCode")).pause(300))
+            .reprompt(Alexa.ssml().emphasis("strong", "Which airport?"));
+        });
+
+        return testApp.request(mockRequest).then(function(response) {
+          expect(response.response.outputSpeech.ssml).to.equal("<speak>Checking <say-as interpret-as=\"spell-out\">JFK</say-as> <break time=\"300ms\"/></speak>");
+          expect(response.response.reprompt.outputSpeech.ssml).to.equal("<speak><emphasis level=\"strong\">Which airport?</emphasis></speak>");
+        });
+      });
+    });
+  });
+});
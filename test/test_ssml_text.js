@@ -0,0 +1,75 @@
+/*jshint expr: true*/
+"use strict";
+var chai = require("chai");
+var chaiAsPromised = require("chai-as-promised");
+var mockHelper = require("./helpers/mock_helper");
+chai.use(chaiAsPromised);
+var expect = chai.expect;
+chai.config.includeStack = true;
+
+describe("Alexa", function() {
+  var Alexa = require("../index");
+
+  describe("ssml", function() {
+    describe("#toText", function() {
+      it("removes every tag", function() {
+        expect(Alexa.ssml.toText("<speak>Welcome <audio src=\"https://example.com/a.mp3\"/> to " +
+          "<emphasis level=\"strong\">Car-Fu</emphasis>, <break time=\"1s\"/>" +
+          "<amazon:effect name=\"whispered\">where</amazon:effect> <prosody rate=\"slow\">rides</prosody> " +
+          "<say-as interpret-as=\"cardinal\">1</say-as> <phoneme alphabet=\"ipa\" ph=\"pɪˈkɑːn\">pecan</phoneme> " +
+          "<w role=\"amazon:VB\">read</w> <lang xml:lang=\"fr-FR\">vite</lang> <voice name=\"Hans\">now</voice>.</speak>"))
+          .to.equal("Welcome to Car-Fu, where rides 1 pecan read vite now.");
+      });
+
+      it("replaces <sub> by its alias", function() {
+        expect(Alexa.ssml.toText("<speak><sub alias=\"World Wide Web Consortium\">W3C</sub> standards</speak>"))
+          .to.equal("World Wide Web Consortium standards");
+      });
+
+      it("decodes entities", function() {
+        expect(Alexa.ssml.toText("<speak>Tom &amp; Jerry &lt;3 &quot;caf&#233;&quot; &#x41;&apos;s</speak>"))
+          .to.equal("Tom & Jerry <3 \"café\" A's");
+        expect(Alexa.ssml.toText("<speak><sub alias=\"Tom &amp; Jerry\">T&amp;J</sub></speak>")).to.equal("Tom & Jerry");
+      });
+
+      it("ends a sentence after <s>", function() {
+        expect(Alexa.ssml.toText("<speak><s>This is a sentence</s><s>Is this another?</s>And more</speak>"))
+          .to.equal("This is a sentence. Is this another? And more");
+      });
+
+      it("puts a paragraph on its own line", function() {
+        expect(Alexa.ssml.toText("<speak>Intro <p>The first paragraph</p><p>The second one.</p> Outro</speak>"))
+          .to.equal("Intro\nThe first paragraph.\nThe second one.\nOutro");
+      });
+
+      it("keeps line breaks", function() {
+        expect(Alexa.ssml.toText("This is the\ncontent of my card")).to.equal("This is the\ncontent of my card");
+      });
+
+      it("renders plain text which isn't well-formed SSML", function() {
+        expect(Alexa.ssml.toText("Tom & Jerry say 1 < 2")).to.equal("Tom & Jerry say 1 < 2");
+        expect(Alexa.ssml.toText("<speak><s>Unclosed <b>tags</s> &amp; more</speak>")).to.equal("Unclosed tags & more");
+      });
+    });
+  });
+
+  describe("response", function() {
+    describe("#card", function() {
+      it("renders the SSML of the card as text", function() {
+        var testApp = new Alexa.app("testApp");
+        var mockRequest = mockHelper.load("intent_request_airport_info.json");
+
+        testApp.intent("airportInfoIntent", function(req, res) {
+          res.card({
+            "type": "Standard",
+            "title": "Info",
+            "text": "<p>The <sub alias=\"San Francisco International Airport\">SFO</sub> is open</p><p>Delays &amp; closures</p>"
+          });
+        });
+
+        return expect(testApp.request(mockRequest)).to.eventually.have.deep.property("response.card.text",
+          "The San Francisco International Airport is open.\nDelays & closures.");
+      });
+    });
+  });
+});
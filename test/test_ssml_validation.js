@@ -0,0 +1,172 @@
+/*jshint expr: true*/
+"use strict";
+var chai = require("chai");
+var chaiAsPromised = require("chai-as-promised");
+var mockHelper = require("./helpers/mock_helper");
+var sinon = require("sinon");
+chai.use(chaiAsPromised);
+var expect = chai.expect;
+chai.config.includeStack = true;
+
+describe("Alexa", function() {
+  var Alexa = require("../index");
+
+  describe("ssml", function() {
+    var codes = function(ssml) {
+      return Alexa.ssml.validate(ssml).map(function(problem) {
+        return problem.code;
+      });
+    };
+
+    describe("#parse", function() {
+      it("builds a tree of elements and text", function() {
+        expect(Alexa.ssml.parse("<speak>Hello <break time='1s'/><say-as interpret-as=\"digits\">12</say-as></speak>")).to.eql({
+          "name": "speak",
+          "attributes": {},
+          "children": [
+            "Hello ",
+            { "name": "break", "attributes": { "time": "1s" }, "children": [] },
+            { "name": "say-as", "attributes": { "interpret-as": "digits" }, "children": ["12"] }
+          ]
+        });
+      });
+
+      it("throws on malformed SSML", function() {
+        expect(function() { Alexa.ssml.parse("<speak><s>Hi</speak>"); }).to.throw("Unexpected closing tag </speak>");
+        expect(function() { Alexa.ssml.parse("<speak>Hi"); }).to.throw("Missing closing tag </speak>");
+        expect(function() { Alexa.ssml.parse("<speak>Tom & Jerry</speak>"); }).to.throw("Unescaped &");
+        expect(function() { Alexa.ssml.parse("<speak>1 < 2</speak>"); }).to.throw("Unexpected <");
+        expect(function() { Alexa.ssml.parse("<speak></speak><speak></speak>"); }).to.throw("after the root element");
+        expect(function() { Alexa.ssml.parse("<speak><break time=\"1s\" time=\"2s\"/></speak>"); }).to.throw("Duplicate attribute time");
+        expect(function() { Alexa.ssml.parse("Hello"); }).to.throw("Unexpected text outside of the root element");
+      });
+    });
+
+    describe("#validate", function() {
+      it("accepts the output of the builder", function() {
+        var ssml = Alexa.ssml()
+          .text("Tom & Jerry")
+          .sayAs("date", "20170102", "ymd")
+          .pause(500)
+          .emphasis("strong", "really")
+          .prosody({ "rate": "slow", "pitch": "+10%", "volume": "-6dB" }, "slowly")
+          .audio("https://example.com/a.mp3?a=1&b=2")
+          .phoneme("ipa", "pɪˈkɑːn", "pecan")
+          .sub("World Wide Web Consortium", "W3C")
+          .paragraph("A paragraph.");
+
+        expect(Alexa.ssml.validate(ssml.toString())).to.eql([]);
+      });
+
+      it("accepts the amazon tags", function() {
+        expect(codes("<speak><amazon:effect name=\"whispered\">psst</amazon:effect>" +
+          "<amazon:domain name=\"news\">news</amazon:domain>" +
+          "<amazon:emotion name=\"excited\" intensity=\"high\">yay</amazon:emotion>" +
+          "<lang xml:lang=\"fr-FR\">bonjour</lang><voice name=\"Hans\">hallo</voice>" +
+          "<w role=\"amazon:VBD\">read</w></speak>")).to.eql([]);
+      });
+
+      it("reports malformed SSML", function() {
+        expect(Alexa.ssml.validate("<speak>Tom & Jerry</speak>")).to.eql([{
+          "code": "MALFORMED_SSML",
+          "message": "The SSML is malformed: Unescaped & at position 7."
+        }]);
+        expect(codes("<s>Hi</s>")).to.eql(["MALFORMED_SSML"]);
+      });
+
+      it("reports unsupported tags and attributes", function() {
+        expect(codes("<speak><b>bold</b><speak>nested</speak></speak>")).to.eql(["UNSUPPORTED_TAG", "UNSUPPORTED_TAG"]);
+        expect(codes("<speak><s class=\"x\">Hi</s></speak>")).to.eql(["UNSUPPORTED_ATTRIBUTE"]);
+      });
+
+      it("reports missing attributes", function() {
+        expect(Alexa.ssml.validate("<speak><audio/></speak>")).to.eql([{
+          "code": "MISSING_ATTRIBUTE",
+          "message": "The tag <audio> requires the attribute src."
+        }]);
+        expect(codes("<speak><say-as>12</say-as></speak>")).to.eql(["MISSING_ATTRIBUTE"]);
+      });
+
+      it("reports invalid attribute values", function() {
+        expect(codes("<speak><say-as interpret-as=\"zipcode\">1</say-as></speak>")).to.eql(["INVALID_ATTRIBUTE"]);
+        expect(codes("<speak><amazon:effect name=\"shouted\">Hi</amazon:effect></speak>")).to.eql(["INVALID_ATTRIBUTE"]);
+        expect(codes("<speak><audio src=\"http://example.com/a.mp3\"/></speak>")).to.eql(["INVALID_ATTRIBUTE"]);
+        expect(codes("<speak><break strength=\"huge\"/><break time=\"soon\"/></speak>")).to.eql(["INVALID_ATTRIBUTE", "INVALID_ATTRIBUTE"]);
+        expect(codes("<speak><prosody rate=\"fast\" pitch=\"10%\">Hi</prosody></speak>")).to.eql(["INVALID_ATTRIBUTE"]);
+      });
+
+      it("limits breaks to 10 seconds", function() {
+        expect(codes("<speak><break time=\"10s\"/><break time=\"10000ms\"/></speak>")).to.eql([]);
+        expect(Alexa.ssml.validate("<speak><break time=\"10001ms\"/></speak>")).to.eql([{
+          "code": "INVALID_ATTRIBUTE",
+          "message": "The break time 10001ms exceeds 10s."
+        }]);
+      });
+
+      it("limits the SSML to 5 audio files", function() {
+        var audio = "<audio src=\"https://example.com/a.mp3\"/>";
+
+        expect(codes("<speak>" + new Array(6).join(audio) + "</speak>")).to.eql([]);
+        expect(codes("<speak>" + new Array(7).join(audio) + "</speak>")).to.eql(["TOO_MANY_AUDIO"]);
+      });
+    });
+  });
+
+  describe("app", function() {
+    var testApp;
+    var mockRequest;
+
+    beforeEach(function() {
+      testApp = new Alexa.app("testApp");
+      mockRequest = mockHelper.load("intent_request_airport_info.json");
+    });
+
+    describe("#strictSSML", function() {
+      afterEach(function() {
+        if (console.warn.restore) {
+          console.warn.restore();
+        }
+      });
+
+      it("doesn't check the SSML by default", function() {
+        testApp.intent("airportInfoIntent", function(req, res) {
+          res.say("<b>bold</b>");
+        });
+
+        return expect(testApp.request(mockRequest)).to.eventually.have.deep.property("response.outputSpeech.ssml", "<speak><b>bold</b></speak>");
+      });
+
+      it("warns about each problem once", function() {
+        sinon.stub(console, "warn");
+        testApp.strictSSML = "warn";
+        testApp.intent("airportInfoIntent", function(req, res) {
+          res.say("<b>bold</b>").say("Hello").reprompt("<b>again</b>");
+        });
+
+        return testApp.request(mockRequest).then(function(response) {
+          expect(response.response.outputSpeech.ssml).to.equal("<speak><b>bold</b> Hello</speak>");
+          expect(console.warn.callCount).to.equal(1);
+          expect(console.warn.firstCall.args[0]).to.equal("The tag <b> isn't supported.");
+        });
+      });
+
+      it("throws on the first problem", function() {
+        var error;
+
+        testApp.strictSSML = "throw";
+        testApp.intent("airportInfoIntent", function(req, res) {
+          res.reprompt("<break time=\"1m\"/>");
+        });
+        testApp.error = function(e, req, res) {
+          error = e;
+          res.say("Sorry.").send();
+        };
+
+        return testApp.request(mockRequest).then(function(response) {
+          expect(error.message).to.equal("The value \"1m\" of the attribute time of <break> is invalid.");
+          expect(response.response.outputSpeech.ssml).to.equal("<speak>Sorry.</speak>");
+        });
+      });
+    });
+  });
+});